@@ -1,2 +1,20 @@
-import NumberPuzzleGame from './src/screens/NumberPuzzleGame';
-export default NumberPuzzleGame;
\ No newline at end of file
+import React, { useState, useEffect } from 'react';
+import AppNavigator from './src/navigation/AppNavigator';
+import { loadSettings } from './src/hooks/useSettings';
+import { loadTutorialProgress } from './src/hooks/useTutorialProgress';
+import { tutorialProgress } from './src/systems/Tutorial';
+import { ROUTES } from './src/utils/constants';
+
+export default function App() {
+  const [loaded, setLoaded] = useState(false);
+
+  // The first run should already use the saved difficulty, and the
+  // tutorial is only offered until it has been finished or skipped
+  useEffect(() => {
+    Promise.allSettled([loadSettings(), loadTutorialProgress()]).then(() => setLoaded(true));
+  }, []);
+
+  if (!loaded) return null;
+
+  return <AppNavigator initialRouteName={tutorialProgress.isDone() ? ROUTES.HOME : ROUTES.TUTORIAL} />;
+}
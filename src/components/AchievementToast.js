@@ -0,0 +1,120 @@
+// ============================================================================
+// FILE: src/components/AchievementToast.js
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, Animated } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, Z_INDEX, SUCCESS_MESSAGES } from '../utils/constants';
+
+/**
+ * Achievement Unlock Toast
+ * Slides in from the top, stays for `duration` ms, then calls onHide
+ */
+export const AchievementToast = ({
+  achievement,
+  onHide,
+  duration = 2500,
+  customStyles = {}
+}) => {
+  const [slideAnim] = useState(new Animated.Value(0));
+
+  useEffect(() => {
+    if (!achievement) return;
+
+    slideAnim.setValue(0);
+    Animated.sequence([
+      Animated.timing(slideAnim, {
+        toValue: 1,
+        duration: 250,
+        useNativeDriver: true,
+      }),
+      Animated.delay(duration),
+      Animated.timing(slideAnim, {
+        toValue: 0,
+        duration: 250,
+        useNativeDriver: true,
+      }),
+    ]).start(() => onHide && onHide());
+  }, [achievement]);
+
+  if (!achievement) return null;
+
+  return (
+    <Animated.View
+      pointerEvents="none"
+      style={[
+        toastStyles.toast,
+        {
+          opacity: slideAnim,
+          transform: [{
+            translateY: slideAnim.interpolate({
+              inputRange: [0, 1],
+              outputRange: [-80, 0],
+            }),
+          }],
+        },
+        customStyles.toast
+      ]}
+    >
+      <Text style={toastStyles.icon}>{achievement.icon}</Text>
+      <View style={toastStyles.content}>
+        <Text style={toastStyles.heading}>{SUCCESS_MESSAGES.ACHIEVEMENT_UNLOCKED}</Text>
+        <Text style={toastStyles.title}>{achievement.title}</Text>
+        {achievement.reward && (
+          <Text style={toastStyles.reward}>
+            +{achievement.reward.amount} {achievement.reward.resource}
+          </Text>
+        )}
+      </View>
+      <Text style={toastStyles.points}>+{achievement.points}</Text>
+    </Animated.View>
+  );
+};
+
+const toastStyles = StyleSheet.create({
+  toast: {
+    position: 'absolute',
+    top: SPACING.HUGE,
+    left: SPACING.LARGE,
+    right: SPACING.LARGE,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 2,
+    borderColor: COLORS.TEXT_GOLD,
+    padding: SPACING.MEDIUM,
+    zIndex: Z_INDEX.TOAST,
+    elevation: 10,
+  },
+  icon: {
+    fontSize: FONT_SIZES.XXLARGE,
+    marginRight: SPACING.MEDIUM,
+  },
+  content: {
+    flex: 1,
+  },
+  heading: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '800',
+    letterSpacing: 1,
+    textTransform: 'uppercase',
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  reward: {
+    color: COLORS.SUCCESS,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+  },
+  points: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+    marginLeft: SPACING.SMALL,
+  },
+});
@@ -11,6 +11,7 @@ import { COLORS, FONT_SIZES, SPACING, RADIUS, DIMENSIONS } from '../utils/consta
  */
 export const ActionButton = ({
   onPress,
+  onLongPress,
   label,
   icon,
   count,
@@ -29,6 +30,7 @@ export const ActionButton = ({
   const ButtonContent = (
     <TouchableOpacity
       onPress={onPress}
+      onLongPress={onLongPress}
       style={[
         styles.actionButton,
         { backgroundColor: buttonColor, shadowColor: buttonColor },
@@ -75,6 +77,35 @@ export const ActionButtonsRow = ({ children, customStyles = {} }) => {
   );
 };
 
+/**
+ * Budget Meter Component
+ * Remaining share of a per-level budget (e.g. moves), shown above the action row
+ */
+export const BudgetMeter = ({
+  label,
+  icon,
+  remaining,
+  total,
+  lowThreshold = 3,
+  color = COLORS.INFO,
+  customStyles = {},
+}) => {
+  const percentage = total > 0 ? Math.max(0, Math.min(1, remaining / total)) * 100 : 0;
+  const fillColor = remaining <= lowThreshold ? COLORS.DANGER : color;
+
+  return (
+    <View style={[styles.budgetMeter, customStyles.container]}>
+      <Text style={[styles.budgetLabel, customStyles.label]}>
+        {icon && `${icon} `}
+        {label} {remaining}/{total}
+      </Text>
+      <View style={[styles.budgetTrack, customStyles.track]}>
+        <View style={[styles.budgetFill, { width: `${percentage}%`, backgroundColor: fillColor }]} />
+      </View>
+    </View>
+  );
+};
+
 /**
  * Icon Button Component (for small actions)
  */
@@ -107,6 +138,25 @@ export const IconButton = ({
 };
 
 const styles = StyleSheet.create({
+  budgetMeter: {
+    marginTop: SPACING.MEDIUM,
+    paddingHorizontal: SPACING.SMALL,
+  },
+  budgetLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    marginBottom: SPACING.TINY,
+  },
+  budgetTrack: {
+    height: 8,
+    backgroundColor: COLORS.BORDER_LIGHT,
+    borderRadius: RADIUS.ROUND,
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: '100%',
+  },
   buttonRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
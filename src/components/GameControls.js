@@ -24,9 +24,10 @@ export const GameControls = ({
   additionalControls = null,
   timerWarningThreshold = 60,
   timerDangerThreshold = 30,
+  countUp = false, // elapsed time - never warns
 }) => {
-  const isTimerWarning = timeLeft <= timerWarningThreshold && timeLeft > timerDangerThreshold;
-  const isTimerDanger = timeLeft <= timerDangerThreshold;
+  const isTimerWarning = !countUp && timeLeft <= timerWarningThreshold && timeLeft > timerDangerThreshold;
+  const isTimerDanger = !countUp && timeLeft <= timerDangerThreshold;
 
   const timerColor = isTimerDanger
     ? COLORS.DANGER
@@ -165,15 +166,17 @@ export const CompactTimer = ({
 
 /**
  * Timer Progress Bar Component
+ * maxTime is the current ceiling and may move during play (e.g. time bonuses)
  */
 export const TimerProgressBar = ({
   timeLeft,
-  totalTime,
+  maxTime,
   warningThreshold = 60,
   dangerThreshold = 30,
   customStyles = {},
 }) => {
-  const percentage = (timeLeft / totalTime) * 100;
+  const ceiling = Math.max(maxTime || 0, timeLeft, 1);
+  const percentage = (timeLeft / ceiling) * 100;
   const isWarning = timeLeft <= warningThreshold && timeLeft > dangerThreshold;
   const isDanger = timeLeft <= dangerThreshold;
 
@@ -328,6 +331,7 @@ const styles = StyleSheet.create({
   },
   buttonsContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     gap: SPACING.MEDIUM,
   },
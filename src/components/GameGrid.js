@@ -3,9 +3,10 @@
 // FILE: src/components/GameGrid.js
 // ============================================================================
 
-
+import { useState } from 'react';
 import { View, Text, TouchableOpacity, ScrollView, StyleSheet, Animated } from 'react-native';
 import { COLORS, SPACING, RADIUS, LARGE, DIMENSIONS } from '../utils/constants';
+import { PathOverlay } from './PathOverlay';
 
 /**
  * Reusable Game Grid Component
@@ -22,7 +23,11 @@ export const GameGrid = ({
   hintCells = [],
   invalidCell = null,
   cellAnim = null,
+  paths = [],
 }) => {
+  const [contentWidth, setContentWidth] = useState(0);
+  const cols = grid[0]?.length || 0;
+
   const defaultRenderCell = (value, row, col) => {
     if (value === null) return null;
 
@@ -51,6 +56,7 @@ export const GameGrid = ({
         style={gridStyles.gridScroll}
         showsVerticalScrollIndicator={false}
       >
+        <View onLayout={event => setContentWidth(event.nativeEvent.layout.width)}>
         {grid.map((row, rIdx) => (
           <View key={rIdx} style={[gridStyles.row, customStyles.row]}>
             {row.map((value, cIdx) => {
@@ -84,6 +90,19 @@ export const GameGrid = ({
             })}
           </View>
         ))}
+
+        {paths.map((path, index) => (
+          <PathOverlay
+            key={`path-${index}`}
+            path={path.cells}
+            color={path.color}
+            opacity={path.opacity}
+            cellSize={cellSize}
+            cols={cols}
+            contentWidth={contentWidth}
+          />
+        ))}
+        </View>
       </ScrollView>
     </View>
   );
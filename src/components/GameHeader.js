@@ -14,39 +14,100 @@ export const GameHeader = ({
   lastPoints = 0,
   scoreAnim,
   showLastPoints = true,
+  subtitle = null,
+  moves = null, // remaining move budget (move-limited modes)
+  maxMoves = null,
+  players = null, // versus: [{ name, score }] in turn order
+  activePlayer = 0,
   customStyles = {}
 }) => {
   return (
     <View style={[headerStyles.header, customStyles.header]}>
-      <View style={[headerStyles.levelBadge, customStyles.levelBadge]}>
-        <Text style={[headerStyles.levelText, customStyles.levelText]}>
-          LEVEL {level}
-        </Text>
+      <View>
+        <View style={[headerStyles.levelBadge, customStyles.levelBadge]}>
+          <Text style={[headerStyles.levelText, customStyles.levelText]}>
+            LEVEL {level}
+          </Text>
+        </View>
+        {subtitle && (
+          <Text style={[headerStyles.subtitle, customStyles.subtitle]}>
+            {subtitle}
+          </Text>
+        )}
       </View>
 
-      <Animated.View
-        style={[
-          headerStyles.scoreContainer,
-          customStyles.scoreContainer,
-          scoreAnim && { transform: [{ scale: scoreAnim }] }
-        ]}
-      >
-        <Text style={[headerStyles.scoreLabel, customStyles.scoreLabel]}>
-          SCORE
-        </Text>
-        <Text style={[headerStyles.scoreValue, customStyles.scoreValue]}>
-          {score.toLocaleString()}
-        </Text>
-        {showLastPoints && lastPoints > 0 && (
-          <Text style={[headerStyles.pointsAdded, customStyles.pointsAdded]}>
-            +{lastPoints}
+      {moves !== null && (
+        <View style={[headerStyles.movesContainer, customStyles.movesContainer]}>
+          <Text style={[headerStyles.scoreLabel, customStyles.movesLabel]}>
+            MOVES
           </Text>
-        )}
-      </Animated.View>
+          <Text
+            style={[
+              headerStyles.movesValue,
+              moves <= 3 && headerStyles.movesValueLow,
+              customStyles.movesValue
+            ]}
+          >
+            {moves}{maxMoves !== null && <Text style={headerStyles.movesMax}>/{maxMoves}</Text>}
+          </Text>
+        </View>
+      )}
+
+      {players ? (
+        <PlayerScores players={players} activePlayer={activePlayer} scoreAnim={scoreAnim} />
+      ) : (
+        <Animated.View
+          style={[
+            headerStyles.scoreContainer,
+            customStyles.scoreContainer,
+            scoreAnim && { transform: [{ scale: scoreAnim }] }
+          ]}
+        >
+          <Text style={[headerStyles.scoreLabel, customStyles.scoreLabel]}>
+            SCORE
+          </Text>
+          <Text style={[headerStyles.scoreValue, customStyles.scoreValue]}>
+            {score.toLocaleString()}
+          </Text>
+          {showLastPoints && lastPoints > 0 && (
+            <Text style={[headerStyles.pointsAdded, customStyles.pointsAdded]}>
+              +{lastPoints}
+            </Text>
+          )}
+        </Animated.View>
+      )}
     </View>
   );
 };
 
+/**
+ * Versus scores - every player's, the one on turn highlighted
+ */
+const PlayerScores = ({ players, activePlayer, scoreAnim }) => (
+  <View style={headerStyles.players}>
+    {players.map((player, index) => {
+      const isActive = index === activePlayer;
+      return (
+        <Animated.View
+          key={player.id ?? index}
+          style={[
+            headerStyles.player,
+            isActive && headerStyles.playerActive,
+            isActive && scoreAnim && { transform: [{ scale: scoreAnim }] }
+          ]}
+        >
+          <Text style={[headerStyles.scoreLabel, isActive && headerStyles.playerNameActive]}>
+            {isActive ? `▶ ${player.name.toUpperCase()}` : player.name.toUpperCase()}
+          </Text>
+          <Text style={[headerStyles.playerScore, isActive && headerStyles.playerScoreActive]}>
+            {player.score.toLocaleString()}
+          </Text>
+        </Animated.View>
+      );
+    })}
+  </View>
+);
+
 /**
  * Compact Header (for small screens)
  */
@@ -99,9 +160,59 @@ const headerStyles = StyleSheet.create({
     fontWeight: '900',
     letterSpacing: 1.5,
   },
+  subtitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+    letterSpacing: 1,
+    marginTop: SPACING.TINY,
+    textAlign: 'center',
+  },
   scoreContainer: {
     alignItems: 'flex-end',
   },
+  players: {
+    flexDirection: 'row',
+  },
+  player: {
+    alignItems: 'center',
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    marginLeft: SPACING.SMALL,
+  },
+  playerActive: {
+    borderColor: COLORS.TEXT_GOLD,
+    backgroundColor: 'rgba(255, 215, 0, 0.1)',
+  },
+  playerNameActive: {
+    color: COLORS.TEXT_GOLD,
+  },
+  playerScore: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+  },
+  playerScoreActive: {
+    color: COLORS.TEXT_GOLD,
+  },
+  movesContainer: {
+    alignItems: 'center',
+  },
+  movesValue: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XLARGE,
+    fontWeight: '900',
+  },
+  movesValueLow: {
+    color: COLORS.DANGER,
+  },
+  movesMax: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.SMALL,
+  },
   scoreLabel: {
     color: COLORS.TEXT_SECONDARY,
     fontSize: FONT_SIZES.TINY,
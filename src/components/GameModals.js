@@ -5,7 +5,7 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, Modal, StyleSheet } from 'react-native';
 import { COLORS, FONT_SIZES, SPACING, RADIUS,LARGE, DIMENSIONS } from '../utils/constants';
-import { getCellColor, formatScore } from '../utils/helpers';
+import { getCellColor, formatScore, formatTime, formatStars } from '../utils/helpers';
 
 /**
  * Game Over Modal
@@ -15,11 +15,15 @@ export const GameOverModal = ({
   score,
   level,
   highScore,
+  rank = null,
+  isNewHighScore = score > 0 && score >= highScore,
+  timePlayed = null,
+  standings = null, // versus: { players: [{ id, name, score }], winner }
   onRestart,
   onClose,
   customStyles = {}
 }) => {
-  const isNewHighScore = score >= highScore;
+  const winner = standings?.players.find(player => player.id === standings.winner);
 
   return (
     <Modal
@@ -34,17 +38,35 @@ export const GameOverModal = ({
             Game Over!
           </Text>
 
-          {isNewHighScore && (
+          {standings && (
+            <Text style={[styles.highScoreText, customStyles.highScore]}>
+              {winner ? `🏆 ${winner.name} wins! 🏆` : "🤝 It's a draw! 🤝"}
+            </Text>
+          )}
+
+          {!standings && isNewHighScore && (
             <Text style={[styles.highScoreText, customStyles.highScore]}>
               🏆 New High Score! 🏆
             </Text>
           )}
 
-          <View style={styles.statsContainer}>
-            <StatRow label="Final Score" value={formatScore(score)} />
-            <StatRow label="Level Reached" value={level} />
-            <StatRow label="High Score" value={formatScore(highScore)} />
-          </View>
+          {standings ? (
+            <View style={styles.statsContainer}>
+              {standings.players.map(player => (
+                <StatRow key={player.id} label={player.name} value={formatScore(player.score)} />
+              ))}
+              <StatRow label="Level Reached" value={level} />
+              {timePlayed !== null && <StatRow label="Time Played" value={formatTime(timePlayed)} />}
+            </View>
+          ) : (
+            <View style={styles.statsContainer}>
+              <StatRow label="Final Score" value={formatScore(score)} />
+              <StatRow label="Level Reached" value={level} />
+              {timePlayed !== null && <StatRow label="Time Played" value={formatTime(timePlayed)} />}
+              <StatRow label="High Score" value={formatScore(highScore)} />
+              {rank !== null && <StatRow label="Leaderboard" value={`#${rank}`} />}
+            </View>
+          )}
 
           <TouchableOpacity
             style={[styles.primaryButton, customStyles.button]}
@@ -69,6 +91,79 @@ export const GameOverModal = ({
   );
 };
 
+/**
+ * Level Result Modal
+ * Stars and goals for a finished pack level
+ */
+export const LevelResultModal = ({
+  visible,
+  levelName,
+  result,
+  onNext = null,
+  onRetry,
+  onLevels,
+  onClose,
+}) => {
+  if (!result) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <Text style={styles.modalTitle}>
+            {result.passed ? 'Level Clear!' : 'Try Again'}
+          </Text>
+          <Text style={styles.resultLevelName}>{levelName}</Text>
+          <Text style={[styles.resultStars, result.stars > 0 && styles.resultStarsEarned]}>
+            {formatStars(result.stars)}
+          </Text>
+
+          {result.isNewBest && (
+            <Text style={styles.highScoreText}>🏆 New Best! 🏆</Text>
+          )}
+
+          <View style={styles.statsContainer}>
+            <StatRow label="Score" value={formatScore(result.score)} />
+            {result.goals.map(goal => (
+              <StatRow
+                key={goal.type}
+                label={goal.description}
+                value={goal.met ? '✓' : '✗'}
+              />
+            ))}
+          </View>
+
+          {result.passed && onNext && (
+            <TouchableOpacity style={styles.primaryButton} onPress={onNext}>
+              <Text style={styles.buttonText}>Next Level</Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity
+            style={result.passed && onNext ? styles.secondaryButton : styles.primaryButton}
+            onPress={onRetry}
+          >
+            <Text style={result.passed && onNext ? styles.secondaryButtonText : styles.buttonText}>
+              Retry
+            </Text>
+          </TouchableOpacity>
+
+          {onLevels && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={onLevels}>
+              <Text style={styles.secondaryButtonText}>All Levels</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
 /**
  * Level Up Overlay
  */
@@ -96,9 +191,10 @@ export const NumberPickerModal = ({
   onClose,
   onSelectNumber,
   title = "Choose a Number",
+  numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9],
+  onClear = null,
   customStyles = {}
 }) => {
-  const numbers = [1, 2, 3, 4, 5, 6, 7, 8, 9];
 
   return (
     <Modal
@@ -131,6 +227,12 @@ export const NumberPickerModal = ({
             ))}
           </View>
 
+          {onClear && (
+            <TouchableOpacity style={styles.clearCellButton} onPress={onClear}>
+              <Text style={styles.cancelButtonText}>Empty Cell</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity
             style={[styles.cancelButton, customStyles.cancelButton]}
             onPress={onClose}
@@ -206,6 +308,8 @@ export const PauseMenuModal = ({
 export const HelpModal = ({
   visible,
   onClose,
+  ruleSet = null,
+  connectionRules = null,
   customStyles = {}
 }) => {
   return (
@@ -222,8 +326,21 @@ export const HelpModal = ({
           </Text>
 
           <View style={styles.helpContent}>
-            <HelpItem icon="🎯" text="Match same numbers or numbers that sum to 10" />
-            <HelpItem icon="🔗" text="Connect cells using valid paths" />
+            <HelpItem
+              icon="🎯"
+              text={ruleSet ? ruleSet.description : 'Match same numbers or numbers that sum to 10'}
+            />
+            <HelpItem
+              icon="🔗"
+              text={connectionRules ? `Connect cells using: ${connectionRules.name}` : 'Connect cells using valid paths'}
+            />
+            {connectionRules?.strategies.map(strategy => (
+              <HelpItem
+                key={strategy.type}
+                icon={`+${strategy.points}`}
+                text={strategy.description || strategy.type}
+              />
+            ))}
             <HelpItem icon="⭐" text="Complete rows for bonus points" />
             <HelpItem icon="➕" text="Use Add to get new numbers" />
             <HelpItem icon="💡" text="Use Hint to find valid moves" />
@@ -290,6 +407,19 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     marginBottom: SPACING.MEDIUM,
   },
+  resultLevelName: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '700',
+  },
+  resultStars: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.HUGE,
+    marginVertical: SPACING.SMALL,
+  },
+  resultStarsEarned: {
+    color: COLORS.TEXT_GOLD,
+  },
   statsContainer: {
     width: '100%',
     marginVertical: SPACING.LARGE,
@@ -393,6 +523,13 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 0, height: 2 },
     textShadowRadius: 4,
   },
+  clearCellButton: {
+    backgroundColor: COLORS.SECONDARY,
+    paddingHorizontal: SPACING.XXLARGE,
+    paddingVertical: SPACING.MEDIUM,
+    borderRadius: RADIUS.MEDIUM,
+    marginBottom: SPACING.MEDIUM,
+  },
   cancelButton: {
     backgroundColor: COLORS.DANGER,
     paddingHorizontal: SPACING.XXLARGE,
@@ -0,0 +1,109 @@
+// ============================================================================
+// FILE: src/components/PathOverlay.js
+// ============================================================================
+
+import { View, StyleSheet, Animated } from 'react-native';
+import { COLORS, Z_INDEX } from '../utils/constants';
+
+/**
+ * Connection Path Overlay
+ * Draws the route a connection took (dots on every traversed cell, lines
+ * between neighbouring ones). Wrap jumps between row ends are left as gaps.
+ */
+export const PathOverlay = ({
+  path = [],
+  cellSize,
+  gap = 3,
+  cols,
+  contentWidth,
+  color = COLORS.TEXT_GOLD,
+  opacity = 1,
+  thickness = 4,
+}) => {
+  if (!path || path.length === 0 || !contentWidth) return null;
+
+  // Rows are centred inside the grid
+  const pitch = cellSize + gap;
+  const rowWidth = cols * cellSize + (cols - 1) * gap;
+  const offsetX = (contentWidth - rowWidth) / 2;
+
+  const center = ({ row, col }) => ({
+    x: offsetX + col * pitch + cellSize / 2,
+    y: row * pitch + cellSize / 2,
+  });
+
+  const segments = [];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    if (Math.abs(from.row - to.row) > 1 || Math.abs(from.col - to.col) > 1) continue;
+
+    const a = center(from);
+    const b = center(to);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+
+    segments.push(
+      <View
+        key={`segment-${i}`}
+        style={[
+          overlayStyles.segment,
+          {
+            left: (a.x + b.x) / 2 - length / 2,
+            top: (a.y + b.y) / 2 - thickness / 2,
+            width: length,
+            height: thickness,
+            borderRadius: thickness / 2,
+            backgroundColor: color,
+            transform: [{ rotate: `${angle}rad` }],
+          },
+        ]}
+      />
+    );
+  }
+
+  const dotSize = thickness * 2.5;
+
+  return (
+    <Animated.View pointerEvents="none" style={[overlayStyles.overlay, { opacity }]}>
+      {segments}
+      {path.map((cell, i) => {
+        const { x, y } = center(cell);
+        const isEnd = i === 0 || i === path.length - 1;
+        const size = isEnd ? dotSize * 1.5 : dotSize;
+
+        return (
+          <View
+            key={`dot-${i}`}
+            style={[
+              overlayStyles.dot,
+              {
+                left: x - size / 2,
+                top: y - size / 2,
+                width: size,
+                height: size,
+                borderRadius: size / 2,
+                backgroundColor: color,
+              },
+            ]}
+          />
+        );
+      })}
+    </Animated.View>
+  );
+};
+
+const overlayStyles = StyleSheet.create({
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    zIndex: Z_INDEX.OVERLAYS,
+  },
+  segment: {
+    position: 'absolute',
+    opacity: 0.8,
+  },
+  dot: {
+    position: 'absolute',
+    opacity: 0.9,
+  },
+});
@@ -8,9 +8,30 @@ import { LevelSystem } from '../core/LevelSystem';
 import { ResourceSystem } from '../core/ResourceSystem';
 import { StateMachine } from '../core/StateMachine';
 import { SoundSystem } from '../core/SoundSystem';
+import { AchievementSystem } from '../core/AchievementSystem';
+import { StatisticsSystem } from '../core/StatisticsSystem';
+import { LeaderboardSystem } from '../core/LeaderboardSystem';
+import { CommandHistory } from '../core/CommandHistory';
+import { RandomSystem } from '../core/RandomSystem';
+import { TurnSystem } from '../core/TurnSystem';
 import { GridSystem } from '../systems/GridSystem';
 import { MatchSystem } from '../systems/MatchSystem';
-import { ConnectionValidator } from '../systems/ConnectionValidator';
+import { ConnectionValidator, DEFAULT_CONNECTION_SET } from '../systems/ConnectionValidator';
+import { BoardGenerator } from '../systems/BoardGenerator';
+import { BoardState } from '../systems/BoardState';
+import { Solver } from '../systems/Solver';
+import { HintSystem } from '../systems/HintSystem';
+import { getRuleSet } from '../systems/RuleSet';
+import { getDifficulty } from '../systems/Difficulty';
+import { createLevelDifficulty, rateLevel } from '../systems/LevelPackLoader';
+import { LevelProgress } from '../systems/LevelProgress';
+import { encodeBoardCode, decodeBoardCode } from '../systems/BoardCode';
+import { ReplayRecorder } from '../systems/ReplayRecorder';
+import { Tutorial } from '../systems/Tutorial';
+import { ComputerPlayer, COMPUTER_PERSONALITIES } from '../systems/ComputerPlayer';
+import { registerAchievements } from '../systems/AchievementCatalog';
+import { deepClone } from '../utils/helpers';
+import { TIME_ATTACK, MOVE_LIMIT, VERSUS, PACK_MODE, TUTORIAL_MODE, VERSUS_MODE } from '../utils/constants';
 
 /**
  * Game Controller - Orchestrates all game systems
@@ -27,26 +48,93 @@ export class GameController {
     // Game state
     this.selectedCell = null;
     this.hintCells = [];
+    this.hintInfo = null;
     this.isChangeMode = false;
+    this.hintLevel = config.hintLevel || 'pair'; // 'cell', 'pair' or 'path'
+    this.hintsEnabled = true;
+    this.computerMove = null;
+    this.thinkingDelay = VERSUS.THINKING_DELAYS.normal; // computer opponent, see applySettings
     this.listeners = new Set();
 
     // Setup system integrations
     this.setupSystemIntegrations();
+
+    // User preferences (see SettingsSystem)
+    if (config.settings) {
+      this.applySettings(config.settings);
+    }
   }
 
   /**
    * Initialize all game systems
    */
   initializeSystems(config) {
-    // Core systems (reusable across games)
-    this.scoreSystem = new ScoreSystem({
-      initialScore: 0,
-      baseMultiplier: 1
-    });
+    // Read-only controllers re-enact a recorded run (see ReplayController):
+    // their clock is ticked from outside and nothing is recorded, ranked or
+    // counted in the lifetime statistics
+    this.readOnly = !!config.readOnly;
+
+    // Hand-designed level (see LevelPackLoader) - its own board, rules, clock and allotments
+    this.packLevel = config.packLevel || null;
+    this.packCleared = false;
+
+    // Shared board code (see BoardCode) - deals its exact board first
+    this.startBoard = !this.packLevel && config.boardCode ? decodeBoardCode(config.boardCode) : null;
+
+    // Scripted tutorial (see Tutorial) - its own boards, one connection type per step
+    this.tutorial = !this.packLevel && config.tutorial ? new Tutorial() : null;
+
+    // Mode and the rules that follow from it
+    if (this.packLevel) {
+      this.mode = PACK_MODE;
+    } else {
+      this.mode = this.tutorial ? TUTORIAL_MODE : (config.mode || 'classic');
+    }
+    this.applyModeRules(config);
+
+    // Seeded randomness - the same seed always deals the same boards
+    if (config.seed !== undefined) {
+      this.seed = config.seed;
+    } else if (this.startBoard) {
+      this.seed = this.startBoard.seed;
+    } else if (this.packLevel) {
+      this.seed = this.packLevel.id;
+    } else {
+      this.seed = this.mode === 'daily' ? RandomSystem.dailySeed() : RandomSystem.generateSeed();
+    }
+    this.random = new RandomSystem({ seed: this.seed });
+
+    // Which values pair up and which values get dealt
+    this.ruleSet = getRuleSet(
+      this.packLevel?.ruleSet || this.startBoard?.ruleSet || this.tutorial?.getRuleSet() || config.ruleSet
+    );
 
+    // Board size, time pressure, action budget and allowed connections
+    // (the tutorial plays the default one, which allows every connection)
+    if (this.packLevel) {
+      this.difficulty = createLevelDifficulty(this.packLevel);
+    } else {
+      this.difficulty = getDifficulty(this.tutorial ? undefined : config.difficulty);
+    }
+
+    // Board width (pack levels, board codes and the tutorial bring their own)
+    this.gridCols = this.packLevel?.cols || this.startBoard?.cols || this.tutorial?.getCols() || config.gridCols || 9;
+
+    // Connection set the difficulty filters (pack levels list their own,
+    // tutorial steps set theirs as they come)
+    if (this.packLevel) {
+      this.connectionSet = { id: PACK_MODE, name: this.packLevel.name, strategies: this.packLevel.strategies };
+    } else {
+      this.connectionSet = this.tutorial ? this.getTutorialConnectionSet() : config.connectionSet;
+    }
+
+    // Core systems (reusable across games)
     this.timerSystem = new TimerSystem({
-      duration: config.initialTime || 420,
-      mode: 'countdown',
+      duration: this.getTimeForLevel(1),
+      startTime: this.isUntimed ? 0 : undefined,
+      maxTime: this.isTimeAttack ? TIME_ATTACK.MAX_TIME : null,
+      mode: this.isUntimed ? 'countup' : 'countdown',
+      manual: this.readOnly,
       onComplete: () => this.handleTimeUp()
     });
 
@@ -57,17 +145,31 @@ export class GameController {
       onLevelUp: (level) => this.handleLevelUp(level)
     });
 
-    this.resourceSystem = new ResourceSystem({
-      resources: {
-        addMoves: { initial: 5, max: 5, min: 0, metadata: { initialValue: 5 } },
-        hints: { initial: 5, max: 5, min: 0, metadata: { initialValue: 5 } },
-        changes: { initial: 5, max: 5, min: 0, metadata: { initialValue: 5 } }
-      }
+    // Whoever plays the board - solo runs have a single player. Each player
+    // keeps their own score and action allotments; the score and resource
+    // systems always point at the player on turn (see passTurn)
+    let playerNames = ['Player'];
+    if (this.isVersus) {
+      playerNames = this.opponent ? VERSUS.COMPUTER_NAMES : VERSUS.PLAYER_NAMES;
+    }
+    this.turnSystem = new TurnSystem({
+      players: playerNames.map((name, index) => ({
+        ...this.createPlayer(name),
+        isComputer: !!this.opponent && index > 0
+      }))
+    });
+    this.scoreSystem = this.turnSystem.getActivePlayer().scoreSystem;
+    this.resourceSystem = this.turnSystem.getActivePlayer().resourceSystem;
+
+    // Undo/redo of player actions
+    this.commandHistory = new CommandHistory({
+      maxSize: 50
     });
 
     this.stateMachine = new StateMachine('idle', {
       maxHistorySize: 10
     });
+    this.runEnding = false; // game over scheduled (see scheduleGameOver)
 
     // Sound system
     this.soundSystem = new SoundSystem({
@@ -79,23 +181,103 @@ export class GameController {
 
     // Game-specific systems
     this.gridSystem = new GridSystem({
-      rows: config.initialRows || 4,
-      cols: config.gridCols || 9,
-      minValue: 1,
-      maxValue: 9
+      rows: this.getRowsForLevel(1),
+      cols: this.gridCols,
+      ruleSet: this.ruleSet,
+      random: this.random
     });
 
     this.matchSystem = new MatchSystem({
-      matchRules: {
-        sameValue: true,
-        sumTarget: 10,
-        allowSumMatches: true
-      }
+      matchRules: this.ruleSet.getMatchRules()
     });
 
     this.connectionValidator = new ConnectionValidator({
-      gridCols: config.gridCols || 9
+      gridCols: this.gridCols,
+      strategies: this.connectionSet
+    });
+
+    // Headless search (board verification, demo play)
+    this.solver = new Solver({
+      matchSystem: this.matchSystem,
+      connectionValidator: this.connectionValidator
+    });
+
+    // The computer opponent's move picking (versus against the computer)
+    this.computerPlayer = this.opponent ? new ComputerPlayer({
+      connectionValidator: this.connectionValidator,
+      matchSystem: this.matchSystem,
+      personality: this.opponent.id,
+      random: new RandomSystem({ seed: RandomSystem.deriveSeed(this.seed, 'computer') })
+    }) : null;
+
+    // Ranked hints (points, row clears, follow-up moves)
+    this.hintSystem = new HintSystem({
+      connectionValidator: this.connectionValidator,
+      matchSystem: this.matchSystem,
+      lookahead: config.hintLookahead || 1
+    });
+
+    // Verified board dealing (min open pairs / optional full-clear check)
+    this.boardGenerator = new BoardGenerator({
+      gridSystem: this.gridSystem,
+      matchSystem: this.matchSystem,
+      connectionValidator: this.connectionValidator,
+      solver: this.solver,
+      random: this.random,
+      minPairs: config.minStartPairs !== undefined ? config.minStartPairs : 3,
+      requireClearable: config.requireClearable || false
+    });
+    this.boardInfo = null;
+
+    // Lifetime achievements (persisted separately from the run)
+    this.achievementSystem = new AchievementSystem();
+    registerAchievements(this.achievementSystem);
+    this.levelStats = { hintsUsed: 0, addsUsed: 0, seconds: 0 };
+    this.runStats = { undosUsed: 0, seconds: 0, rowsCleared: 0 };
+
+    // Lifetime statistics (persisted separately from the run)
+    this.statisticsSystem = new StatisticsSystem();
+
+    // Top runs per mode (persisted separately from the run)
+    this.leaderboard = new LeaderboardSystem({
+      maxEntries: config.leaderboardSize || 10
     });
+
+    // Best stars per pack level (persisted separately from the run)
+    this.levelProgress = new LevelProgress();
+
+    // Action log of the run - kept with its leaderboard entry
+    this.replayRecorder = new ReplayRecorder();
+
+    this.applyDifficulty(this.difficulty);
+    if (this.hasMoveBudget) {
+      this.setMoveBudget(this.getMoveBudget(1));
+    }
+  }
+
+  /**
+   * A player's own score and action allotments - the difficulty's
+   * allotments are added by applyDifficulty
+   */
+  createPlayer(name) {
+    const resourceSystem = new ResourceSystem();
+    if (this.undoBudget !== null) {
+      resourceSystem.addResource('undos', {
+        initial: this.undoBudget,
+        max: this.undoBudget,
+        min: 0,
+        metadata: { initialValue: this.undoBudget }
+      });
+    }
+
+    return {
+      name,
+      scoreSystem: new ScoreSystem({
+        initialScore: 0,
+        baseMultiplier: 1
+      }),
+      resourceSystem
+    };
   }
 
   /**
@@ -129,19 +311,196 @@ export class GameController {
       allowedTransitions: ['idle']
     });
 
-    // Subscribe to timer events
+    // Subscribe to timer events (the replay clock runs with the game clock)
     this.timerSystem.subscribe((event, data) => {
       if (event === 'tick') {
+        this.replayRecorder.tick();
         this.notifyListeners('timerTick', data);
+      } else if (event === 'started') {
+        this.replayRecorder.startClock();
+      } else if (event === 'paused') {
+        this.replayRecorder.stopClock();
+      }
+    });
+
+    // Subscribe to score events (every player's)
+    this.turnSystem.getPlayers().forEach(player => {
+      player.scoreSystem.subscribe((event, data) => {
+        if (event === 'scoreAdded') {
+          this.notifyListeners('scoreChanged', this.scoreSystem.getScore());
+        }
+      });
+    });
+
+    // Achievement rewards flow into resources, unlocks bubble up for the toast
+    this.achievementSystem.subscribe((event, data) => {
+      if (event === 'achievementUnlocked') {
+        this.notifyListeners('achievementUnlocked', data.achievement);
+      } else if (event === 'achievementReward') {
+        this.grantAchievementReward(data.reward);
       }
     });
 
-    // Subscribe to score events
-    this.scoreSystem.subscribe((event, data) => {
-      if (event === 'scoreAdded') {
-        this.notifyListeners('scoreChanged', this.scoreSystem.getScore());
+    // The mode's best score outlives the run
+    this.leaderboard.subscribe((event) => {
+      if (event === 'loaded') {
+        this.scoreSystem.setHighScore(this.leaderboard.getTopScore(this.mode));
       }
     });
+
+    // Statistics and achievements are fed from the controller's own events
+    this.subscribe((event, data) => this.trackProgress(event, data));
+  }
+
+  /**
+   * Per-level/per-run counters, then lifetime statistics and achievements
+   */
+  trackProgress(event, data) {
+    switch (event) {
+      case 'timerTick':
+        this.levelStats.seconds++;
+        this.runStats.seconds++;
+        return;
+      case 'hintShown':
+        this.levelStats.hintsUsed++;
+        break;
+      case 'addMovesUsed':
+        this.levelStats.addsUsed++;
+        break;
+      case 'undo':
+        this.runStats.undosUsed++;
+        break;
+      case 'rowsCompleted':
+        this.runStats.rowsCleared += data.rows.length;
+        break;
+      default:
+        break;
+    }
+
+    // A replay re-enacts a run already counted in the lifetime statistics;
+    // achievements still run since their rewards feed the run's resources.
+    // The tutorial is practice and versus scores are split between players -
+    // neither counts
+    const counts = !this.tutorial && !this.isVersus;
+    if (!this.readOnly && counts) {
+      this.trackStatistics(event, data);
+    }
+    if (counts) {
+      this.trackAchievements(event, data);
+    }
+
+    // A level up starts the per-level stats over, a reset the run stats too
+    if (event === 'levelUp' || event === 'gameReset') {
+      this.levelStats = { hintsUsed: 0, addsUsed: 0, seconds: 0 };
+    }
+    if (event === 'gameReset') {
+      this.runStats = { undosUsed: 0, seconds: 0, rowsCleared: 0 };
+    }
+  }
+
+  /**
+   * Fold a game event into the lifetime statistics
+   */
+  trackStatistics(event, data) {
+    const stats = this.statisticsSystem;
+
+    switch (event) {
+      case 'gameStarted':
+        stats.increment('gamesPlayed');
+        stats.increment(`gamesPlayed.${this.mode}`);
+        stats.recordBucket('activityByHour', new Date().getHours());
+        break;
+      case 'matchSuccess':
+        stats.increment('matches');
+        stats.recordBucket('matchesByType', data.type);
+        stats.recordMax('bestCombo', this.scoreSystem.getCombo());
+        break;
+      case 'rowsCompleted':
+        stats.increment('rowsCleared', data.rows.length);
+        break;
+      case 'levelUp':
+        // Seconds spent clearing the level that just ended
+        stats.recordAverage(`levelTime.${data.level - 1}`, this.levelStats.seconds);
+        stats.increment('levelsCleared');
+        stats.recordMax('highestLevel', data.level);
+        break;
+      case 'hintShown':
+        stats.increment('hintsUsed');
+        break;
+      case 'addMovesUsed':
+        stats.increment('addsUsed');
+        break;
+      case 'cellChanged':
+        stats.increment('changesUsed');
+        break;
+      case 'undo':
+        stats.increment('undosUsed');
+        break;
+      case 'gameOver':
+        stats.increment('gamesFinished');
+        stats.increment('totalScore', data.score);
+        stats.recordAverage('finalScore', data.score);
+        stats.recordMax('bestScore', data.score);
+        stats.recordMax(`bestScore.${this.mode}`, data.score);
+        break;
+      default:
+        return;
+    }
+
+    stats.commit();
+  }
+
+  /**
+   * Advance achievement counters and check conditions for a game event
+   */
+  trackAchievements(event, data) {
+    switch (event) {
+      case 'matchSuccess':
+      case 'rowsCompleted':
+      case 'levelUp':
+      case 'scoreChanged':
+      case 'gameOver':
+        break;
+      default:
+        return;
+    }
+
+    this.achievementSystem.getAllAchievements(true).forEach(achievement => {
+      const { event: trackedEvent, filter, amount } = achievement.metadata;
+      if (trackedEvent !== event || achievement.unlocked) return;
+      if (filter && !filter(data)) return;
+
+      this.achievementSystem.incrementProgress(achievement.id, amount ? amount(data) : 1);
+    });
+
+    this.achievementSystem.checkAchievements(this.getAchievementSnapshot(event, data));
+  }
+
+  /**
+   * What achievement conditions are checked against
+   */
+  getAchievementSnapshot(event, data) {
+    return {
+      event,
+      data,
+      mode: this.mode,
+      score: this.scoreSystem.getScore(),
+      level: this.levelSystem.getLevel(),
+      combo: this.scoreSystem.getCombo(),
+      maxCombo: this.scoreSystem.getMaxCombo(),
+      levelStats: { ...this.levelStats },
+      runStats: { ...this.runStats }
+    };
+  }
+
+  /**
+   * Apply an achievement reward ({ resource, amount })
+   */
+  grantAchievementReward(reward) {
+    if (!reward.resource || this.resourceSystem.get(reward.resource) === null) return;
+
+    this.resourceSystem.add(reward.resource, reward.amount || 1);
+    this.notifyListeners('rewardGranted', reward);
   }
 
   /**
@@ -149,21 +508,48 @@ export class GameController {
    */
   startGame() {
     if (this.stateMachine.is('idle')) {
-      this.gridSystem.generateGrid();
+      this.generateLevelGrid();
+      this.startReplay();
       this.stateMachine.transition('playing');
       this.soundSystem.playMusic(); // Start background music
       this.notifyListeners('gameStarted', null);
     } else if (this.stateMachine.is('paused')) {
+      this.replayRecorder.record('resume');
       this.stateMachine.transition('playing');
       this.soundSystem.playMusic(); // Resume music
     }
   }
 
+  /**
+   * Open the run's replay log with everything needed to rebuild the run -
+   * achievements included, as the rewards they grant change the run
+   * (pack levels are rated, the tutorial is scripted and versus runs are
+   * never ranked - none of them is recorded)
+   */
+  startReplay() {
+    if (this.readOnly || this.packLevel || this.tutorial || this.isVersus) return;
+
+    this.replayRecorder.start({
+      mode: this.mode,
+      seed: this.seed,
+      ruleSet: this.ruleSet.id,
+      connectionSet: this.connectionValidator.setId,
+      difficulty: this.difficulty.id,
+      boardCode: this.startBoard ? this.config.boardCode : undefined,
+      gridCols: this.gridCols,
+      undosPerLevel: this.undoBudget,
+      minStartPairs: this.config.minStartPairs,
+      requireClearable: this.config.requireClearable,
+      achievements: this.achievementSystem.serialize()
+    });
+  }
+
   /**
    * Pause the game
    */
   pauseGame() {
     if (this.stateMachine.is('playing')) {
+      this.replayRecorder.record('pause');
       this.stateMachine.transition('paused');
       this.soundSystem.pauseMusic(); // Pause music
       this.notifyListeners('gamePaused', null);
@@ -175,6 +561,7 @@ export class GameController {
    */
   resumeGame() {
     if (this.stateMachine.is('paused')) {
+      this.replayRecorder.record('resume');
       this.stateMachine.transition('playing');
       this.notifyListeners('gameResumed', null);
     }
@@ -187,27 +574,53 @@ export class GameController {
     // Stop timer completely first
     this.timerSystem.stop();
 
-    // Reset all systems to initial state
-    this.scoreSystem.reset();
+    // A difficulty picked mid-run starts with the new game
+    if (this.pendingDifficulty) {
+      this.applyDifficulty(this.pendingDifficulty);
+    }
+
+    // Reset all systems to initial state (every player's, the first one on turn)
+    this.turnSystem.getPlayers().forEach(player => {
+      player.scoreSystem.reset();
+      player.resourceSystem.reset();
+    });
+    this.turnSystem.reset();
+    this.setActivePlayer();
     this.levelSystem.reset();
-    this.resourceSystem.reset();
     this.matchSystem.clearAllMatches();
+    this.commandHistory.clear();
+    this.replayRecorder.clear();
 
     // CRITICAL FIX: Reset grid to initial configuration
-    this.gridSystem.rows = this.config.initialRows || 4;
-    this.gridSystem.cols = this.config.gridCols || 9;
+    this.gridSystem.rows = this.getRowsForLevel(1);
+    this.gridSystem.cols = this.gridCols;
     this.gridSystem.reset();
 
     // Reset timer to initial duration
-    this.timerSystem.reset(this.config.initialTime || 420);
+    this.timerSystem.reset(this.getTimeForLevel(1));
 
     // Reset game state
     this.selectedCell = null;
     this.hintCells = [];
+    this.hintInfo = null;
     this.isChangeMode = false;
+    this.computerMove = null;
+    this.packCleared = false;
+    this.runEnding = false;
+    if (this.tutorial) {
+      this.tutorial.restart();
+    }
+
+    // Random runs get a new seed, seeded/daily runs replay the same boards
+    if (!this.hasFixedSeed) {
+      this.seed = RandomSystem.generateSeed();
+    }
 
     // Generate fresh grid with initial size
-    this.gridSystem.generateGrid(this.config.initialRows || 4, this.config.gridCols || 9);
+    this.generateLevelGrid(1, this.getRowsForLevel(1));
+    if (this.hasMoveBudget) {
+      this.setMoveBudget(this.getMoveBudget(1));
+    }
 
     // CRITICAL FIX: Force transition to idle state
     // This ensures the UI shows "Play" button instead of "Resume"
@@ -225,13 +638,24 @@ export class GameController {
    */
   handleCellPress(row, col) {
     if (!this.stateMachine.is('playing')) return;
+    // The computer plays its own turns (see playComputerMove)
+    if (this.isComputerTurn()) return;
 
     const cellValue = this.gridSystem.getCellValue(row, col);
     if (cellValue === null) return;
     if (this.matchSystem.isMatched(row, col)) return;
 
+    // Tutorial steps only take taps on the pair they explain
+    if (this.tutorial && !this.tutorial.isAllowedTap(row, col, this.selectedCell)) {
+      this.notifyListeners('tutorialTapBlocked', { row, col, target: this.tutorial.getTargetCells() });
+      return;
+    }
+
+    this.replayRecorder.record('select', row, col);
+
     // Clear hints
     this.hintCells = [];
+    this.hintInfo = null;
 
     // Handle change mode
     if (this.isChangeMode) {
@@ -261,10 +685,17 @@ export class GameController {
     const val1 = this.gridSystem.getCellValue(row1, col1);
     const val2 = this.gridSystem.getCellValue(row2, col2);
 
+    // Every attempt, good or bad, spends a move
+    if (this.hasMoveBudget) {
+      this.resourceSystem.use('moves', 1);
+    }
+
     // Check if values match
     if (!this.matchSystem.valuesMatch(val1, val2)) {
       this.selectedCell = null;
       this.notifyListeners('matchFailed', { row1, col1, row2, col2, reason: 'valuesMismatch' });
+      this.applyMissPenalty();
+      this.passTurn();
       // Check if stuck after failed match
       this.soundSystem.playSound('wrong');
       console.log('Match failed: Values do not match');
@@ -285,6 +716,8 @@ export class GameController {
     if (!result.valid) {
       this.selectedCell = null;
       this.notifyListeners('matchFailed', { row1, col1, row2, col2, reason: 'noValidPath' });
+      this.applyMissPenalty();
+      this.passTurn();
       // Check if stuck after failed match
       this.soundSystem.playSound('wrong');
       setTimeout(() => {
@@ -293,14 +726,45 @@ export class GameController {
       return;
     }
 
+    // The tutorial checks the move against the step it explains
+    const from = { row: row1, col: col1 };
+    const to = { row: row2, col: col2 };
+    if (this.tutorial && !this.tutorial.isExpectedMove(from, to, result.type)) {
+      this.selectedCell = null;
+      this.notifyListeners('matchFailed', { row1, col1, row2, col2, reason: 'tutorialMismatch' });
+      this.soundSystem.playSound('wrong');
+      return;
+    }
+
     // Valid match!
+    const turn = this.turnSystem.getTurn();
     this.processMatch(row1, col1, row2, col2, result);
+
+    // Against the computer - which never misses - every match ends the turn
+    // too (unless the match already handed the board on)
+    if (this.opponent && this.turnSystem.getTurn() === turn && this.stateMachine.is('playing')) {
+      this.passTurn('match');
+      this.checkGameStuck();
+    }
+
+    if (this.tutorial) {
+      this.tutorial.completeStep();
+      this.notifyListeners('tutorialStepCompleted', {
+        step: this.tutorial.getStep(),
+        index: this.tutorial.getStepIndex(),
+        type: result.type,
+        points: result.points
+      });
+      return;
+    }
   }
 
   /**
    * Process a successful match
    */
   processMatch(row1, col1, row2, col2, connectionResult) {
+    const undoState = this.captureUndoState();
+
     // Play match sound
     this.soundSystem.playSound('match');
 
@@ -322,6 +786,14 @@ export class GameController {
     });
     this.scoreSystem.incrementCombo();
 
+    // Time attack: every match buys time, more for harder connections and combos
+    if (this.isTimeAttack) {
+      const combo = this.scoreSystem.getCombo();
+      const seconds = (TIME_ATTACK.MATCH_BONUS[connectionResult.type] || 2)
+        + Math.floor(combo * TIME_ATTACK.COMBO_BONUS);
+      this.awardTime(seconds, 'match');
+    }
+
     // Check for complete rows
     const completeRows = this.matchSystem.getCompleteRows(
       this.gridSystem.getGrid().length,
@@ -338,10 +810,16 @@ export class GameController {
     // Clear selection
     this.selectedCell = null;
 
+    this.recordCommand('match', undoState);
+
+    // Row removal / a new level shifts the board - the path no longer lines up
+    const boardShifted = completeRows.length > 0 || this.levelSystem.getLevel() !== undoState.level;
+
     this.notifyListeners('matchSuccess', {
       cells: [{ row: row1, col: col1 }, { row: row2, col: col2 }],
       points: totalPoints,
-      type: connectionResult.type
+      type: connectionResult.type,
+      path: boardShifted ? null : connectionResult.path
     });
   }
 
@@ -367,6 +845,10 @@ export class GameController {
     const bonusPoints = completeRows.length * 10;
     this.scoreSystem.addScore(bonusPoints, { type: 'rowBonus' });
 
+    if (this.isTimeAttack) {
+      this.awardTime(completeRows.length * TIME_ATTACK.ROW_CLEAR_BONUS, 'rowsCleared');
+    }
+
     this.notifyListeners('rowsCompleted', {
       rows: completeRows,
       bonus: bonusPoints
@@ -412,6 +894,20 @@ export class GameController {
    * Check if game is stuck (no valid moves and no resources to continue)
    */
   checkGameStuck() {
+    // Tutorial boards are scripted - never stuck, never over on their own
+    if (this.tutorial) return;
+
+    // Only a run in play can end - and only once
+    if (this.runEnding || !this.stateMachine.is('playing')) return;
+
+    // Move-limited levels end as soon as the budget is spent
+    if (this.hasMoveBudget && this.resourceSystem.isEmpty('moves')) {
+      console.log('No moves left - GAME OVER');
+      this.notifyListeners('outOfMoves', null);
+      this.scheduleGameOver();
+      return;
+    }
+
     // Check if player has any resources left
     const hasAddMoves = this.resourceSystem.canUse('addMoves', 1);
     const hasHints = this.resourceSystem.canUse('hints', 1);
@@ -434,32 +930,181 @@ export class GameController {
 
     // If no valid moves and no useful resources, game is stuck
     if (!hasValidMoves) {
+      // Versus: while another player can still Add or Change, they take over
+      if (this.isVersus && this.turnSystem.getPlayers().some(player =>
+        player.resourceSystem.canUse('addMoves', 1) || player.resourceSystem.canUse('changes', 1)
+      )) {
+        this.passTurn('stuck');
+        return;
+      }
+
       console.log('No valid moves available and no resources to continue - GAME OVER');
-      // Transition to game over
-      setTimeout(() => {
-        if (this.stateMachine.is('playing')) {
-          this.stateMachine.transition('gameOver');
-        }
-      }, 500); // Small delay to show the final state
+      this.scheduleGameOver();
     }
   }
 
+  /**
+   * End the run after a short delay that shows the final state
+   * (further stuck checks are ignored until then)
+   */
+  scheduleGameOver() {
+    this.runEnding = true;
+    setTimeout(() => {
+      this.runEnding = false;
+      if (this.stateMachine.is('playing')) {
+        this.stateMachine.transition('gameOver');
+      }
+    }, 500);
+  }
+
+  /**
+   * Point score and resources at the player on turn
+   */
+  setActivePlayer() {
+    const player = this.turnSystem.getActivePlayer();
+    this.scoreSystem = player.scoreSystem;
+    this.resourceSystem = player.resourceSystem;
+  }
+
+  /**
+   * Versus: hand the board to the next player - a miss ends the turn, and
+   * so does being stuck while someone else still has Add or Change (and,
+   * against the computer, every match)
+   */
+  passTurn(reason = 'miss') {
+    if (!this.isVersus) return;
+
+    // The next player starts clean and never undoes into the last turn
+    this.selectedCell = null;
+    this.hintCells = [];
+    this.hintInfo = null;
+    this.isChangeMode = false;
+    this.computerMove = null;
+    this.commandHistory.clear();
+
+    this.turnSystem.nextTurn();
+    this.setActivePlayer();
+
+    this.notifyListeners('turnChanged', {
+      player: this.turnSystem.getActiveIndex(),
+      name: this.turnSystem.getActivePlayer().name,
+      turn: this.turnSystem.getTurn(),
+      reason
+    });
+  }
+
+  /**
+   * Check if the computer is on turn
+   */
+  isComputerTurn() {
+    return !!this.turnSystem.getActivePlayer().isComputer;
+  }
+
+  /**
+   * Versus against the computer: pick its next move and show it until it is
+   * played - a pair if there is one, otherwise Add, otherwise a Change
+   * that opens up a pair (null when it has nothing to play)
+   */
+  chooseComputerMove() {
+    if (!this.isComputerTurn() || !this.stateMachine.is('playing')) return null;
+
+    const state = this.getBoardState();
+    const pair = this.computerPlayer.chooseMatch(state);
+    let move = null;
+
+    if (pair) {
+      move = { type: 'match', from: pair.from, to: pair.to, connection: pair.type, points: pair.points, path: pair.path };
+    } else if (this.resourceSystem.canUse('addMoves', 1)) {
+      move = { type: 'add' };
+    } else if (this.resourceSystem.canUse('changes', 1)) {
+      const change = this.computerPlayer.chooseChange(state, this.ruleSet.getValueRange());
+      move = change ? { type: 'change', ...change } : null;
+    }
+
+    this.computerMove = move;
+    this.notifyListeners('computerMoveChosen', move);
+    return move;
+  }
+
+  /**
+   * Play the move the computer showed (picking one first if it has not)
+   * With nothing to play it hands the board back - or ends the game when
+   * the player is out of moves and tools as well
+   */
+  playComputerMove() {
+    if (!this.isComputerTurn() || !this.stateMachine.is('playing')) return false;
+
+    const move = this.computerMove || this.chooseComputerMove();
+    this.computerMove = null;
+
+    if (!move) {
+      this.passTurn('stuck');
+      if (!this.resourceSystem.canUse('addMoves', 1) && !this.resourceSystem.canUse('changes', 1)) {
+        this.stateMachine.transition('gameOver');
+      }
+      return false;
+    }
+
+    this.notifyListeners('computerMovePlayed', move);
+
+    if (move.type === 'add') {
+      return this.useAddMoves();
+    }
+    if (move.type === 'change') {
+      if (!this.startChangeMode()) return false;
+      this.changeCellValue(move.row, move.col, move.value);
+      return true;
+    }
+
+    this.playMatch(move.from, move.to);
+    return true;
+  }
+
   /**
    * Complete current level
    */
   completeLevel() {
+    // A pack level is a single board - clearing it ends the run
+    if (this.packLevel) {
+      if (this.packCleared) return;
+      this.packCleared = true;
+      this.timerSystem.pause();
+      this.notifyListeners('levelComplete', { level: this.levelSystem.getLevel() });
+      setTimeout(() => {
+        if (this.stateMachine.is('playing')) {
+          this.stateMachine.transition('gameOver');
+        }
+      }, 500);
+      return;
+    }
+
     console.log('===== LEVEL COMPLETE =====');
     console.log('Current level:', this.levelSystem.getLevel());
 
+    // Move-limited levels are scored by the moves left over
+    if (this.hasMoveBudget) {
+      const movesLeft = this.resourceSystem.get('moves');
+      const bonus = movesLeft * MOVE_LIMIT.POINTS_PER_MOVE;
+      if (bonus > 0) {
+        this.scoreSystem.addScore(bonus, { type: 'movesBonus' });
+      }
+      this.notifyListeners('movesScored', { movesLeft, bonus });
+    }
+
     // Add experience - this will trigger level up
     const expNeeded = this.levelSystem.expRequired - this.levelSystem.currentExp;
     console.log('Adding experience:', Math.max(100, expNeeded));
     this.levelSystem.addExperience(Math.max(100, expNeeded));
 
-    // Reset resources to full
-    this.resourceSystem.set('addMoves', 5);
-    this.resourceSystem.set('hints', 5);
-    this.resourceSystem.set('changes', 5);
+    // Reset resources to full (every player's)
+    this.turnSystem.getPlayers().forEach(({ resourceSystem }) => {
+      Object.entries(this.difficulty.resources).forEach(([name, amount]) => {
+        resourceSystem.set(name, amount);
+      });
+      if (this.undoBudget !== null) {
+        resourceSystem.set('undos', this.undoBudget);
+      }
+    });
 
     console.log('New level:', this.levelSystem.getLevel());
     console.log('===========================');
@@ -476,24 +1121,35 @@ export class GameController {
     console.log(`===== HANDLING LEVEL UP TO ${newLevel} =====`);
     this.soundSystem.playSound('levelup');
     // Generate new grid with more rows
-    const newRows = 4 + (newLevel - 1);
+    const newRows = this.getRowsForLevel(newLevel);
     console.log(`Generating new grid with ${newRows} rows`);
 
     this.gridSystem.rows = newRows;
-    this.gridSystem.generateGrid(newRows, this.gridSystem.cols);
+    this.generateLevelGrid(newLevel, newRows);
+
+    if (this.hasMoveBudget) {
+      this.setMoveBudget(this.getMoveBudget(newLevel));
+    }
 
     // Reset matches
     this.matchSystem.clearAllMatches();
 
-    // Update timer
-    const newTime = Math.max(120, 420 - (newLevel - 1) * 30);
-    console.log(`Setting timer to ${newTime} seconds`);
-    this.timerSystem.reset(newTime);
+    // Undo never crosses a level boundary
+    this.commandHistory.clear();
 
-    // Resume playing if game was playing
-    if (this.stateMachine.is('playing')) {
-      console.log('Resuming timer');
-      this.timerSystem.start();
+    // Update timer (untimed and time attack runs keep one clock for the whole run)
+    if (this.isTimeAttack) {
+      this.awardTime(TIME_ATTACK.LEVEL_BONUS, 'levelUp');
+    } else if (!this.isUntimed) {
+      const newTime = this.getTimeForLevel(newLevel);
+      console.log(`Setting timer to ${newTime} seconds`);
+      this.timerSystem.reset(newTime);
+
+      // Resume playing if game was playing
+      if (this.stateMachine.is('playing')) {
+        console.log('Resuming timer');
+        this.timerSystem.start();
+      }
     }
 
     console.log(`Level up complete. Grid has ${this.gridSystem.getGrid().length} rows`);
@@ -502,10 +1158,147 @@ export class GameController {
     this.notifyListeners('levelUp', { level: newLevel });
   }
 
+  /**
+   * Generate the board for a level from the run seed
+   * Each level derives its own seed so its board never depends on earlier play
+   */
+  generateLevelGrid(level = this.levelSystem.getLevel(), rows = this.gridSystem.rows) {
+    this.random.setSeed(RandomSystem.deriveSeed(this.seed, level));
+
+    // Pack levels always deal their designed board
+    if (this.packLevel) {
+      this.gridSystem.setGrid(deepClone(this.packLevel.grid));
+      this.boardInfo = null;
+      return this.gridSystem.getGrid();
+    }
+
+    // The tutorial deals the board of its current step
+    if (this.tutorial) {
+      return this.dealTutorialStep();
+    }
+
+    // Board codes deal their exact board on level 1, later levels follow the seed
+    if (this.startBoard && level === 1) {
+      this.gridSystem.setGrid(deepClone(this.startBoard.grid));
+      this.boardInfo = null;
+      return this.gridSystem.getGrid();
+    }
+
+    const board = this.boardGenerator.generate(rows, this.gridSystem.cols);
+    this.boardInfo = {
+      pairs: board.pairs,
+      clearable: board.clearable,
+      attempts: board.attempts,
+      repairs: board.repairs,
+      difficulty: board.difficulty
+    };
+
+    this.notifyListeners('boardGenerated', this.boardInfo);
+    return board.grid;
+  }
+
+  /**
+   * Rows dealt for a level (time attack has its own, gentler curve)
+   */
+  getRowsForLevel(level) {
+    if (this.isTimeAttack) {
+      const rows = TIME_ATTACK.INITIAL_ROWS + Math.floor((level - 1) / TIME_ATTACK.LEVELS_PER_ROW);
+      return Math.min(TIME_ATTACK.MAX_ROWS, rows);
+    }
+    return this.difficulty.getRowsForLevel(level);
+  }
+
+  /**
+   * Clock for a level
+   */
+  getTimeForLevel(level) {
+    return this.isTimeAttack ? TIME_ATTACK.INITIAL_TIME : this.difficulty.getTimeForLevel(level);
+  }
+
+  /**
+   * Flags that follow from the mode - set up front and again when a saved
+   * run is restored, so both always agree
+   */
+  applyModeRules(config = this.config) {
+    // Random runs get a new seed on reset, seeded/daily runs replay the same boards
+    this.hasFixedSeed = config.seed !== undefined || this.mode === 'daily' || !!this.packLevel || !!this.startBoard;
+    // Move-limited runs replace the clock with a per-level budget of match attempts
+    this.hasMoveBudget = this.mode === 'moves';
+    // Versus runs share the board between players taking turns - the
+    // second one can be the computer (see ComputerPlayer)
+    this.isVersus = this.mode === VERSUS_MODE;
+    this.opponent = this.isVersus ? COMPUTER_PERSONALITIES[config.opponent] || null : null;
+    this.isUntimed = this.isUntimedRun();
+    // Time attack runs start short and earn time back with every match
+    this.isTimeAttack = this.mode === 'timeAttack';
+
+    // Per-level undo budget (null = unlimited undos) - time attack has none,
+    // as undoing a match and playing it again would earn its time bonus twice
+    if (this.isTimeAttack) {
+      this.undoBudget = 0;
+    } else {
+      this.undoBudget = config.undosPerLevel !== undefined ? config.undosPerLevel : 3;
+    }
+  }
+
+  /**
+   * Zen, move-limited, versus, the tutorial and pack levels without a time
+   * limit are untimed: the clock counts up and never ends the run
+   */
+  isUntimedRun() {
+    return this.mode === 'zen' || this.hasMoveBudget || this.isVersus || !!this.tutorial ||
+      this.packLevel?.timeLimit === null;
+  }
+
+  /**
+   * Match attempts allowed for a level (scales with the cells dealt)
+   */
+  getMoveBudget(level) {
+    const cells = this.getRowsForLevel(level) * this.gridSystem.cols;
+    return Math.ceil((cells / 2) * MOVE_LIMIT.MOVES_PER_PAIR);
+  }
+
+  /**
+   * (Re)create the 'moves' resource with a full budget
+   */
+  setMoveBudget(budget) {
+    this.resourceSystem.addResource('moves', {
+      initial: budget,
+      max: budget,
+      min: 0,
+      metadata: { initialValue: budget }
+    });
+  }
+
+  /**
+   * Time attack: add seconds to the clock
+   */
+  awardTime(seconds, reason) {
+    if (seconds <= 0) return;
+    this.timerSystem.addTime(seconds);
+    this.notifyListeners('timeChanged', { seconds, reason, timeLeft: this.timerSystem.getTime() });
+  }
+
+  /**
+   * Time attack: a wrong pair costs time (and can end the run)
+   */
+  applyMissPenalty() {
+    if (!this.isTimeAttack || !this.stateMachine.is('playing')) return;
+
+    this.notifyListeners('timeChanged', {
+      seconds: -TIME_ATTACK.MISS_PENALTY,
+      reason: 'miss',
+      timeLeft: Math.max(0, this.timerSystem.getTime() - TIME_ATTACK.MISS_PENALTY)
+    });
+    this.timerSystem.subtractTime(TIME_ATTACK.MISS_PENALTY);
+  }
+
   /**
    * Handle time up
    */
   handleTimeUp() {
+    if (this.isUntimed) return;
+    this.replayRecorder.record('timeUp');
     this.stateMachine.transition('gameOver');
   }
 
@@ -515,10 +1308,141 @@ export class GameController {
   handleGameOver() {
     this.soundSystem.stopMusic();
     this.soundSystem.playSound('gameover');
+
+    const score = this.scoreSystem.getScore();
+    // Pack levels are rated against their own star thresholds instead of ranked,
+    // versus runs end with the players' standings
+    const packResult = this.packLevel ? this.ratePackLevel() : null;
+    const standings = this.isVersus ? this.getStandings() : null;
+    const replay = this.replayRecorder.finish();
+    const isRanked = !packResult && !standings && !this.readOnly && !this.tutorial;
+    const rank = isRanked && score > 0 ? this.submitToLeaderboard(replay) : null;
+
     this.notifyListeners('gameOver', {
+      score,
+      level: this.levelSystem.getLevel(),
+      highScore: this.scoreSystem.getHighScore(),
+      rank,
+      isNewHighScore: rank === 1,
+      duration: this.runStats.seconds,
+      untimed: this.isUntimed,
+      packResult,
+      standings
+    });
+  }
+
+  /**
+   * Versus standings - every player's score, the winner is null on a tie
+   */
+  getStandings() {
+    const players = this.getPlayers();
+    const best = Math.max(...players.map(player => player.score));
+    const leaders = players.filter(player => player.score === best);
+
+    return {
+      players,
+      winner: leaders.length === 1 ? leaders[0].id : null
+    };
+  }
+
+  /**
+   * Rate the finished pack level and keep it if it is a new best
+   */
+  ratePackLevel() {
+    const result = rateLevel(this.packLevel, {
+      score: this.scoreSystem.getScore(),
+      maxCombo: this.scoreSystem.getMaxCombo(),
+      rowsCleared: this.runStats.rowsCleared,
+      hintsUsed: this.levelStats.hintsUsed,
+      addsUsed: this.levelStats.addsUsed,
+      cleared: this.packCleared
+    });
+    result.isNewBest = this.levelProgress.recordResult(result);
+    return result;
+  }
+
+  /**
+   * Record the finished run on this mode's board
+   * Everything needed to replay it is stored alongside the score
+   */
+  submitToLeaderboard(replay = null) {
+    return this.leaderboard.submit(this.mode, {
       score: this.scoreSystem.getScore(),
       level: this.levelSystem.getLevel(),
-      highScore: this.scoreSystem.getHighScore()
+      duration: this.runStats.seconds,
+      mode: this.mode,
+      seed: this.seed,
+      ruleSet: this.ruleSet.id,
+      connectionSet: this.connectionValidator.setId,
+      difficulty: this.difficulty.id,
+      boardCode: this.startBoard ? this.config.boardCode : undefined,
+      replay: replay || undefined
+    });
+  }
+
+  /**
+   * Connection set of the current tutorial step - just the type it explains
+   */
+  getTutorialConnectionSet() {
+    const step = this.tutorial.getStep();
+    return { id: TUTORIAL_MODE, name: step.title, strategies: [step.strategy] };
+  }
+
+  /**
+   * Deal the current tutorial step: its board, the cells it starts with
+   * already cleared and its connection type
+   */
+  dealTutorialStep() {
+    const step = this.tutorial.getStep();
+
+    this.gridSystem.setGrid(deepClone(step.grid));
+    this.matchSystem.clearAllMatches();
+    this.matchSystem.addMatches(step.cleared);
+    this.connectionSet = this.getTutorialConnectionSet();
+    this.connectionValidator.setStrategies(this.connectionSet);
+    this.commandHistory.clear();
+    this.selectedCell = null;
+    this.boardInfo = null;
+
+    return this.gridSystem.getGrid();
+  }
+
+  /**
+   * Move the tutorial on once its step is matched - the next step's board,
+   * or the end of the tutorial after the last one
+   */
+  nextTutorialStep() {
+    if (!this.tutorial || !this.tutorial.advance()) return false;
+
+    if (this.tutorial.isFinished()) {
+      this.notifyListeners('tutorialCompleted', { steps: this.tutorial.getStepCount() });
+      if (this.stateMachine.is('playing') || this.stateMachine.is('paused')) {
+        this.stateMachine.transition('gameOver');
+      }
+      return true;
+    }
+
+    this.dealTutorialStep();
+    this.notifyListeners('tutorialStepStarted', {
+      step: this.tutorial.getStep(),
+      index: this.tutorial.getStepIndex()
+    });
+    return true;
+  }
+
+  /**
+   * Share code for the board as it stands - matched cells are left empty
+   */
+  getBoardCode() {
+    const grid = this.gridSystem.getGrid().map((row, r) =>
+      row.map((value, c) => (this.matchSystem.isMatched(r, c) ? null : value))
+    );
+
+    return encodeBoardCode({
+      grid,
+      ruleSet: this.ruleSet,
+      seed: this.seed,
+      cols: this.gridCols
     });
   }
 
@@ -535,6 +1459,8 @@ export class GameController {
     // Play click sound
     this.soundSystem.playSound('click');
 
+    const undoState = this.captureUndoState();
+
     // Get current active (non-null, non-matched) cells
     const activeCells = this.gridSystem.getActiveCells().filter(
       cell => !this.matchSystem.isMatched(cell.row, cell.col)
@@ -552,6 +1478,8 @@ export class GameController {
       return false;
     }
 
+    this.replayRecorder.record('add');
+
     console.log(`Active cells: ${activeCells.length}, will add ${addCount} new values at the end`);
 
     const grid = this.gridSystem.getGrid();
@@ -607,23 +1535,9 @@ export class GameController {
     let addedCount = 0;
     for (let i = 0; i < addCount && i < availableCells.length; i++) {
       const cell = availableCells[i];
-      let newValue;
-
-      // Smart value generation based on existing values
-      const random = Math.random();
-      if (existingValues.length > 0 && random < 0.6) {
-        if (random < 0.35) {
-          newValue = existingValues[Math.floor(Math.random() * existingValues.length)];
-        } else {
-          const baseValue = existingValues[Math.floor(Math.random() * existingValues.length)];
-          newValue = 10 - baseValue;
-          if (newValue < 1 || newValue > 9) {
-            newValue = Math.floor(Math.random() * 9) + 1;
-          }
-        }
-      } else {
-        newValue = Math.floor(Math.random() * 9) + 1;
-      }
+
+      // Smart value generation based on existing values (odds set by difficulty)
+      const newValue = this.gridSystem.generateSmartValue(existingValues);
 
       this.gridSystem.setCellValue(cell.row, cell.col, newValue);
 
@@ -635,6 +1549,7 @@ export class GameController {
     }
 
     this.resourceSystem.use('addMoves', 1);
+    this.recordCommand('add', undoState);
 
     console.log(`Added ${addedCount} new values at the end of the grid`);
 
@@ -653,8 +1568,15 @@ export class GameController {
 
   /**
    * Use hint action
+   * level: 'cell' reveals one cell, 'pair' both cells,
+   * 'path' both cells plus how they connect
    */
-  useHint() {
+  useHint(level = this.hintLevel) {
+    if (!this.hintsEnabled) {
+      this.notifyListeners('actionFailed', { action: 'hint', reason: 'hintsDisabled' });
+      return false;
+    }
+
     if (!this.resourceSystem.canUse('hints', 1)) {
       this.notifyListeners('actionFailed', { action: 'hint', reason: 'noResources' });
       return false;
@@ -663,36 +1585,68 @@ export class GameController {
     // Play click sound
     this.soundSystem.playSound('click');
 
-    const activeCells = this.gridSystem.getActiveCells().filter(
-      cell => !this.matchSystem.isMatched(cell.row, cell.col)
-    );
+    const hint = this.hintSystem.getBestHint(this.getBoardState());
+    if (!hint) {
+      this.notifyListeners('actionFailed', { action: 'hint', reason: 'noMovesAvailable' });
+      return false;
+    }
 
-    // Find first valid match
-    for (let i = 0; i < activeCells.length; i++) {
-      const cell1 = activeCells[i];
-
-      const connections = this.connectionValidator.findValidConnections(
-        cell1.row, cell1.col,
-        this.gridSystem.getGrid(),
-        this.matchSystem.getMatchedCellsSet(),
-        this.matchSystem
-      );
-
-      if (connections.length > 0) {
-        const connection = connections[0];
-        this.hintCells = [
-          { row: cell1.row, col: cell1.col },
-          { row: connection.row, col: connection.col }
-        ];
-
-        this.resourceSystem.use('hints', 1);
-        this.notifyListeners('hintShown', { cells: this.hintCells });
-        return true;
+    this.hintCells = level === 'cell' ? [hint.from] : [hint.from, hint.to];
+    this.hintInfo = {
+      level,
+      type: level === 'path' ? hint.type : null,
+      path: level === 'path' ? hint.path : null,
+      completesRow: hint.completesRow,
+      followUps: hint.followUps
+    };
+
+    this.replayRecorder.record('hint', level);
+    this.resourceSystem.use('hints', 1);
+    this.notifyListeners('hintShown', { cells: this.hintCells, ...this.hintInfo });
+    return true;
+  }
+
+  /**
+   * Set default hint level ('cell', 'pair' or 'path')
+   */
+  setHintLevel(level) {
+    this.hintLevel = level;
+    this.notifyListeners('hintLevelChanged', level);
+  }
+
+  /**
+   * Apply user settings (sound, hints) - safe to call mid-game
+   */
+  applySettings(settings) {
+    if (settings.soundEnabled !== undefined) {
+      this.soundSystem.setSfxEnabled(settings.soundEnabled);
+    }
+    if (settings.sfxVolume !== undefined) {
+      this.soundSystem.setSfxVolume(settings.sfxVolume);
+    }
+    if (settings.musicVolume !== undefined) {
+      this.soundSystem.setMusicVolume(settings.musicVolume);
+    }
+    if (settings.musicEnabled !== undefined) {
+      // Only start the music if a game is actually running
+      this.soundSystem.setMusicEnabled(settings.musicEnabled, this.isPlaying());
+    }
+
+    if (settings.showHints !== undefined) {
+      this.hintsEnabled = settings.showHints;
+      if (!this.hintsEnabled) {
+        this.hintCells = [];
+        this.hintInfo = null;
       }
     }
+    if (settings.hintLevel !== undefined && settings.hintLevel !== this.hintLevel) {
+      this.setHintLevel(settings.hintLevel);
+    }
+    if (settings.computerSpeed !== undefined) {
+      this.thinkingDelay = VERSUS.THINKING_DELAYS[settings.computerSpeed] || this.thinkingDelay;
+    }
 
-    this.notifyListeners('actionFailed', { action: 'hint', reason: 'noMovesAvailable' });
-    return false;
+    this.notifyListeners('settingsApplied', settings);
   }
 
   /**
@@ -707,6 +1661,7 @@ export class GameController {
     // Play click sound
     this.soundSystem.playSound('click');
 
+    this.replayRecorder.record('changeMode');
     this.isChangeMode = true;
     this.notifyListeners('changeModeStarted', null);
     return true;
@@ -716,9 +1671,13 @@ export class GameController {
    * Change cell value
    */
   changeCellValue(row, col, newValue) {
+    this.replayRecorder.record('change', row, col, newValue);
+    const undoState = this.captureUndoState();
+
     this.gridSystem.setCellValue(row, col, newValue);
     this.resourceSystem.use('changes', 1);
     this.isChangeMode = false;
+    this.recordCommand('change', undoState);
 
     this.notifyListeners('cellChanged', { row, col, newValue });
 
@@ -732,10 +1691,222 @@ export class GameController {
    * Cancel change mode
    */
   cancelChangeMode() {
+    this.replayRecorder.record('cancelChange');
     this.isChangeMode = false;
     this.notifyListeners('changeModeCancelled', null);
   }
 
+  /**
+   * Point every value-dependent system at a rule set
+   */
+  applyRuleSet(ruleSet) {
+    this.ruleSet = ruleSet;
+    this.gridSystem.setRuleSet(ruleSet);
+    this.matchSystem.setMatchRules(ruleSet.getMatchRules());
+  }
+
+  /**
+   * Point every difficulty-dependent system at a difficulty
+   * Resets the action allotments and drops connections it does not allow
+   */
+  applyDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.pendingDifficulty = null;
+    this.gridSystem.setProbabilities(difficulty.matchProbability, difficulty.complementProbability);
+
+    this.turnSystem.getPlayers().forEach(({ resourceSystem }) => {
+      Object.entries(difficulty.resources).forEach(([name, amount]) => {
+        resourceSystem.addResource(name, {
+          initial: amount,
+          max: amount,
+          min: 0,
+          metadata: { initialValue: amount }
+        });
+      });
+    });
+
+    this.connectionValidator.setStrategies(this.connectionSet || DEFAULT_CONNECTION_SET);
+    this.connectionValidator.getStrategyInfo().strategies
+      .filter(strategy => !difficulty.allowsStrategy(strategy.type))
+      .forEach(strategy => this.connectionValidator.disableStrategy(strategy.type));
+  }
+
+  /**
+   * Switch difficulty - right away before the first move, otherwise
+   * from the next reset so a run never changes rules halfway
+   */
+  setDifficulty(id) {
+    // Pack levels and the tutorial bring their own rules
+    if (this.packLevel || this.tutorial) return;
+
+    const difficulty = getDifficulty(id);
+
+    if (this.stateMachine.is('idle')) {
+      this.applyDifficulty(difficulty);
+      this.resetGame();
+    } else {
+      this.pendingDifficulty = difficulty;
+    }
+
+    this.notifyListeners('difficultyChanged', { difficulty: difficulty.id, pending: !!this.pendingDifficulty });
+  }
+
+  /**
+   * Snapshot the live board for the solver
+   */
+  getBoardState() {
+    return BoardState.fromSystems(this.gridSystem, this.matchSystem);
+  }
+
+  /**
+   * Let the solver play one move (demo mode)
+   */
+  playSolverMove() {
+    if (!this.stateMachine.is('playing')) return false;
+    // The demo waits while the computer takes its turn
+    if (this.isComputerTurn()) return true;
+
+    const move = this.solver.findBestMove(this.getBoardState(), {
+      maxAdds: this.resourceSystem.get('addMoves'),
+      nodeBudget: 60
+    });
+
+    if (!move) return false;
+
+    if (move.type === 'add') {
+      return this.useAddMoves();
+    }
+
+    this.playMatch(move.from, move.to);
+    return true;
+  }
+
+  /**
+   * Match a pair directly, without selecting it cell by cell (demo, replays)
+   */
+  playMatch(from, to) {
+    if (!this.stateMachine.is('playing')) return;
+
+    this.replayRecorder.record('match', from.row, from.col, to.row, to.col);
+    this.hintCells = [];
+    this.hintInfo = null;
+    this.isChangeMode = false;
+    this.selectedCell = { row: from.row, col: from.col };
+    this.attemptMatch(to.row, to.col);
+  }
+
+  /**
+   * Capture everything a player action can mutate
+   * (grid incl. row removals, matches, score/combo, action resources) -
+   * the score without its history, which grows with every match (only the
+   * entries from historyFrom on are kept)
+   */
+  captureUndoState(historyFrom) {
+    const resources = {};
+    Object.entries(this.resourceSystem.getAllResources()).forEach(([name, resource]) => {
+      // The undo budget itself is never rolled back, and neither are spent
+      // moves (a failed attempt cannot be undone, so a match should not be either)
+      if (name !== 'undos' && name !== 'moves') {
+        resources[name] = resource.current;
+      }
+    });
+
+    return deepClone({
+      level: this.levelSystem.getLevel(),
+      turn: this.turnSystem.getTurn(),
+      grid: this.gridSystem.serialize(),
+      matches: this.matchSystem.serialize(),
+      score: this.scoreSystem.getSnapshot(historyFrom),
+      resources
+    });
+  }
+
+  /**
+   * Restore a state captured by captureUndoState
+   */
+  restoreUndoState(undoState) {
+    const snapshot = deepClone(undoState);
+
+    this.gridSystem.deserialize(snapshot.grid);
+    this.matchSystem.deserialize(snapshot.matches);
+    this.scoreSystem.restoreSnapshot(snapshot.score);
+    Object.entries(snapshot.resources).forEach(([name, value]) => {
+      this.resourceSystem.set(name, value);
+    });
+
+    this.selectedCell = null;
+    this.hintCells = [];
+    this.hintInfo = null;
+    this.isChangeMode = false;
+
+    this.notifyListeners('scoreChanged', this.scoreSystem.getScore());
+  }
+
+  /**
+   * Record a completed action as a reversible command
+   */
+  recordCommand(name, undoState) {
+    // Actions that finished the level regenerate the grid - nothing to undo into;
+    // actions that ended the turn belong to the player before
+    if (this.levelSystem.getLevel() !== undoState.level || this.turnSystem.getTurn() !== undoState.turn) return;
+
+    // Redo brings back the history entries the action added
+    const redoState = this.captureUndoState(undoState.score.historyLength);
+    this.commandHistory.record({
+      name,
+      undo: () => this.restoreUndoState(undoState),
+      redo: () => this.restoreUndoState(redoState)
+    });
+  }
+
+  /**
+   * Undo the last match/add/change
+   */
+  undo() {
+    if (!this.stateMachine.is('playing')) return false;
+
+    if (!this.commandHistory.canUndo()) {
+      this.notifyListeners('actionFailed', { action: 'undo', reason: 'nothingToUndo' });
+      return false;
+    }
+
+    if (this.undoBudget !== null && !this.resourceSystem.canUse('undos', 1)) {
+      this.notifyListeners('actionFailed', { action: 'undo', reason: 'noResources' });
+      return false;
+    }
+
+    this.soundSystem.playSound('click');
+
+    this.replayRecorder.record('undo');
+    const command = this.commandHistory.undo();
+    if (this.undoBudget !== null) {
+      this.resourceSystem.use('undos', 1);
+    }
+
+    this.notifyListeners('undo', { action: command.name });
+    return true;
+  }
+
+  /**
+   * Redo the last undone action
+   */
+  redo() {
+    if (!this.stateMachine.is('playing')) return false;
+
+    if (!this.commandHistory.canRedo()) {
+      this.notifyListeners('actionFailed', { action: 'redo', reason: 'nothingToRedo' });
+      return false;
+    }
+
+    this.soundSystem.playSound('click');
+
+    this.replayRecorder.record('redo');
+    const command = this.commandHistory.redo();
+
+    this.notifyListeners('redo', { action: command.name });
+    return true;
+  }
+
   // Getters
   getScore() { return this.scoreSystem.getScore(); }
   getLevel() { return this.levelSystem.getLevel(); }
@@ -745,9 +1916,48 @@ export class GameController {
   getState() { return this.stateMachine.getState(); }
   isPlaying() { return this.stateMachine.is('playing'); }
   getResource(name) { return this.resourceSystem.get(name); }
+  getResourceMax(name) { return this.resourceSystem.getMax(name); }
+  getDifficulty() { return this.difficulty; }
   getHintCells() { return this.hintCells; }
+  getHintInfo() { return this.hintInfo; }
+  getHintLevel() { return this.hintLevel; }
   getSelectedCell() { return this.selectedCell; }
   isInChangeMode() { return this.isChangeMode; }
+  canUndo() { return this.commandHistory.canUndo(); }
+  canRedo() { return this.commandHistory.canRedo(); }
+  getMode() { return this.mode; }
+  isTimed() { return !this.isUntimed; }
+  hasMoveLimit() { return this.hasMoveBudget; }
+  getTimeLimit() { return this.timerSystem.getDuration(); }
+  getRuleSet() { return this.ruleSet; }
+  getConnectionRules() { return this.connectionValidator.getStrategyInfo(); }
+  getSeed() { return this.seed; }
+  getBoardInfo() { return this.boardInfo; }
+  getAchievements() { return this.achievementSystem.getAllAchievements(); }
+  getAchievementStats() { return this.achievementSystem.getStatistics(); }
+  getHighScore() { return this.scoreSystem.getHighScore(); }
+  getStatistics() { return this.statisticsSystem; }
+  getLeaderboard() { return this.leaderboard; }
+  getLevelProgress() { return this.levelProgress; }
+  getPackLevel() { return this.packLevel; }
+  getTutorial() { return this.tutorial; }
+  getActivePlayerIndex() { return this.turnSystem.getActiveIndex(); }
+  getOpponent() { return this.opponent; }
+  getComputerMove() { return this.computerMove; }
+  getThinkingDelay() { return this.thinkingDelay; }
+
+  /**
+   * Every player's score and Add/Change allotments, in turn order
+   */
+  getPlayers() {
+    return this.turnSystem.getPlayers().map(player => ({
+      id: player.id,
+      name: player.name,
+      score: player.scoreSystem.getScore(),
+      addMoves: player.resourceSystem.get('addMoves'),
+      changes: player.resourceSystem.get('changes')
+    }));
+  }
 
   /**
    * Subscribe to game events
@@ -766,13 +1976,22 @@ export class GameController {
    */
   serialize() {
     return {
+      mode: this.mode,
+      ruleSet: this.ruleSet.id,
+      difficulty: this.difficulty.id,
+      seed: this.seed,
+      random: this.random.serialize(),
       score: this.scoreSystem.serialize(),
       timer: this.timerSystem.serialize(),
       level: this.levelSystem.serialize(),
       resources: this.resourceSystem.serialize(),
       state: this.stateMachine.serialize(),
       grid: this.gridSystem.serialize(),
-      matches: this.matchSystem.serialize()
+      matches: this.matchSystem.serialize(),
+      connections: this.connectionValidator.serialize(),
+      levelStats: this.levelStats,
+      runStats: this.runStats,
+      replay: this.replayRecorder.serialize()
     };
   }
 
@@ -780,12 +1999,67 @@ export class GameController {
    * Deserialize game state from save
    */
   deserialize(data) {
+    this.timerSystem.stop();
+
+    if (data.difficulty) {
+      this.applyDifficulty(getDifficulty(data.difficulty));
+    }
+
     this.scoreSystem.deserialize(data.score);
     this.timerSystem.deserialize(data.timer);
     this.levelSystem.deserialize(data.level);
+    if (data.resources.moves) {
+      this.setMoveBudget(data.resources.moves.max);
+    }
     this.resourceSystem.deserialize(data.resources);
     this.stateMachine.deserialize(data.state);
     this.gridSystem.deserialize(data.grid);
     this.matchSystem.deserialize(data.matches);
+    this.commandHistory.clear();
+
+    if (data.ruleSet) {
+      this.applyRuleSet(getRuleSet(data.ruleSet));
+    }
+    if (data.connections) {
+      this.connectionValidator.deserialize(data.connections);
+    }
+    this.levelStats = { hintsUsed: 0, addsUsed: 0, seconds: 0, ...data.levelStats };
+    this.runStats = { undosUsed: 0, seconds: 0, rowsCleared: 0, ...data.runStats };
+
+    // Runs saved before replays existed cannot be replayed from the start
+    if (data.replay) {
+      this.replayRecorder.deserialize(data.replay);
+    } else {
+      this.replayRecorder.clear();
+    }
+
+    if (data.seed !== undefined) {
+      this.mode = data.mode || this.mode;
+      this.seed = data.seed;
+      this.applyModeRules();
+      this.timerSystem.maxTime = this.isTimeAttack ? TIME_ATTACK.MAX_TIME : null;
+    }
+    if (data.random) {
+      this.random.deserialize(data.random);
+    }
+
+    // Transient UI state is never persisted
+    this.selectedCell = null;
+    this.hintCells = [];
+    this.hintInfo = null;
+    this.isChangeMode = false;
+
+    // A restored run always comes back paused so the timer only
+    // resumes when the player taps Resume
+    if (this.stateMachine.is('playing')) {
+      this.stateMachine.currentState = 'paused';
+      this.stateMachine.previousState = 'playing';
+    }
+
+    this.notifyListeners('gameRestored', {
+      level: this.levelSystem.getLevel(),
+      score: this.scoreSystem.getScore(),
+      timeLeft: this.timerSystem.getTime()
+    });
   }
 }
\ No newline at end of file
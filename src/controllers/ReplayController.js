@@ -0,0 +1,195 @@
+// ============================================================================
+// FILE: src/controllers/ReplayController.js
+// ============================================================================
+
+import { GameController } from './GameController';
+
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+// How each recorded action (see ReplayRecorder) is re-enacted
+const ACTIONS = {
+  select: (game, row, col) => game.handleCellPress(row, col),
+  match: (game, row1, col1, row2, col2) => game.playMatch({ row: row1, col: col1 }, { row: row2, col: col2 }),
+  add: (game) => game.useAddMoves(),
+  hint: (game, level) => game.useHint(level),
+  changeMode: (game) => game.startChangeMode(),
+  change: (game, row, col, value) => game.changeCellValue(row, col, value),
+  cancelChange: (game) => game.cancelChangeMode(),
+  undo: (game) => game.undo(),
+  redo: (game) => game.redo(),
+  pause: (game) => game.pauseGame(),
+  resume: (game) => game.startGame(),
+  // The countdown's last tick - unless a penalty already ran it out
+  timeUp: (game) => {
+    if (game.timerSystem.isActive()) game.timerSystem.tick();
+  },
+};
+
+/**
+ * Replay Controller - plays a recorded run back on a read-only GameController
+ *
+ * The replay timeline is the run's game clock: timer ticks fall on every
+ * whole second and actions in between, in recorded order. Playback runs at
+ * 1x/2x/4x; seeking back rebuilds the run from its seed and fast-forwards.
+ */
+export class ReplayController {
+  constructor(replay, config = {}) {
+    this.replay = replay;
+    this.stepMs = config.stepMs || 100;
+    this.speed = REPLAY_SPEEDS[0];
+    this.isPlaying = false;
+    this.intervalId = null;
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Rebuild the run at its start
+   */
+  load() {
+    const { achievements, ...config } = this.replay.config;
+
+    this.game = new GameController({
+      ...config,
+      readOnly: true,
+      settings: { soundEnabled: false, musicEnabled: false }
+    });
+    if (achievements) {
+      this.game.achievementSystem.deserialize(achievements);
+    }
+    this.game.startGame();
+
+    this.index = 0;
+    this.position = 0;
+    this.lastAction = null;
+  }
+
+  /**
+   * Start playback (from the beginning once it has ended)
+   */
+  play() {
+    if (this.isPlaying) return;
+    if (this.isAtEnd()) {
+      this.seek(0);
+    }
+
+    this.isPlaying = true;
+    this.intervalId = setInterval(() => {
+      this.advance(this.position + this.stepMs * this.speed);
+    }, this.stepMs);
+
+    this.notifyListeners('playbackChanged', { isPlaying: true, speed: this.speed });
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.notifyListeners('playbackChanged', { isPlaying: false, speed: this.speed });
+  }
+
+  /**
+   * Playback speed (one of REPLAY_SPEEDS)
+   */
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) return;
+
+    this.speed = speed;
+    this.notifyListeners('playbackChanged', { isPlaying: this.isPlaying, speed });
+  }
+
+  /**
+   * Jump to a replay time (ms) - backwards means replaying from the start
+   */
+  seek(position) {
+    const target = Math.max(0, Math.min(position, this.getDuration()));
+    if (target < this.position) {
+      this.load();
+    }
+    this.advance(target);
+  }
+
+  /**
+   * Move the timeline forward to a time, ticking the clock and applying
+   * actions in recorded order
+   */
+  advance(target) {
+    const end = Math.min(target, this.getDuration());
+    const actions = this.replay.actions;
+
+    for (;;) {
+      const action = actions[this.index];
+      const nextTick = this.game.timerSystem.isActive()
+        ? (this.game.runStats.seconds + 1) * 1000
+        : Infinity;
+
+      if (action && action[0] <= end && action[0] < nextTick) {
+        this.apply(action);
+        this.index++;
+      } else if (nextTick <= end) {
+        this.game.timerSystem.tick();
+      } else {
+        break;
+      }
+    }
+
+    this.position = end;
+    this.notifyListeners('progress', { position: this.position, duration: this.getDuration() });
+
+    if (this.isAtEnd()) {
+      this.pause();
+      this.notifyListeners('ended', null);
+    }
+  }
+
+  /**
+   * Re-enact one recorded action
+   */
+  apply(action) {
+    const [, type, ...args] = action;
+    const handler = ACTIONS[type];
+    if (!handler) return;
+
+    handler(this.game, ...args);
+    this.lastAction = action;
+  }
+
+  /**
+   * Stop playback for good
+   */
+  destroy() {
+    this.pause();
+    this.listeners.clear();
+  }
+
+  // Getters
+  getGame() { return this.game; }
+  getPosition() { return this.position; }
+  getDuration() { return this.replay.duration; }
+  getSpeed() { return this.speed; }
+  getLastAction() { return this.lastAction; }
+  getActionCount() { return this.replay.actions.length; }
+  getActionIndex() { return this.index; }
+  isAtEnd() { return this.position >= this.getDuration(); }
+
+  /**
+   * Subscribe to playback events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
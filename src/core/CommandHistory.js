@@ -0,0 +1,87 @@
+// ============================================================================
+// FILE: src/core/CommandHistory.js
+// ============================================================================
+
+/**
+ * Universal Command History
+ * Undo/redo stack of reversible commands
+ * A command is any object with { name, undo(), redo() }
+ */
+export class CommandHistory {
+  constructor(config = {}) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxSize = config.maxSize || 50;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record an already-executed command
+   * Recording a new command invalidates everything that was undone
+   */
+  record(command) {
+    this.undoStack.push(command);
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.maxSize) {
+      this.undoStack.shift();
+    }
+
+    this.notifyListeners('commandRecorded', { name: command.name });
+  }
+
+  /**
+   * Revert the most recent command
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    command.undo();
+    this.redoStack.push(command);
+
+    this.notifyListeners('undone', { name: command.name });
+    return command;
+  }
+
+  /**
+   * Re-apply the most recently undone command
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    command.redo();
+    this.undoStack.push(command);
+
+    this.notifyListeners('redone', { name: command.name });
+    return command;
+  }
+
+  // Getters
+  canUndo() { return this.undoStack.length > 0; }
+  canRedo() { return this.redoStack.length > 0; }
+  getUndoCount() { return this.undoStack.length; }
+  getRedoCount() { return this.redoStack.length; }
+
+  /**
+   * Forget all commands
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyListeners('cleared', null);
+  }
+
+  /**
+   * Subscribe to history events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
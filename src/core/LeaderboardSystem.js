@@ -0,0 +1,96 @@
+// ============================================================================
+// FILE: src/core/LeaderboardSystem.js
+// ============================================================================
+
+/**
+ * Universal Leaderboard System
+ * Keeps the top N entries of any number of local boards (e.g. one per mode)
+ * Features: Ranked submission, per-board top score, save/load
+ */
+export class LeaderboardSystem {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 10;
+    this.boards = {};
+    this.listeners = new Set();
+  }
+
+  /**
+   * Submit an entry ({ score, ...details })
+   * Returns its 1-based rank, or null if it did not make the board
+   */
+  submit(board, entry) {
+    const record = {
+      id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+      date: Date.now(),
+      ...entry
+    };
+
+    const entries = [...(this.boards[board] || []), record]
+      .sort((a, b) => b.score - a.score || a.date - b.date)
+      .slice(0, this.maxEntries);
+
+    const index = entries.indexOf(record);
+    if (index === -1) return null;
+
+    this.boards[board] = entries;
+    this.notifyListeners('entrySubmitted', { board, entry: record, rank: index + 1 });
+    return index + 1;
+  }
+
+  /**
+   * Rank a score would get without submitting it (null if off the board)
+   */
+  getRankForScore(board, score) {
+    const entries = this.boards[board] || [];
+    const index = entries.findIndex(entry => score > entry.score);
+
+    if (index !== -1) return index + 1;
+    return entries.length < this.maxEntries ? entries.length + 1 : null;
+  }
+
+  // Getters
+  getEntries(board) { return [...(this.boards[board] || [])]; }
+  getTopScore(board) { return this.boards[board]?.[0]?.score || 0; }
+  getBoards() { return Object.keys(this.boards); }
+
+  /**
+   * Clear one board (or all of them)
+   */
+  clear(board = null) {
+    if (board) {
+      delete this.boards[board];
+    } else {
+      this.boards = {};
+    }
+    this.notifyListeners('cleared', { board });
+  }
+
+  /**
+   * Subscribe to leaderboard events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      boards: this.boards
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.boards = data.boards || {};
+    this.notifyListeners('loaded', null);
+  }
+}
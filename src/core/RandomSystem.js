@@ -0,0 +1,117 @@
+// ============================================================================
+// FILE: src/core/RandomSystem.js
+// ============================================================================
+
+/**
+ * Universal Random System
+ * Seeded, deterministic PRNG (mulberry32) - same seed, same sequence
+ * Seeds can be numbers or strings (hashed with FNV-1a)
+ */
+export class RandomSystem {
+  constructor(config = {}) {
+    this.seed = config.seed !== undefined ? config.seed : RandomSystem.generateSeed();
+    this.state = RandomSystem.hashSeed(this.seed);
+
+    // Bound so it can be passed around like Math.random
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [min, max]
+   */
+  nextInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Restart the sequence with a new seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.state = RandomSystem.hashSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from the current seed
+   */
+  reset() {
+    this.state = RandomSystem.hashSeed(this.seed);
+  }
+
+  getSeed() { return this.seed; }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      seed: this.seed,
+      state: this.state
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.seed = data.seed !== undefined ? data.seed : this.seed;
+    this.state = data.state !== undefined ? data.state : RandomSystem.hashSeed(this.seed);
+  }
+
+  /**
+   * Hash any seed (number or string) to a 32-bit state
+   */
+  static hashSeed(seed) {
+    if (typeof seed === 'number') {
+      return seed >>> 0;
+    }
+
+    // FNV-1a
+    const str = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Derive a stable sub-seed (e.g. one per level) from a base seed
+   */
+  static deriveSeed(seed, salt) {
+    return RandomSystem.hashSeed(`${seed}:${salt}`);
+  }
+
+  /**
+   * Fresh non-deterministic seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Seed shared by everyone on the same calendar day (UTC)
+   */
+  static dailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+  }
+}
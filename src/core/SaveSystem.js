@@ -0,0 +1,139 @@
+// ============================================================================
+// FILE: src/core/SaveSystem.js
+// ============================================================================
+
+import { storage } from './StorageSystem';
+import { STORAGE_KEYS } from '../utils/constants';
+
+/**
+ * Universal Save System
+ * Autosaves any target exposing serialize()/deserialize()/subscribe()
+ * Features: Event-driven snapshots, restore, enable/disable toggle
+ */
+export class SaveSystem {
+  constructor(config = {}) {
+    this.storage = config.storage || storage;
+    this.storageKey = config.storageKey || STORAGE_KEYS.GAME_STATE;
+    this.enabled = config.enabled !== false;
+    this.version = config.version || 1;
+
+    // Target events that trigger a snapshot / wipe the save
+    this.saveEvents = config.saveEvents || [];
+    this.clearEvents = config.clearEvents || [];
+
+    this.target = null;
+    this.unsubscribeTarget = null;
+    this.lastSavedAt = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Attach to a target and start listening for its events
+   */
+  attach(target) {
+    this.detach();
+    this.target = target;
+
+    this.unsubscribeTarget = target.subscribe((event) => {
+      if (this.saveEvents.includes(event)) {
+        this.save();
+      } else if (this.clearEvents.includes(event)) {
+        this.clear();
+      }
+    });
+  }
+
+  /**
+   * Stop listening to the current target
+   */
+  detach() {
+    if (this.unsubscribeTarget) {
+      this.unsubscribeTarget();
+      this.unsubscribeTarget = null;
+    }
+    this.target = null;
+  }
+
+  /**
+   * Snapshot the target into storage
+   */
+  async save() {
+    if (!this.enabled || !this.target) return false;
+
+    const snapshot = {
+      version: this.version,
+      savedAt: Date.now(),
+      data: this.target.serialize()
+    };
+
+    const saved = await this.storage.save(this.storageKey, snapshot);
+    if (saved) {
+      this.lastSavedAt = snapshot.savedAt;
+      this.notifyListeners('saved', snapshot);
+    }
+    return saved;
+  }
+
+  /**
+   * Load the stored snapshot (null if none or incompatible)
+   */
+  async load() {
+    const snapshot = await this.storage.load(this.storageKey);
+    if (!snapshot || !snapshot.data) return null;
+
+    if (snapshot.version !== this.version) {
+      console.warn(`Discarding save with version ${snapshot.version}`);
+      return null;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Load the stored snapshot into the target
+   */
+  async restore(snapshot = null) {
+    const data = snapshot || await this.load();
+    if (!data || !this.target) return false;
+
+    this.target.deserialize(data.data);
+    this.notifyListeners('restored', data);
+    return true;
+  }
+
+  /**
+   * Delete the stored snapshot
+   */
+  async clear() {
+    const removed = await this.storage.remove(this.storageKey);
+    if (removed) {
+      this.lastSavedAt = null;
+      this.notifyListeners('cleared', null);
+    }
+    return removed;
+  }
+
+  /**
+   * Enable/disable autosave
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.notifyListeners('enabledChanged', enabled);
+  }
+
+  // Getters
+  isEnabled() { return this.enabled; }
+  getLastSavedAt() { return this.lastSavedAt; }
+
+  /**
+   * Subscribe to save events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
@@ -47,6 +47,16 @@ export class ScoreSystem {
     return multipliedPoints;
   }
 
+  /**
+   * Raise the high score (e.g. to a best loaded from storage)
+   */
+  setHighScore(value) {
+    if (value > this.highScore) {
+      this.highScore = value;
+      this.notifyListeners('highScoreChanged', this.highScore);
+    }
+  }
+
   /**
    * Set score multiplier
    */
@@ -152,6 +162,41 @@ export class ScoreSystem {
     this.notifyListeners('reset', null);
   }
 
+  /**
+   * Current totals without the score history (small enough to keep per move)
+   * History entries from historyFrom on are kept, so restoring puts them back
+   */
+  getSnapshot(historyFrom = this.scoreHistory.length) {
+    return {
+      score: this.score,
+      highScore: this.highScore,
+      multiplier: this.multiplier,
+      combo: this.combo,
+      maxCombo: this.maxCombo,
+      streak: this.streak,
+      historyLength: this.scoreHistory.length,
+      historyEntries: this.scoreHistory.slice(historyFrom),
+      lastScoreTime: this.lastScoreTime
+    };
+  }
+
+  /**
+   * Go back (or forward) to totals from getSnapshot - the history is cut
+   * back to the snapshot and gets the entries it kept
+   */
+  restoreSnapshot(snapshot) {
+    const kept = snapshot.historyLength - snapshot.historyEntries.length;
+
+    this.score = snapshot.score;
+    this.highScore = snapshot.highScore;
+    this.multiplier = snapshot.multiplier;
+    this.combo = snapshot.combo;
+    this.maxCombo = snapshot.maxCombo;
+    this.streak = snapshot.streak;
+    this.scoreHistory = [...this.scoreHistory.slice(0, kept), ...snapshot.historyEntries];
+    this.lastScoreTime = snapshot.lastScoreTime;
+  }
+
   /**
    * Serialize for save/load
    */
@@ -0,0 +1,113 @@
+// ============================================================================
+// FILE: src/core/SettingsSystem.js
+// ============================================================================
+
+import { DEFAULT_SETTINGS } from '../utils/constants';
+
+/**
+ * Universal Settings System
+ * Holds user preferences on top of a set of defaults
+ * Features: Typed updates (unknown keys ignored), change broadcast, save/load
+ */
+export class SettingsSystem {
+  constructor(config = {}) {
+    this.defaults = { ...(config.defaults || DEFAULT_SETTINGS) };
+    this.settings = { ...this.defaults };
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get one setting
+   */
+  get(key) {
+    return this.settings[key];
+  }
+
+  /**
+   * Get a copy of every setting
+   */
+  getAll() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change one setting
+   */
+  set(key, value) {
+    return this.update({ [key]: value });
+  }
+
+  /**
+   * Change several settings at once
+   * Values must match the type of the default; volumes are clamped to 0-1
+   */
+  update(changes) {
+    const applied = {};
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!(key in this.defaults)) {
+        console.warn(`Unknown setting: ${key}`);
+        return;
+      }
+      if (typeof value !== typeof this.defaults[key]) {
+        console.warn(`Invalid value for setting ${key}:`, value);
+        return;
+      }
+
+      const normalized = key.endsWith('Volume') ? Math.max(0, Math.min(1, value)) : value;
+      if (this.settings[key] !== normalized) {
+        this.settings[key] = normalized;
+        applied[key] = normalized;
+      }
+    });
+
+    if (Object.keys(applied).length === 0) return false;
+
+    this.notifyListeners('settingsChanged', { changes: applied, settings: this.getAll() });
+    return true;
+  }
+
+  /**
+   * Restore defaults
+   */
+  reset() {
+    this.settings = { ...this.defaults };
+    this.notifyListeners('settingsReset', { settings: this.getAll() });
+  }
+
+  /**
+   * Subscribe to settings events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return this.getAll();
+  }
+
+  /**
+   * Deserialize from saved data (keys added since the save keep their defaults)
+   */
+  deserialize(data) {
+    this.settings = { ...this.defaults };
+    Object.entries(data || {}).forEach(([key, value]) => {
+      if (key in this.defaults && typeof value === typeof this.defaults[key]) {
+        this.settings[key] = value;
+      }
+    });
+
+    this.notifyListeners('settingsLoaded', { settings: this.getAll() });
+  }
+}
+
+// Shared app-wide instance
+export const settings = new SettingsSystem();
@@ -205,12 +205,13 @@ export class SoundSystem {
 
   /**
    * Enable/disable music
+   * autoplay: start the music right away when enabling
    */
-  async setMusicEnabled(enabled) {
+  async setMusicEnabled(enabled, autoplay = true) {
     this.musicEnabled = enabled;
     
     if (enabled) {
-      await this.playMusic();
+      if (autoplay) await this.playMusic();
     } else {
       await this.stopMusic();
     }
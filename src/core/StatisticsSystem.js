@@ -0,0 +1,165 @@
+// ============================================================================
+// FILE: src/core/StatisticsSystem.js
+// ============================================================================
+
+/**
+ * Universal Statistics System
+ * Aggregates lifetime numbers across sessions
+ * Features: Counters, bests, running averages, bucketed histograms
+ *
+ * Updates are silent; call commit() once a batch is done so listeners
+ * (e.g. a SaveSystem) react once per game event rather than per number
+ */
+export class StatisticsSystem {
+  constructor(config = {}) {
+    this.counters = {};
+    this.maxima = {};
+    this.averages = {}; // name -> { total, count }
+    this.histograms = {}; // name -> { bucket: count }
+    this.firstRecordedAt = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Add to a counter
+   */
+  increment(name, amount = 1) {
+    this.touch();
+    this.counters[name] = (this.counters[name] || 0) + amount;
+    return this.counters[name];
+  }
+
+  /**
+   * Keep the highest value seen (returns true on a new best)
+   */
+  recordMax(name, value) {
+    this.touch();
+    if (this.maxima[name] !== undefined && value <= this.maxima[name]) return false;
+
+    this.maxima[name] = value;
+    return true;
+  }
+
+  /**
+   * Add a sample to a running average
+   */
+  recordAverage(name, value) {
+    this.touch();
+    const average = this.averages[name] || { total: 0, count: 0 };
+    average.total += value;
+    average.count++;
+    this.averages[name] = average;
+  }
+
+  /**
+   * Count an occurrence in a histogram bucket
+   */
+  recordBucket(name, bucket, amount = 1) {
+    this.touch();
+    const histogram = this.histograms[name] || {};
+    histogram[bucket] = (histogram[bucket] || 0) + amount;
+    this.histograms[name] = histogram;
+  }
+
+  /**
+   * Remember when tracking started
+   */
+  touch() {
+    if (!this.firstRecordedAt) {
+      this.firstRecordedAt = Date.now();
+    }
+  }
+
+  /**
+   * Tell listeners a batch of updates is complete
+   */
+  commit() {
+    this.notifyListeners('statisticsUpdated', null);
+  }
+
+  // Getters
+  getCounter(name) { return this.counters[name] || 0; }
+  getMax(name) { return this.maxima[name] !== undefined ? this.maxima[name] : null; }
+  getHistogram(name) { return { ...this.histograms[name] }; }
+  getFirstRecordedAt() { return this.firstRecordedAt; }
+
+  /**
+   * Average of a series (null if no samples yet)
+   */
+  getAverage(name) {
+    const average = this.averages[name];
+    return average && average.count > 0 ? average.total / average.count : null;
+  }
+
+  /**
+   * Number of samples in a series
+   */
+  getSampleCount(name) {
+    return this.averages[name]?.count || 0;
+  }
+
+  /**
+   * Averages whose names share a prefix, keyed by the rest of the name
+   * e.g. 'levelTime.' -> { 1: 48.5, 2: 73 }
+   */
+  getAveragesByPrefix(prefix) {
+    const result = {};
+
+    Object.keys(this.averages).forEach(name => {
+      if (name.startsWith(prefix)) {
+        result[name.slice(prefix.length)] = this.getAverage(name);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Subscribe to statistics events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Reset all statistics
+   */
+  reset() {
+    this.counters = {};
+    this.maxima = {};
+    this.averages = {};
+    this.histograms = {};
+    this.firstRecordedAt = null;
+    this.notifyListeners('reset', null);
+  }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      counters: this.counters,
+      maxima: this.maxima,
+      averages: this.averages,
+      histograms: this.histograms,
+      firstRecordedAt: this.firstRecordedAt
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.counters = data.counters || {};
+    this.maxima = data.maxima || {};
+    this.averages = data.averages || {};
+    this.histograms = data.histograms || {};
+    this.firstRecordedAt = data.firstRecordedAt || null;
+    this.notifyListeners('loaded', null);
+  }
+}
@@ -0,0 +1,74 @@
+// ============================================================================
+// FILE: src/core/StorageSystem.js
+// ============================================================================
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { safeJsonParse, safeJsonStringify } from '../utils/helpers';
+
+/**
+ * Universal Storage System
+ * JSON key/value persistence on top of AsyncStorage
+ * Every persisted system (saves, settings, stats...) goes through this
+ */
+export class StorageSystem {
+  constructor(config = {}) {
+    this.backend = config.backend || AsyncStorage;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load and parse a stored value
+   */
+  async load(key, fallback = null) {
+    try {
+      const raw = await this.backend.getItem(key);
+      if (raw === null || raw === undefined) return fallback;
+      return safeJsonParse(raw, fallback);
+    } catch (error) {
+      console.error(`Error loading ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Stringify and store a value
+   */
+  async save(key, value) {
+    try {
+      await this.backend.setItem(key, safeJsonStringify(value));
+      this.notifyListeners('saved', { key });
+      return true;
+    } catch (error) {
+      console.error(`Error saving ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a stored value
+   */
+  async remove(key) {
+    try {
+      await this.backend.removeItem(key);
+      this.notifyListeners('removed', { key });
+      return true;
+    } catch (error) {
+      console.error(`Error removing ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to storage events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
+
+export const storage = new StorageSystem();
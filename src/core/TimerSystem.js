@@ -18,6 +18,8 @@ export class TimerSystem {
     this.listeners = new Set();
     this.onComplete = config.onComplete || null;
     this.tickRate = config.tickRate || 1000; // milliseconds
+    this.maxTime = config.maxTime || null; // cap for addTime (null = none)
+    this.manual = config.manual || false; // true = no interval, tick() is driven from outside (e.g. replays)
     this.elapsedTime = 0;
   }
 
@@ -30,9 +32,11 @@ export class TimerSystem {
     this.isRunning = true;
     this.isPaused = false;
     
-    this.intervalId = setInterval(() => {
-      this.tick();
-    }, this.tickRate);
+    if (!this.manual) {
+      this.intervalId = setInterval(() => {
+        this.tick();
+      }, this.tickRate);
+    }
     
     this.notifyListeners('started', this.currentTime);
   }
@@ -96,12 +100,7 @@ export class TimerSystem {
       this.elapsedTime++;
       
       if (this.currentTime <= 0) {
-        this.currentTime = 0;
-        this.stop();
-        if (this.onComplete) {
-          this.onComplete();
-        }
-        this.notifyListeners('complete', null);
+        this.complete();
       }
     } else {
       this.currentTime++;
@@ -112,19 +111,42 @@ export class TimerSystem {
   }
 
   /**
-   * Add time to the timer
+   * Countdown reached zero
+   */
+  complete() {
+    this.currentTime = 0;
+    this.stop();
+    if (this.onComplete) {
+      this.onComplete();
+    }
+    this.notifyListeners('complete', null);
+  }
+
+  /**
+   * Add time to the timer (up to maxTime)
+   * A countdown pushed past its duration grows the duration with it
    */
   addTime(seconds) {
     this.currentTime += seconds;
+    if (this.maxTime !== null) {
+      this.currentTime = Math.min(this.currentTime, this.maxTime);
+    }
+    if (this.mode === 'countdown') {
+      this.duration = Math.max(this.duration, this.currentTime);
+    }
     this.notifyListeners('timeAdded', seconds);
   }
 
   /**
-   * Subtract time from the timer
+   * Subtract time from the timer (a running countdown can run out)
    */
   subtractTime(seconds) {
     this.currentTime = Math.max(0, this.currentTime - seconds);
     this.notifyListeners('timeSubtracted', seconds);
+
+    if (this.mode === 'countdown' && this.currentTime === 0 && this.isRunning) {
+      this.complete();
+    }
   }
 
   // Getters
@@ -195,7 +217,8 @@ export class TimerSystem {
    */
   deserialize(data) {
     this.duration = data.duration || 60;
-    this.currentTime = data.currentTime || this.duration;
+    // 0 is a legitimate remaining time - only fall back when missing
+    this.currentTime = data.currentTime !== undefined ? data.currentTime : this.duration;
     this.elapsedTime = data.elapsedTime || 0;
     this.mode = data.mode || 'countdown';
     // Don't restore running state - user must manually start
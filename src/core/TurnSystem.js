@@ -0,0 +1,82 @@
+// ============================================================================
+// FILE: src/core/TurnSystem.js
+// ============================================================================
+
+/**
+ * Universal Turn System
+ * Players taking turns in a fixed order
+ * A player is any object - the system only adds its seat index as id
+ */
+export class TurnSystem {
+  constructor(config = {}) {
+    this.players = (config.players || []).map((player, index) => ({ ...player, id: index }));
+    this.activeIndex = 0;
+    this.turn = 1;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Hand the turn to the next player in order
+   */
+  nextTurn() {
+    if (this.players.length === 0) return null;
+
+    this.activeIndex = (this.activeIndex + 1) % this.players.length;
+    this.turn++;
+
+    this.notifyListeners('turnChanged', {
+      player: this.getActivePlayer(),
+      index: this.activeIndex,
+      turn: this.turn
+    });
+    return this.getActivePlayer();
+  }
+
+  // Getters
+  getPlayers() { return this.players; }
+  getPlayer(index) { return this.players[index] || null; }
+  getPlayerCount() { return this.players.length; }
+  getActivePlayer() { return this.players[this.activeIndex] || null; }
+  getActiveIndex() { return this.activeIndex; }
+  getTurn() { return this.turn; }
+
+  /**
+   * Back to the first player's first turn
+   */
+  reset() {
+    this.activeIndex = 0;
+    this.turn = 1;
+    this.notifyListeners('reset', null);
+  }
+
+  /**
+   * Subscribe to turn events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      activeIndex: this.activeIndex,
+      turn: this.turn
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.activeIndex = data.activeIndex < this.players.length ? data.activeIndex : 0;
+    this.turn = data.turn || 1;
+    this.notifyListeners('loaded', null);
+  }
+}
@@ -0,0 +1,36 @@
+import { ScoreSystem } from '../ScoreSystem';
+
+describe('ScoreSystem snapshots', () => {
+  it('go back to earlier totals and cut the history back', () => {
+    const score = new ScoreSystem();
+    score.addScore(5);
+    score.incrementCombo();
+    const before = score.getSnapshot();
+
+    score.addScore(4);
+    score.incrementCombo();
+    score.restoreSnapshot(before);
+
+    expect(score.getScore()).toBe(5);
+    expect(score.getCombo()).toBe(1);
+    expect(score.getScoreHistory()).toHaveLength(1);
+  });
+
+  it('put back the history entries they kept', () => {
+    const score = new ScoreSystem();
+    score.addScore(5);
+    const before = score.getSnapshot();
+
+    score.addScore(4, { type: 'adjacent' });
+    score.addScore(10, { type: 'rowBonus' });
+    const after = score.getSnapshot(before.historyLength);
+    const history = score.getScoreHistory();
+
+    score.restoreSnapshot(before);
+    score.restoreSnapshot(after);
+
+    expect(after.historyEntries).toHaveLength(2);
+    expect(score.getScore()).toBe(19);
+    expect(score.getScoreHistory()).toEqual(history);
+  });
+});
@@ -0,0 +1,56 @@
+import { TurnSystem } from '../TurnSystem';
+
+const createTurns = () => new TurnSystem({ players: [{ name: 'One' }, { name: 'Two' }, { name: 'Three' }] });
+
+describe('TurnSystem', () => {
+  it('seats the players in order', () => {
+    const turns = createTurns();
+    expect(turns.getPlayers().map(player => player.id)).toEqual([0, 1, 2]);
+    expect(turns.getActivePlayer().name).toBe('One');
+    expect(turns.getTurn()).toBe(1);
+  });
+
+  it('hands the turn on and wraps around', () => {
+    const turns = createTurns();
+    const events = [];
+    turns.subscribe((event, data) => events.push([event, data.index, data.turn]));
+
+    expect(turns.nextTurn().name).toBe('Two');
+    expect(turns.nextTurn().name).toBe('Three');
+    expect(turns.nextTurn().name).toBe('One');
+    expect(turns.getTurn()).toBe(4);
+    expect(events).toEqual([['turnChanged', 1, 2], ['turnChanged', 2, 3], ['turnChanged', 0, 4]]);
+  });
+
+  it('has no turns without players', () => {
+    const turns = new TurnSystem();
+    expect(turns.nextTurn()).toBeNull();
+    expect(turns.getActivePlayer()).toBeNull();
+  });
+
+  it('goes back to the first turn on reset', () => {
+    const turns = createTurns();
+    turns.nextTurn();
+    turns.reset();
+    expect(turns.getActiveIndex()).toBe(0);
+    expect(turns.getTurn()).toBe(1);
+  });
+
+  it('restores the player on turn', () => {
+    const turns = createTurns();
+    turns.nextTurn();
+    turns.nextTurn();
+
+    const restored = createTurns();
+    restored.deserialize(turns.serialize());
+    expect(restored.getActivePlayer().name).toBe('Three');
+    expect(restored.getTurn()).toBe(3);
+  });
+
+  it('falls back to the first player for a seat that does not exist', () => {
+    const turns = new TurnSystem({ players: [{ name: 'One' }, { name: 'Two' }] });
+    turns.deserialize({ activeIndex: 5, turn: 8 });
+    expect(turns.getActiveIndex()).toBe(0);
+    expect(turns.getTurn()).toBe(8);
+  });
+});
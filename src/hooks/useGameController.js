@@ -3,7 +3,18 @@
 // ============================================================================
 
 import { useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
 import { GameController } from '../controllers/GameController';
+import { SaveSystem } from '../core/SaveSystem';
+import { settings } from '../core/SettingsSystem';
+import { getRuleSet } from '../systems/RuleSet';
+import { getDifficulty } from '../systems/Difficulty';
+import { loadSettings } from './useSettings';
+import { HINT_LEVELS, STORAGE_KEYS, PACK_MODE, VERSUS_MODE } from '../utils/constants';
+
+// Controller events that snapshot / wipe the autosave
+const AUTOSAVE_EVENTS = ['matchSuccess', 'gamePaused', 'levelUp', 'addMovesUsed', 'cellChanged', 'undo', 'redo'];
+const AUTOSAVE_CLEAR_EVENTS = ['gameOver', 'gameReset'];
 
 /**
  * Custom hook to manage GameController
@@ -11,28 +22,63 @@ import { GameController } from '../controllers/GameController';
  */
 export const useGameController = (config = {}) => {
   const controllerRef = useRef(null);
+  const saveSystemRef = useRef(null);
+  const achievementSaveRef = useRef(null);
+  const statisticsSaveRef = useRef(null);
+  const leaderboardSaveRef = useRef(null);
+  const levelProgressSaveRef = useRef(null);
+  const demoIntervalRef = useRef(null);
+  const computerTimeoutRef = useRef(null);
+  const [savedGame, setSavedGame] = useState(null);
+  const [isDemoRunning, setIsDemoRunning] = useState(false);
   const [gameState, setGameState] = useState({
+    mode: config.packLevel ? PACK_MODE : (config.mode || 'classic'),
+    packLevel: config.packLevel || null,
+    isTimed: !['zen', 'moves', VERSUS_MODE].includes(config.mode),
+    hasMoveLimit: config.mode === 'moves',
+    ruleSet: getRuleSet(config.ruleSet),
+    difficulty: getDifficulty(config.difficulty),
+    connectionRules: null,
+    seed: config.seed,
     score: 0,
+    highScore: 0,
     level: 1,
-    timeLeft: config.initialTime || 420,
+    timeLeft: getDifficulty(config.difficulty).initialTime,
+    timeLimit: getDifficulty(config.difficulty).initialTime,
     grid: [],
     matchedCells: [],
     selectedCell: null,
     hintCells: [],
+    hintInfo: null,
+    hintLevel: settings.get('hintLevel'),
     isPlaying: false,
     isPaused: false,
     isGameOver: false,
     isChangeMode: false,
+    canUndo: false,
+    canRedo: false,
+    boardInfo: null,
+    players: [],
+    activePlayer: 0,
+    opponent: null,
+    isComputerTurn: false,
+    computerMove: null,
     resources: {
       addMoves: 0,
       hints: 3,
-      changes: 0
+      changes: 0,
+      undos: 0
+    },
+    resourceLimits: {
+      addMoves: 5,
+      hints: 5,
+      changes: 5
     }
   });
 
   // Initialize controller
   useEffect(() => {
-    controllerRef.current = new GameController(config);
+    controllerRef.current = new GameController({ ...config, settings: settings.getAll() });
     
     // Subscribe to all game events
     const unsubscribe = controllerRef.current.subscribe((event, data) => {
@@ -40,11 +86,94 @@ export const useGameController = (config = {}) => {
     });
 
     // Initialize grid
-    controllerRef.current.gridSystem.generateGrid();
+    controllerRef.current.generateLevelGrid();
     updateGameState();
 
+    // Autosave (pack levels and board codes always start from their designed
+    // board, versus runs are played in one sitting)
+    const isVersus = config.mode === VERSUS_MODE;
+    const canAutosave = () => settings.get('autoSave') && !config.packLevel && !config.boardCode && !isVersus;
+    saveSystemRef.current = new SaveSystem({
+      enabled: canAutosave(),
+      saveEvents: AUTOSAVE_EVENTS,
+      clearEvents: AUTOSAVE_CLEAR_EVENTS
+    });
+    saveSystemRef.current.attach(controllerRef.current);
+
+    // Settings apply live - only the changed keys on edits, everything on load/reset
+    const unsubscribeSettings = settings.subscribe((event, data) => {
+      controllerRef.current?.applySettings(event === 'settingsChanged' ? data.changes : data.settings);
+      saveSystemRef.current?.setEnabled(canAutosave());
+
+      // Difficulty only follows edits, never the load (a replay keeps its own)
+      if (event === 'settingsReset' || (event === 'settingsChanged' && data.changes.difficulty)) {
+        controllerRef.current?.setDifficulty(data.settings.difficulty);
+      }
+      updateGameState();
+    });
+    loadSettings();
+
+    // Achievements persist across runs - saved whenever they move
+    achievementSaveRef.current = new SaveSystem({
+      storageKey: STORAGE_KEYS.ACHIEVEMENTS,
+      saveEvents: ['achievementProgress', 'achievementUnlocked']
+    });
+    achievementSaveRef.current.attach(controllerRef.current.achievementSystem);
+    achievementSaveRef.current.restore();
+
+    // Lifetime statistics - saved once per tracked game event
+    statisticsSaveRef.current = new SaveSystem({
+      storageKey: STORAGE_KEYS.STATISTICS,
+      saveEvents: ['statisticsUpdated']
+    });
+    statisticsSaveRef.current.attach(controllerRef.current.statisticsSystem);
+    statisticsSaveRef.current.restore();
+
+    // Per-mode leaderboards - also the source of the high score
+    leaderboardSaveRef.current = new SaveSystem({
+      storageKey: STORAGE_KEYS.HIGH_SCORE,
+      saveEvents: ['entrySubmitted', 'cleared']
+    });
+    leaderboardSaveRef.current.attach(controllerRef.current.leaderboard);
+    leaderboardSaveRef.current.restore().then(restored => {
+      if (restored) updateGameState();
+    });
+
+    // Pack level stars - saved whenever a level gets a new best
+    levelProgressSaveRef.current = new SaveSystem({
+      storageKey: STORAGE_KEYS.LEVEL_PROGRESS,
+      saveEvents: ['progressUpdated']
+    });
+    levelProgressSaveRef.current.attach(controllerRef.current.levelProgress);
+    levelProgressSaveRef.current.restore();
+
+    // Offer the last unfinished run (if any) - not over a board picked on
+    // purpose, and only in the mode it was played in
+    if (!config.packLevel && !config.boardCode && !isVersus) {
+      saveSystemRef.current.load().then(snapshot => {
+        if (snapshot && snapshot.data.mode === controllerRef.current?.getMode()) setSavedGame(snapshot);
+      });
+    }
+
+    // Pause and snapshot when the app leaves the foreground
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'background' || nextState === 'inactive') {
+        controllerRef.current?.pauseGame();
+        saveSystemRef.current?.save();
+      }
+    });
+
     return () => {
       unsubscribe();
+      unsubscribeSettings();
+      stopDemo();
+      stopComputerTurn();
+      appStateSubscription.remove();
+      saveSystemRef.current?.detach();
+      achievementSaveRef.current?.detach();
+      statisticsSaveRef.current?.detach();
+      leaderboardSaveRef.current?.detach();
+      levelProgressSaveRef.current?.detach();
     };
   }, []);
 
@@ -55,6 +184,7 @@ export const useGameController = (config = {}) => {
     switch (event) {
       case 'stateChanged':
         updateGameState();
+        scheduleComputerStep();
         break;
       case 'scoreChanged':
         updateGameState();
@@ -71,8 +201,19 @@ export const useGameController = (config = {}) => {
       case 'changeModeStarted':
       case 'changeModeCancelled':
       case 'cellChanged':
+      case 'gameRestored':
+      case 'undo':
+      case 'redo':
+      case 'hintLevelChanged':
+      case 'rewardGranted':
+      case 'timeChanged':
+      case 'movesScored':
         updateGameState();
         break;
+      case 'turnChanged':
+        updateGameState();
+        scheduleComputerStep();
+        break;
       default:
         break;
     }
@@ -87,25 +228,109 @@ export const useGameController = (config = {}) => {
     const controller = controllerRef.current;
     
     setGameState({
+      mode: controller.getMode(),
+      packLevel: controller.getPackLevel(),
+      isTimed: controller.isTimed(),
+      hasMoveLimit: controller.hasMoveLimit(),
+      ruleSet: controller.getRuleSet(),
+      difficulty: controller.getDifficulty(),
+      connectionRules: controller.getConnectionRules(),
+      seed: controller.getSeed(),
       score: controller.getScore(),
+      highScore: controller.getHighScore(),
       level: controller.getLevel(),
       timeLeft: controller.getTimeLeft(),
+      timeLimit: controller.getTimeLimit(),
       grid: controller.getGrid(),
       matchedCells: controller.getMatchedCells(),
       selectedCell: controller.getSelectedCell(),
       hintCells: controller.getHintCells(),
+      hintInfo: controller.getHintInfo(),
+      hintLevel: controller.getHintLevel(),
       isPlaying: controller.isPlaying(),
       isPaused: controller.getState() === 'paused',
       isGameOver: controller.getState() === 'gameOver',
       isChangeMode: controller.isInChangeMode(),
+      canUndo: controller.canUndo(),
+      canRedo: controller.canRedo(),
+      boardInfo: controller.getBoardInfo(),
+      players: controller.getPlayers(),
+      activePlayer: controller.getActivePlayerIndex(),
+      opponent: controller.getOpponent(),
+      isComputerTurn: controller.isComputerTurn(),
+      computerMove: controller.getComputerMove(),
       resources: {
         addMoves: controller.getResource('addMoves'),
         hints: controller.getResource('hints'),
-        changes: controller.getResource('changes')
+        changes: controller.getResource('changes'),
+        undos: controller.getResource('undos'),
+        moves: controller.getResource('moves')
+      },
+      resourceLimits: {
+        addMoves: controller.getResourceMax('addMoves'),
+        hints: controller.getResourceMax('hints'),
+        changes: controller.getResourceMax('changes'),
+        moves: controller.getResourceMax('moves')
       }
     });
   };
 
+  /**
+   * Demo mode - the solver plays one move per tick
+   */
+  const stopDemo = () => {
+    if (demoIntervalRef.current) {
+      clearInterval(demoIntervalRef.current);
+      demoIntervalRef.current = null;
+    }
+    setIsDemoRunning(false);
+  };
+
+  const startDemo = () => {
+    const controller = controllerRef.current;
+    if (!controller || demoIntervalRef.current) return;
+
+    controller.startGame();
+    setIsDemoRunning(true);
+
+    demoIntervalRef.current = setInterval(() => {
+      if (!controller.playSolverMove()) {
+        stopDemo();
+      }
+      updateGameState();
+    }, 800);
+  };
+
+  /**
+   * Versus against the computer - on its turn it shows the move it picked,
+   * then plays it, one thinking delay apart; pausing simply lets the
+   * pending step lapse until play resumes
+   */
+  const stopComputerTurn = () => {
+    if (computerTimeoutRef.current) {
+      clearTimeout(computerTimeoutRef.current);
+      computerTimeoutRef.current = null;
+    }
+  };
+
+  const scheduleComputerStep = () => {
+    const controller = controllerRef.current;
+    if (!controller || computerTimeoutRef.current) return;
+    if (!controller.isPlaying() || !controller.isComputerTurn()) return;
+
+    computerTimeoutRef.current = setTimeout(() => {
+      computerTimeoutRef.current = null;
+      if (!controller.isPlaying() || !controller.isComputerTurn()) return;
+
+      // A move it has nothing to show for is played (handed back) right away
+      if (controller.getComputerMove() || !controller.chooseComputerMove()) {
+        controller.playComputerMove();
+      }
+      updateGameState();
+      scheduleComputerStep();
+    }, controller.getThinkingDelay());
+  };
+
   /**
    * Game actions
    */
@@ -147,6 +372,15 @@ export const useGameController = (config = {}) => {
       return success;
     },
 
+    cycleHintLevel: () => {
+      const controller = controllerRef.current;
+      if (!controller) return;
+
+      const levels = Object.values(HINT_LEVELS);
+      const next = levels[(levels.indexOf(controller.getHintLevel()) + 1) % levels.length];
+      settings.set('hintLevel', next);
+    },
+
     startChangeMode: () => {
       const success = controllerRef.current?.startChangeMode();
       updateGameState();
@@ -161,12 +395,48 @@ export const useGameController = (config = {}) => {
     cancelChangeMode: () => {
       controllerRef.current?.cancelChangeMode();
       updateGameState();
+    },
+
+    undo: () => {
+      const success = controllerRef.current?.undo();
+      updateGameState();
+      return success;
+    },
+
+    redo: () => {
+      const success = controllerRef.current?.redo();
+      updateGameState();
+      return success;
+    },
+
+    continueGame: async () => {
+      if (savedGame) {
+        await saveSystemRef.current?.restore(savedGame);
+      }
+      setSavedGame(null);
+      updateGameState();
+    },
+
+    discardSavedGame: () => {
+      saveSystemRef.current?.clear();
+      setSavedGame(null);
+    },
+
+    toggleDemo: () => {
+      if (demoIntervalRef.current) {
+        stopDemo();
+      } else {
+        startDemo();
+      }
     }
   };
 
   return {
     gameState,
     actions,
-    controller: controllerRef.current
+    savedGame,
+    isDemoRunning,
+    controller: controllerRef.current,
+    saveSystem: saveSystemRef.current
   };
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+// ============================================================================
+// FILE: src/hooks/usePersistedSystem.js
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { SaveSystem } from '../core/SaveSystem';
+
+/**
+ * Custom hook for reading a lifetime system outside a game (menu screens)
+ * Creates the system once and restores it from its storage key - read only,
+ * the running game stays the one that saves it. Re-renders once restored.
+ */
+export const usePersistedSystem = (createSystem, storageKey) => {
+  const [system] = useState(createSystem);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const saveSystem = new SaveSystem({ storageKey });
+    saveSystem.attach(system);
+    saveSystem.restore().then(restored => {
+      if (restored) setVersion(version => version + 1);
+    });
+
+    return () => saveSystem.detach();
+  }, [system]);
+
+  return system;
+};
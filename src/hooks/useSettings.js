@@ -0,0 +1,55 @@
+// ============================================================================
+// FILE: src/hooks/useSettings.js
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { SaveSystem } from '../core/SaveSystem';
+import { settings } from '../core/SettingsSystem';
+import { STORAGE_KEYS } from '../utils/constants';
+
+let loadPromise = null;
+
+/**
+ * Attach persistence to the shared settings and load them (once per app run)
+ */
+export const loadSettings = () => {
+  if (!loadPromise) {
+    const saveSystem = new SaveSystem({
+      storageKey: STORAGE_KEYS.SETTINGS,
+      saveEvents: ['settingsChanged', 'settingsReset']
+    });
+    saveSystem.attach(settings);
+    loadPromise = saveSystem.restore();
+  }
+  return loadPromise;
+};
+
+/**
+ * Custom hook for reading and editing the user settings
+ * Re-renders whenever any setting changes
+ */
+export const useSettings = () => {
+  const [values, setValues] = useState(settings.getAll());
+
+  useEffect(() => {
+    const unsubscribe = settings.subscribe((event, data) => {
+      setValues(data.settings);
+    });
+
+    loadSettings();
+    setValues(settings.getAll());
+
+    return unsubscribe;
+  }, []);
+
+  const actions = {
+    setSetting: (key, value) => settings.set(key, value),
+    updateSettings: (changes) => settings.update(changes),
+    resetSettings: () => settings.reset()
+  };
+
+  return {
+    settings: values,
+    actions
+  };
+};
@@ -0,0 +1,52 @@
+// ============================================================================
+// FILE: src/hooks/useTutorialProgress.js
+// ============================================================================
+
+import { useState, useEffect } from 'react';
+import { SaveSystem } from '../core/SaveSystem';
+import { tutorialProgress } from '../systems/Tutorial';
+import { STORAGE_KEYS } from '../utils/constants';
+
+let loadPromise = null;
+
+/**
+ * Attach persistence to the shared tutorial progress and load it (once per app run)
+ */
+export const loadTutorialProgress = () => {
+  if (!loadPromise) {
+    const saveSystem = new SaveSystem({
+      storageKey: STORAGE_KEYS.TUTORIAL,
+      saveEvents: ['tutorialCompleted', 'tutorialSkipped']
+    });
+    saveSystem.attach(tutorialProgress);
+    loadPromise = saveSystem.restore();
+  }
+  return loadPromise;
+};
+
+/**
+ * Custom hook for whether the tutorial was finished
+ * Re-renders when that changes
+ */
+export const useTutorialProgress = () => {
+  const [completed, setCompleted] = useState(tutorialProgress.isCompleted());
+
+  useEffect(() => {
+    const unsubscribe = tutorialProgress.subscribe(() => {
+      setCompleted(tutorialProgress.isCompleted());
+    });
+
+    loadTutorialProgress();
+    setCompleted(tutorialProgress.isCompleted());
+
+    return unsubscribe;
+  }, []);
+
+  return {
+    completed,
+    actions: {
+      markCompleted: () => tutorialProgress.markCompleted(),
+      markSkipped: () => tutorialProgress.markSkipped()
+    }
+  };
+};
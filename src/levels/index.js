@@ -0,0 +1,12 @@
+// ============================================================================
+// FILE: src/levels/index.js
+// ============================================================================
+
+import starter from './starter.json';
+
+/**
+ * Level packs shipped with the game (see LevelPackLoader for the format)
+ */
+export const BUILT_IN_PACKS = [
+  starter
+];
@@ -0,0 +1,190 @@
+// ============================================================================
+// FILE: src/navigation/AppNavigator.js
+// ============================================================================
+
+import React from 'react';
+import { NavigationContainer, DarkTheme } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import HomeScreen from '../screens/HomeScreen';
+import ModeSelectScreen from '../screens/ModeSelectScreen';
+import NumberPuzzleGame from '../screens/NumberPuzzleGame';
+import SettingsScreen from '../screens/SettingsScreen';
+import StatisticsScreen from '../screens/StatisticsScreen';
+import AchievementsScreen from '../screens/AchievementsScreen';
+import LeaderboardScreen from '../screens/LeaderboardScreen';
+import HowToPlayScreen from '../screens/HowToPlayScreen';
+import TutorialScreen from '../screens/TutorialScreen';
+import { usePersistedSystem } from '../hooks/usePersistedSystem';
+import { AchievementSystem } from '../core/AchievementSystem';
+import { StatisticsSystem } from '../core/StatisticsSystem';
+import { LeaderboardSystem } from '../core/LeaderboardSystem';
+import { registerAchievements } from '../systems/AchievementCatalog';
+import { settings } from '../core/SettingsSystem';
+import { COLORS, GAME_CONFIG, GAME_MODES, ROUTES, STORAGE_KEYS } from '../utils/constants';
+
+const Stack = createNativeStackNavigator();
+
+const theme = {
+  ...DarkTheme,
+  colors: {
+    ...DarkTheme.colors,
+    primary: COLORS.PRIMARY,
+    background: COLORS.BACKGROUND,
+    card: COLORS.CARD_BG,
+    text: COLORS.TEXT_PRIMARY,
+    border: COLORS.BORDER_MEDIUM,
+  },
+};
+
+/**
+ * App Navigator
+ * Stack of the home menu, mode select, the game and the menu screens -
+ * every screen draws its own header and close button. First launches
+ * start on the tutorial instead of the home menu
+ */
+export default function AppNavigator({ initialRouteName = ROUTES.HOME }) {
+  return (
+    <NavigationContainer theme={theme}>
+      <Stack.Navigator
+        initialRouteName={initialRouteName}
+        screenOptions={{ headerShown: false, contentStyle: { backgroundColor: COLORS.BACKGROUND } }}
+      >
+        <Stack.Screen name={ROUTES.HOME} component={HomeRoute} />
+        <Stack.Screen name={ROUTES.MODE_SELECT} component={ModeSelectRoute} />
+        <Stack.Screen name={ROUTES.GAME} component={GameRoute} options={{ gestureEnabled: false }} />
+        <Stack.Screen name={ROUTES.SETTINGS} component={SettingsRoute} />
+        <Stack.Screen name={ROUTES.STATS} component={StatsRoute} />
+        <Stack.Screen name={ROUTES.ACHIEVEMENTS} component={AchievementsRoute} />
+        <Stack.Screen name={ROUTES.LEADERBOARD} component={LeaderboardRoute} />
+        <Stack.Screen name={ROUTES.HOW_TO_PLAY} component={HowToPlayRoute} />
+        <Stack.Screen name={ROUTES.TUTORIAL} component={TutorialRoute} />
+      </Stack.Navigator>
+    </NavigationContainer>
+  );
+}
+
+// Route params that start a run of a leaderboard entry again
+const getReplayParams = (entry) => ({
+  mode: entry.mode,
+  ruleSet: entry.ruleSet,
+  connectionSet: entry.connectionSet,
+  difficulty: entry.difficulty,
+  seed: entry.seed,
+  boardCode: entry.boardCode
+});
+
+/**
+ * Routes - adapt the screens' callback props to the navigation stack
+ */
+const HomeRoute = ({ navigation }) => (
+  <HomeScreen onNavigate={route => navigation.navigate(route)} />
+);
+
+const ModeSelectRoute = ({ navigation }) => (
+  <ModeSelectScreen
+    onStart={config => navigation.navigate(ROUTES.GAME, config)}
+    onClose={() => navigation.goBack()}
+  />
+);
+
+/**
+ * The game takes its run from the route params; any switch starts a fresh
+ * run (new seed, the chosen difficulty and no pack level or board code
+ * unless given) by updating them
+ */
+const GameRoute = ({ navigation, route }) => {
+  const {
+    mode = GAME_MODES.CLASSIC,
+    ruleSet = GAME_CONFIG.RULE_SET,
+    connectionSet = GAME_CONFIG.CONNECTION_SET,
+    difficulty,
+    seed,
+    packLevel = null,
+    boardCode,
+    opponent,
+    runId = 0
+  } = route.params || {};
+
+  const startRun = (changes) => {
+    navigation.setParams({
+      seed: undefined,
+      difficulty: undefined,
+      packLevel: null,
+      boardCode: undefined,
+      ...changes,
+      runId: runId + 1
+    });
+  };
+
+  // Remount on every run so the controller is rebuilt with the new seed and rules
+  return (
+    <NumberPuzzleGame
+      key={runId}
+      navigation={navigation}
+      mode={mode}
+      ruleSet={ruleSet}
+      connectionSet={connectionSet}
+      difficulty={difficulty || settings.get('difficulty')}
+      seed={seed}
+      packLevel={packLevel}
+      boardCode={boardCode}
+      opponent={opponent}
+      onSwitchMode={mode => startRun({ mode })}
+      onPlayLevel={packLevel => startRun({ packLevel })}
+      onPlayCode={boardCode => startRun({ boardCode })}
+      onSwitchRuleSet={ruleSet => startRun({ ruleSet })}
+      onSwitchConnectionSet={connectionSet => startRun({ connectionSet })}
+      onReplay={entry => startRun(getReplayParams(entry))}
+    />
+  );
+};
+
+const SettingsRoute = ({ navigation }) => (
+  <SettingsScreen onClose={() => navigation.goBack()} />
+);
+
+const StatsRoute = ({ navigation }) => {
+  const statistics = usePersistedSystem(() => new StatisticsSystem(), STORAGE_KEYS.STATISTICS);
+
+  return <StatisticsScreen statistics={statistics} onClose={() => navigation.goBack()} />;
+};
+
+const AchievementsRoute = ({ navigation }) => {
+  const achievements = usePersistedSystem(() => {
+    const system = new AchievementSystem();
+    registerAchievements(system);
+    return system;
+  }, STORAGE_KEYS.ACHIEVEMENTS);
+
+  return (
+    <AchievementsScreen
+      achievements={achievements.getAllAchievements()}
+      statistics={achievements.getStatistics()}
+      onClose={() => navigation.goBack()}
+    />
+  );
+};
+
+const LeaderboardRoute = ({ navigation }) => {
+  const leaderboard = usePersistedSystem(() => new LeaderboardSystem({ maxEntries: 10 }), STORAGE_KEYS.HIGH_SCORE);
+
+  return (
+    <LeaderboardScreen
+      leaderboard={leaderboard}
+      onReplay={entry => navigation.navigate(ROUTES.GAME, getReplayParams(entry))}
+      onClose={() => navigation.goBack()}
+    />
+  );
+};
+
+const HowToPlayRoute = ({ navigation }) => (
+  <HowToPlayScreen onClose={() => navigation.goBack()} />
+);
+
+// Opened from the menu it goes back there; as the first screen of a launch
+// it makes way for the home menu
+const TutorialRoute = ({ navigation }) => {
+  const leave = () => (navigation.canGoBack() ? navigation.goBack() : navigation.replace(ROUTES.HOME));
+
+  return <TutorialScreen onFinish={leave} onSkip={leave} />;
+};
@@ -0,0 +1,182 @@
+// ============================================================================
+// FILE: src/screens/AchievementsScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, ACHIEVEMENT_CATEGORIES } from '../utils/constants';
+
+/**
+ * Achievements Screen
+ * Lists every achievement by category with unlock state and progress
+ */
+export default function AchievementsScreen({ achievements = [], statistics = null, onClose }) {
+  const categories = Object.values(ACHIEVEMENT_CATEGORIES)
+    .map(category => ({
+      category,
+      items: achievements.filter(achievement => achievement.category === category)
+    }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{ICONS.TROPHY} Achievements</Text>
+        {statistics && (
+          <Text style={styles.summary}>
+            {statistics.unlocked}/{statistics.total} unlocked • {statistics.points} pts
+          </Text>
+        )}
+      </View>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        {categories.map(({ category, items }) => (
+          <View key={category} style={styles.section}>
+            <Text style={styles.sectionTitle}>{category.toUpperCase()}</Text>
+            {items.map(achievement => (
+              <AchievementRow key={achievement.id} achievement={achievement} />
+            ))}
+          </View>
+        ))}
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Single achievement with progress bar for counter achievements
+ */
+const AchievementRow = ({ achievement }) => {
+  const { unlocked, progressMax, progressCurrent } = achievement;
+  const progress = progressMax ? progressCurrent / progressMax : 0;
+
+  return (
+    <View style={[styles.row, !unlocked && styles.rowLocked]}>
+      <Text style={styles.icon}>{unlocked ? achievement.icon : '🔒'}</Text>
+      <View style={styles.rowContent}>
+        <Text style={styles.rowTitle}>{achievement.title}</Text>
+        <Text style={styles.rowDescription}>{achievement.description}</Text>
+        {progressMax > 1 && !unlocked && (
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+          </View>
+        )}
+        {progressMax > 1 && !unlocked && (
+          <Text style={styles.progressText}>{progressCurrent}/{progressMax}</Text>
+        )}
+      </View>
+      <Text style={[styles.points, unlocked && styles.pointsUnlocked]}>
+        {achievement.points}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+  },
+  summary: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '700',
+    marginTop: SPACING.TINY,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+    marginBottom: SPACING.SMALL,
+  },
+  rowLocked: {
+    opacity: 0.6,
+  },
+  icon: {
+    fontSize: FONT_SIZES.XLARGE,
+    marginRight: SPACING.MEDIUM,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  rowTitle: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+  },
+  rowDescription: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+  },
+  progressTrack: {
+    height: 4,
+    backgroundColor: COLORS.BORDER_LIGHT,
+    borderRadius: RADIUS.ROUND,
+    marginTop: SPACING.TINY,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: COLORS.SUCCESS,
+  },
+  progressText: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.TINY,
+    marginTop: 2,
+  },
+  points: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+    marginLeft: SPACING.SMALL,
+  },
+  pointsUnlocked: {
+    color: COLORS.TEXT_GOLD,
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
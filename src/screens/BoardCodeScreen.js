@@ -0,0 +1,207 @@
+// ============================================================================
+// FILE: src/screens/BoardCodeScreen.js
+// ============================================================================
+
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, TextInput, Share, StyleSheet } from 'react-native';
+import { GameGrid } from '../components/GameGrid';
+import { decodeBoardCode } from '../systems/BoardCode';
+import { getRuleSet } from '../systems/RuleSet';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, DIMENSIONS } from '../utils/constants';
+import { getCellColor } from '../utils/helpers';
+
+/**
+ * Board Code Screen
+ * Shares the current board as a code and loads the exact board behind
+ * an entered one
+ */
+export default function BoardCodeScreen({ currentCode, onPlayCode, onClose }) {
+  const [code, setCode] = useState('');
+
+  const entered = code.trim();
+  const board = entered ? decodeBoardCode(entered) : null;
+
+  const share = () => {
+    Share.share({ message: currentCode }).catch(() => {});
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.LINK} Board Codes</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        {!!currentCode && (
+          <Section title="This board">
+            <Text style={styles.code} selectable>{currentCode}</Text>
+            <TouchableOpacity style={styles.secondaryButton} onPress={share}>
+              <Text style={styles.buttonText}>Share code</Text>
+            </TouchableOpacity>
+          </Section>
+        )}
+
+        <Section title="Enter code">
+          <TextInput
+            style={styles.codeInput}
+            value={code}
+            onChangeText={setCode}
+            placeholder="B1.sum10.9x4..."
+            placeholderTextColor={COLORS.TEXT_MUTED}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+
+          {!!entered && !board && (
+            <Text style={styles.errorText}>{ICONS.FAIL} Not a valid board code - check for typos</Text>
+          )}
+          {board && <BoardPreview board={board} />}
+
+          {onPlayCode && (
+            <TouchableOpacity
+              style={[styles.primaryButton, !board && styles.buttonDisabled]}
+              disabled={!board}
+              onPress={() => onPlayCode(entered)}
+            >
+              <Text style={styles.buttonText}>{ICONS.PLAY} Play this board</Text>
+            </TouchableOpacity>
+          )}
+        </Section>
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const BoardPreview = ({ board }) => {
+  const cellSize = Math.min(24, Math.floor((DIMENSIONS.SCREEN_WIDTH - 80) / board.cols) - 3);
+
+  return (
+    <View style={styles.preview}>
+      <Text style={styles.previewDetails}>
+        {getRuleSet(board.ruleSet).name} • {board.cols}×{board.grid.length} • seed {String(board.seed)}
+      </Text>
+      <GameGrid
+        grid={board.grid}
+        onCellPress={() => {}}
+        getCellColor={getCellColor}
+        cellSize={cellSize}
+        gridHeight={Math.min(DIMENSIONS.SCREEN_HEIGHT * 0.3, board.grid.length * (cellSize + 3) + SPACING.LARGE)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  code: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    fontFamily: 'monospace',
+    marginBottom: SPACING.SMALL,
+  },
+  codeInput: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    fontFamily: 'monospace',
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    borderRadius: RADIUS.SMALL,
+    padding: SPACING.SMALL,
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  preview: {
+    marginTop: SPACING.MEDIUM,
+  },
+  previewDetails: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+    marginBottom: SPACING.SMALL,
+  },
+  errorText: {
+    color: COLORS.DANGER,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+    marginTop: SPACING.SMALL,
+  },
+  primaryButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  secondaryButton: {
+    backgroundColor: COLORS.SECONDARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+  },
+  buttonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,122 @@
+// ============================================================================
+// FILE: src/screens/HomeScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, ROUTES } from '../utils/constants';
+
+const MENU_ITEMS = [
+  { route: ROUTES.TUTORIAL, icon: ICONS.TUTORIAL, label: 'Tutorial' },
+  { route: ROUTES.HOW_TO_PLAY, icon: ICONS.INFO, label: 'How to Play' },
+  { route: ROUTES.LEADERBOARD, icon: ICONS.TROPHY, label: 'Leaderboard' },
+  { route: ROUTES.ACHIEVEMENTS, icon: ICONS.STAR, label: 'Achievements' },
+  { route: ROUTES.STATS, icon: ICONS.STATS, label: 'Statistics' },
+  { route: ROUTES.SETTINGS, icon: ICONS.SETTINGS, label: 'Settings' },
+];
+
+/**
+ * Home Screen
+ * Title and main menu - the entry point of the navigation stack
+ */
+export default function HomeScreen({ onNavigate }) {
+  return (
+    <View style={styles.container}>
+      <View style={styles.hero}>
+        <Text style={styles.logo}>1 + 9</Text>
+        <Text style={styles.title}>Number Puzzle</Text>
+        <Text style={styles.subtitle}>Match pairs, clear rows, beat the clock</Text>
+      </View>
+
+      <TouchableOpacity style={styles.playButton} onPress={() => onNavigate(ROUTES.MODE_SELECT)}>
+        <Text style={styles.playButtonText}>{ICONS.PLAY} Play</Text>
+      </TouchableOpacity>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        {MENU_ITEMS.map(item => (
+          <MenuButton
+            key={item.route}
+            icon={item.icon}
+            label={item.label}
+            onPress={() => onNavigate(item.route)}
+          />
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const MenuButton = ({ icon, label, onPress }) => (
+  <TouchableOpacity style={styles.menuButton} onPress={onPress}>
+    <Text style={styles.menuIcon}>{icon}</Text>
+    <Text style={styles.menuLabel}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  hero: {
+    alignItems: 'center',
+    marginVertical: SPACING.XXLARGE,
+  },
+  logo: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.HUGE,
+    fontWeight: '900',
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    marginTop: SPACING.SMALL,
+  },
+  subtitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+    marginTop: SPACING.TINY,
+  },
+  playButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.LARGE,
+    marginBottom: SPACING.LARGE,
+  },
+  playButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+  },
+  list: {
+    flex: 1,
+  },
+  menuButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    paddingHorizontal: SPACING.LARGE,
+    marginBottom: SPACING.SMALL,
+  },
+  menuIcon: {
+    fontSize: FONT_SIZES.LARGE,
+    width: 40,
+  },
+  menuLabel: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+  },
+});
@@ -0,0 +1,167 @@
+// ============================================================================
+// FILE: src/screens/HowToPlayScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { RULE_SETS } from '../systems/RuleSet';
+import { ConnectionValidator } from '../systems/ConnectionValidator';
+import {
+  COLORS,
+  FONT_SIZES,
+  SPACING,
+  RADIUS,
+  ICONS,
+  GAME_CONFIG,
+  GAME_MODES,
+  GAME_MODE_LABELS,
+  GAME_MODE_DESCRIPTIONS,
+  VERSUS_MODE,
+} from '../utils/constants';
+
+// Every connection with its default points
+const CONNECTIONS = new ConnectionValidator({ strategies: 'all' }).getStrategyInfo().strategies;
+
+/**
+ * How to Play Screen
+ * The full rules: matching, connections, scoring, tools and modes
+ */
+export default function HowToPlayScreen({ onClose }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.INFO} How to Play</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        <Section title="Goal">
+          <Rule icon={ICONS.LEVEL} text="Tap two numbers to match them - clear the whole board to reach the next level" />
+          <Rule icon={ICONS.FAIL} text="A pair only matches if its numbers follow the rules and the cells connect" />
+        </Section>
+
+        <Section title="Matching numbers">
+          {Object.values(RULE_SETS).map(rules => (
+            <Rule key={rules.id} icon={ICONS.RULES} label={rules.name} text={rules.description} />
+          ))}
+        </Section>
+
+        <Section title="Connections">
+          {CONNECTIONS.map(connection => (
+            <Rule key={connection.type} icon={`+${connection.points}`} text={connection.description} />
+          ))}
+        </Section>
+
+        <Section title="Scoring">
+          <Rule icon={ICONS.STAR} text={`Clear a whole row for +${GAME_CONFIG.ROW_BONUS} bonus points`} />
+          <Rule icon={ICONS.FIRE} text={`Every ${GAME_CONFIG.COMBO_THRESHOLD} matches in a row raise the score multiplier`} />
+        </Section>
+
+        <Section title="Tools">
+          <Rule icon={ICONS.ADD} label="Add" text="Deals as many new numbers as are left on the board" />
+          <Rule icon={ICONS.HINT} label="Hint" text="Shows a valid pair - long press to pick how much it reveals" />
+          <Rule icon={ICONS.CHANGE} label="Change" text="Sets any cell to the number you pick" />
+          <Rule icon={ICONS.UNDO} label="Undo" text="Takes back moves - a few per level" />
+        </Section>
+
+        <Section title="Modes">
+          {[...Object.values(GAME_MODES), VERSUS_MODE].map(mode => (
+            <Rule key={mode} icon={ICONS.PLAY} label={GAME_MODE_LABELS[mode]} text={GAME_MODE_DESCRIPTIONS[mode]} />
+          ))}
+        </Section>
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const Rule = ({ icon, label, text }) => (
+  <View style={styles.rule}>
+    <Text style={styles.ruleIcon}>{icon}</Text>
+    <Text style={styles.ruleText}>
+      {!!label && <Text style={styles.ruleLabel}>{label}: </Text>}
+      {text}
+    </Text>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  rule: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: SPACING.TINY,
+  },
+  ruleIcon: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '900',
+    width: 36,
+  },
+  ruleText: {
+    flex: 1,
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+  },
+  ruleLabel: {
+    color: COLORS.TEXT_PRIMARY,
+    fontWeight: '800',
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,211 @@
+// ============================================================================
+// FILE: src/screens/LeaderboardScreen.js
+// ============================================================================
+
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, GAME_MODES, GAME_MODE_LABELS } from '../utils/constants';
+import { formatScore, formatTime } from '../utils/helpers';
+import { getRuleSet } from '../systems/RuleSet';
+import { getDifficulty } from '../systems/Difficulty';
+import { hasReplay } from '../systems/ReplayRecorder';
+import ReplayScreen from './ReplayScreen';
+
+/**
+ * Leaderboard Screen
+ * Top runs per mode; any run's seed can be played again and recorded
+ * runs can be watched
+ */
+export default function LeaderboardScreen({
+  leaderboard,
+  initialBoard = GAME_MODES.CLASSIC,
+  onReplay,
+  onClose,
+}) {
+  const [board, setBoard] = useState(initialBoard);
+  const [watching, setWatching] = useState(null);
+  const boards = Array.from(new Set([...Object.values(GAME_MODES), ...leaderboard.getBoards()]));
+  const entries = leaderboard.getEntries(board);
+
+  if (watching) {
+    return (
+      <ReplayScreen
+        replay={watching.replay}
+        title={`${GAME_MODE_LABELS[watching.mode] || watching.mode} • ${formatScore(watching.score)}`}
+        onClose={() => setWatching(null)}
+      />
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.TROPHY} Leaderboard</Text>
+
+      <View style={styles.tabs}>
+        {boards.map(id => (
+          <TouchableOpacity
+            key={id}
+            style={[styles.tab, id === board && styles.tabActive]}
+            onPress={() => setBoard(id)}
+          >
+            <Text style={[styles.tabText, id === board && styles.tabTextActive]}>
+              {(GAME_MODE_LABELS[id] || id).toUpperCase()}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        {entries.length === 0 && (
+          <Text style={styles.empty}>No finished runs yet</Text>
+        )}
+        {entries.map((entry, index) => (
+          <View key={entry.id} style={styles.row}>
+            <Text style={[styles.rank, index === 0 && styles.rankFirst]}>#{index + 1}</Text>
+            <View style={styles.rowContent}>
+              <Text style={styles.score}>{formatScore(entry.score)}</Text>
+              <Text style={styles.details}>
+                Level {entry.level} • {formatTime(entry.duration || 0)} • {getRuleSet(entry.ruleSet).name} • {getDifficulty(entry.difficulty).name}
+              </Text>
+              <Text style={styles.details}>
+                {new Date(entry.date).toLocaleDateString()} • seed {entry.seed}
+              </Text>
+            </View>
+            <View style={styles.rowActions}>
+              {hasReplay(entry) && (
+                <TouchableOpacity style={styles.watchButton} onPress={() => setWatching(entry)}>
+                  <Text style={styles.replayText}>{ICONS.WATCH} Watch</Text>
+                </TouchableOpacity>
+              )}
+              {onReplay && (
+                <TouchableOpacity style={styles.replayButton} onPress={() => onReplay(entry)}>
+                  <Text style={styles.replayText}>{ICONS.PLAY} Replay</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  tabs: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  tab: {
+    paddingHorizontal: SPACING.LARGE,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.ROUND,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    marginHorizontal: SPACING.TINY,
+  },
+  tabActive: {
+    backgroundColor: COLORS.PRIMARY,
+    borderColor: COLORS.PRIMARY,
+  },
+  tabText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  tabTextActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  list: {
+    flex: 1,
+  },
+  empty: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.SMALL,
+    textAlign: 'center',
+    marginTop: SPACING.XLARGE,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+    marginBottom: SPACING.SMALL,
+  },
+  rank: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+    width: 48,
+  },
+  rankFirst: {
+    color: COLORS.TEXT_GOLD,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  score: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+  },
+  details: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+  },
+  rowActions: {
+    alignItems: 'stretch',
+  },
+  watchButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    marginBottom: SPACING.TINY,
+  },
+  replayButton: {
+    backgroundColor: COLORS.SECONDARY,
+    borderRadius: RADIUS.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+  },
+  replayText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '800',
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
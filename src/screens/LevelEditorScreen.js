@@ -0,0 +1,495 @@
+// ============================================================================
+// FILE: src/screens/LevelEditorScreen.js
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, TextInput, Share, StyleSheet } from 'react-native';
+import { GameGrid } from '../components/GameGrid';
+import { NumberPickerModal } from '../components/GameModals';
+import { levelEditor, MAX_RESOURCE } from '../systems/LevelEditor';
+import { RULE_SETS, getRuleSet } from '../systems/RuleSet';
+import { ConnectionValidator } from '../systems/ConnectionValidator';
+import {
+  COLORS,
+  FONT_SIZES,
+  SPACING,
+  RADIUS,
+  ICONS,
+  DIMENSIONS,
+  VALIDATION,
+  CONNECTION_TYPE_LABELS,
+} from '../utils/constants';
+import { getCellColor, formatTime } from '../utils/helpers';
+
+const TIME_STEP = 30;
+const STAR_STEP = 10;
+const DEFAULT_TIME_LIMIT = 180;
+
+/**
+ * Level Editor Screen
+ * Designs a board on the shared levelEditor draft, checks it with the
+ * solver, shares it as a code or pack JSON and test-plays it
+ */
+export default function LevelEditorScreen({ editor = levelEditor, onPlayLevel, onClose }) {
+  const [, setVersion] = useState(0);
+  const [editingCell, setEditingCell] = useState(null);
+  const [report, setReport] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+
+  // Re-render on every draft edit; an edit invalidates the last solver check
+  useEffect(() => {
+    return editor.subscribe((event) => {
+      if (event === 'draftChanged') {
+        setVersion(version => version + 1);
+        setReport(null);
+      }
+    });
+  }, [editor]);
+
+  const grid = editor.getGrid();
+  const ruleSet = getRuleSet(editor.ruleSet);
+  const errors = editor.validate();
+  const cellSize = Math.min(35, Math.floor((DIMENSIONS.SCREEN_WIDTH - 80) / editor.getCols()) - 3);
+
+  const handleImport = () => {
+    const result = editor.importText(importText);
+    setImportErrors(result.errors);
+    if (result.success) setImportText('');
+  };
+
+  const share = (message) => {
+    Share.share({ message, title: editor.name }).catch(() => {});
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.EDIT} Level Editor</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        <TextInput
+          style={styles.nameInput}
+          value={editor.name}
+          onChangeText={name => editor.setName(name)}
+          placeholder="Level name"
+          placeholderTextColor={COLORS.TEXT_MUTED}
+          maxLength={40}
+        />
+
+        <GameGrid
+          grid={grid}
+          onCellPress={(row, col) => setEditingCell({ row, col })}
+          getCellColor={getCellColor}
+          cellSize={cellSize}
+          gridHeight={Math.min(DIMENSIONS.SCREEN_HEIGHT * 0.4, grid.length * (cellSize + 3) + SPACING.LARGE)}
+        />
+
+        <Section title="Board">
+          <StepperRow
+            label="Rows"
+            value={editor.getRows()}
+            min={VALIDATION.MIN_GRID_ROWS}
+            max={VALIDATION.MAX_GRID_ROWS}
+            onStep={direction => editor.resize(editor.getRows() + direction, editor.getCols())}
+          />
+          <StepperRow
+            label="Columns"
+            value={editor.getCols()}
+            min={VALIDATION.MIN_GRID_COLS}
+            max={VALIDATION.MAX_GRID_COLS}
+            onStep={direction => editor.resize(editor.getRows(), editor.getCols() + direction)}
+          />
+          <TouchableOpacity style={styles.textButton} onPress={() => editor.clear()}>
+            <Text style={styles.textButtonLabel}>{ICONS.RESET} Empty board</Text>
+          </TouchableOpacity>
+        </Section>
+
+        <Section title="Rules">
+          <Chips
+            options={Object.fromEntries(Object.values(RULE_SETS).map(set => [set.id, set.name]))}
+            isActive={id => id === editor.ruleSet}
+            onPress={id => editor.setRuleSet(id)}
+          />
+          <Text style={styles.rowLabel}>Connections</Text>
+          <Chips
+            options={Object.fromEntries(ConnectionValidator.getRegisteredTypes().map(type => (
+              [type, CONNECTION_TYPE_LABELS[type] || type]
+            )))}
+            isActive={type => editor.strategies.includes(type)}
+            onPress={type => editor.toggleStrategy(type)}
+          />
+        </Section>
+
+        <Section title="Limits">
+          <Chips
+            options={{ untimed: 'Untimed', timed: 'Timed' }}
+            isActive={option => (option === 'untimed') === (editor.timeLimit === null)}
+            onPress={option => editor.setTimeLimit(option === 'untimed' ? null : DEFAULT_TIME_LIMIT)}
+          />
+          {editor.timeLimit !== null && (
+            <StepperRow
+              label="Time limit"
+              value={formatTime(editor.timeLimit)}
+              onStep={direction => editor.setTimeLimit(editor.timeLimit + direction * TIME_STEP)}
+            />
+          )}
+          <StepperRow
+            label={`${ICONS.ADD} Add moves`}
+            value={editor.resources.addMoves}
+            max={MAX_RESOURCE}
+            onStep={direction => editor.setResource('addMoves', editor.resources.addMoves + direction)}
+          />
+          <StepperRow
+            label={`${ICONS.HINT} Hints`}
+            value={editor.resources.hints}
+            max={MAX_RESOURCE}
+            onStep={direction => editor.setResource('hints', editor.resources.hints + direction)}
+          />
+          <StepperRow
+            label={`${ICONS.CHANGE} Changes`}
+            value={editor.resources.changes}
+            max={MAX_RESOURCE}
+            onStep={direction => editor.setResource('changes', editor.resources.changes + direction)}
+          />
+          {editor.stars.map((score, index) => (
+            <StepperRow
+              key={index}
+              label={`${ICONS.STAR.repeat(index + 1)} score`}
+              value={score}
+              onStep={direction => editor.setStar(index, score + direction * STAR_STEP)}
+            />
+          ))}
+        </Section>
+
+        <Section title="Check">
+          <TouchableOpacity style={styles.primaryButton} onPress={() => setReport(editor.verify())}>
+            <Text style={styles.primaryButtonText}>{ICONS.DEMO} Run solver</Text>
+          </TouchableOpacity>
+          {report && <VerifyReport report={report} />}
+          {errors.map(error => (
+            <Text key={error} style={styles.errorText}>{ICONS.FAIL} {error}</Text>
+          ))}
+          {onPlayLevel && (
+            <TouchableOpacity
+              style={[styles.primaryButton, errors.length > 0 && styles.buttonDisabled]}
+              disabled={errors.length > 0}
+              onPress={() => onPlayLevel(editor.toPlayableLevel())}
+            >
+              <Text style={styles.primaryButtonText}>{ICONS.PLAY} Test play</Text>
+            </TouchableOpacity>
+          )}
+        </Section>
+
+        <Section title="Share">
+          <Text style={styles.code} selectable>{editor.exportCode()}</Text>
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => share(editor.exportCode())}>
+              <Text style={styles.primaryButtonText}>Share code</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => share(editor.exportJSON())}>
+              <Text style={styles.primaryButtonText}>Share JSON</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={styles.importInput}
+            value={importText}
+            onChangeText={setImportText}
+            placeholder="Paste a level code or pack JSON"
+            placeholderTextColor={COLORS.TEXT_MUTED}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.secondaryButton, !importText.trim() && styles.buttonDisabled]}
+            disabled={!importText.trim()}
+            onPress={handleImport}
+          >
+            <Text style={styles.primaryButtonText}>Load</Text>
+          </TouchableOpacity>
+          {importErrors.map(error => (
+            <Text key={error} style={styles.errorText}>{ICONS.FAIL} {error}</Text>
+          ))}
+        </Section>
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+
+      <NumberPickerModal
+        visible={!!editingCell}
+        title="Cell Value"
+        numbers={ruleSet.getValueRange()}
+        onSelectNumber={(value) => {
+          editor.setCell(editingCell.row, editingCell.col, value);
+          setEditingCell(null);
+        }}
+        onClear={() => {
+          editor.setCell(editingCell.row, editingCell.col, null);
+          setEditingCell(null);
+        }}
+        onClose={() => setEditingCell(null)}
+      />
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const StepperRow = ({ label, value, onStep, min = 0, max = Infinity }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowLabel}>{label}</Text>
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={styles.stepButton}
+        onPress={() => onStep(-1)}
+        disabled={typeof value === 'number' && value <= min}
+      >
+        <Text style={styles.stepButtonText}>−</Text>
+      </TouchableOpacity>
+      <Text style={styles.stepValue}>{value}</Text>
+      <TouchableOpacity
+        style={styles.stepButton}
+        onPress={() => onStep(1)}
+        disabled={typeof value === 'number' && value >= max}
+      >
+        <Text style={styles.stepButtonText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  </View>
+);
+
+// One toggle per option ({ value: label })
+const Chips = ({ options, isActive, onPress }) => (
+  <View style={styles.chips}>
+    {Object.entries(options).map(([option, label]) => (
+      <TouchableOpacity
+        key={option}
+        style={[styles.chip, isActive(option) && styles.chipActive]}
+        onPress={() => onPress(option)}
+      >
+        <Text style={[styles.chipText, isActive(option) && styles.chipTextActive]}>{label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const VerifyReport = ({ report }) => {
+  let verdict;
+  if (report.clearable === true) {
+    verdict = `${ICONS.SUCCESS} Clearable in ${report.moves} matches`;
+  } else if (report.clearable === false) {
+    verdict = `${ICONS.FAIL} Cannot be cleared with these connections`;
+  } else {
+    verdict = 'Search budget ran out - clearability unknown';
+  }
+
+  return (
+    <View style={styles.report}>
+      <Text style={[styles.reportVerdict, report.clearable === false && styles.errorText]}>{verdict}</Text>
+      <Text style={styles.reportDetails}>
+        {report.cells} cells • {report.openPairs} open pairs
+        {report.solverScore !== null ? ` • solver score ${report.solverScore}` : ''}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  nameInput: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '800',
+    borderBottomWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    marginBottom: SPACING.MEDIUM,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: SPACING.TINY,
+  },
+  rowLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+    paddingVertical: SPACING.TINY,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: RADIUS.ROUND,
+    backgroundColor: COLORS.SECONDARY,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  stepValue: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '900',
+    width: 56,
+    textAlign: 'center',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: SPACING.SMALL,
+  },
+  chip: {
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.ROUND,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    marginRight: SPACING.TINY,
+    marginBottom: SPACING.TINY,
+  },
+  chipActive: {
+    backgroundColor: COLORS.PRIMARY,
+    borderColor: COLORS.PRIMARY,
+  },
+  chipText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '800',
+  },
+  chipTextActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  textButton: {
+    paddingVertical: SPACING.SMALL,
+  },
+  textButtonLabel: {
+    color: COLORS.DANGER,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  primaryButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginVertical: SPACING.TINY,
+  },
+  secondaryButton: {
+    flex: 1,
+    backgroundColor: COLORS.SECONDARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    marginVertical: SPACING.TINY,
+    marginHorizontal: 2,
+  },
+  primaryButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+  },
+  report: {
+    paddingVertical: SPACING.SMALL,
+  },
+  reportVerdict: {
+    color: COLORS.SUCCESS,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  reportDetails: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+  },
+  errorText: {
+    color: COLORS.DANGER,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+  },
+  code: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    fontFamily: 'monospace',
+    marginBottom: SPACING.SMALL,
+  },
+  importInput: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    borderRadius: RADIUS.SMALL,
+    padding: SPACING.SMALL,
+    minHeight: 64,
+    marginTop: SPACING.MEDIUM,
+    textAlignVertical: 'top',
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,189 @@
+// ============================================================================
+// FILE: src/screens/LevelSelectScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS } from '../utils/constants';
+import { formatScore, formatStars } from '../utils/helpers';
+import { levelPacks } from '../systems/LevelPackLoader';
+
+/**
+ * Level Select Screen
+ * Every pack's levels with their best stars; locked levels cannot be picked
+ */
+export default function LevelSelectScreen({
+  progress,
+  packs = levelPacks.getPacks(),
+  currentLevelId = null,
+  onSelectLevel,
+  onClose,
+}) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.LEVEL} Levels</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        {packs.length === 0 && (
+          <Text style={styles.empty}>No level packs installed</Text>
+        )}
+        {packs.map(pack => {
+          const packStars = progress.getPackStars(pack);
+
+          return (
+            <View key={pack.id} style={styles.pack}>
+              <View style={styles.packHeader}>
+                <Text style={styles.packName}>{pack.name}</Text>
+                <Text style={styles.packStars}>
+                  {ICONS.STAR} {packStars.earned}/{packStars.total}
+                </Text>
+              </View>
+              {!!pack.description && (
+                <Text style={styles.packDescription}>{pack.description}</Text>
+              )}
+
+              <View style={styles.tiles}>
+                {pack.levels.map(level => {
+                  const unlocked = progress.isUnlocked(pack, level.index);
+                  const stars = progress.getStars(level.id);
+
+                  return (
+                    <TouchableOpacity
+                      key={level.id}
+                      style={[
+                        styles.tile,
+                        !unlocked && styles.tileLocked,
+                        level.id === currentLevelId && styles.tileCurrent
+                      ]}
+                      disabled={!unlocked}
+                      onPress={() => onSelectLevel(level)}
+                    >
+                      <Text style={styles.tileNumber}>{unlocked ? level.index + 1 : ICONS.LOCK}</Text>
+                      <Text style={styles.tileName} numberOfLines={1}>{level.name}</Text>
+                      <Text style={[styles.tileStars, stars > 0 && styles.tileStarsEarned]}>
+                        {formatStars(stars)}
+                      </Text>
+                      {stars > 0 && (
+                        <Text style={styles.tileScore}>{formatScore(progress.getBestScore(level.id))}</Text>
+                      )}
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  empty: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.SMALL,
+    textAlign: 'center',
+    marginTop: SPACING.XLARGE,
+  },
+  pack: {
+    marginBottom: SPACING.LARGE,
+  },
+  packHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  packName: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+  },
+  packStars: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  packDescription: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    marginBottom: SPACING.SMALL,
+  },
+  tiles: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  tile: {
+    width: '31%',
+    alignItems: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    paddingHorizontal: SPACING.SMALL,
+    marginBottom: SPACING.SMALL,
+  },
+  tileLocked: {
+    opacity: 0.4,
+  },
+  tileCurrent: {
+    borderColor: COLORS.PRIMARY,
+  },
+  tileNumber: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XLARGE,
+    fontWeight: '900',
+  },
+  tileName: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '600',
+  },
+  tileStars: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.MEDIUM,
+    marginTop: SPACING.TINY,
+  },
+  tileStarsEarned: {
+    color: COLORS.TEXT_GOLD,
+  },
+  tileScore: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
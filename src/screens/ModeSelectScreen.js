@@ -0,0 +1,261 @@
+// ============================================================================
+// FILE: src/screens/ModeSelectScreen.js
+// ============================================================================
+
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { RULE_SETS } from '../systems/RuleSet';
+import { CONNECTION_SETS } from '../systems/ConnectionValidator';
+import { COMPUTER_PERSONALITIES } from '../systems/ComputerPlayer';
+import { settings } from '../core/SettingsSystem';
+import {
+  COLORS,
+  FONT_SIZES,
+  SPACING,
+  RADIUS,
+  ICONS,
+  GAME_CONFIG,
+  GAME_MODES,
+  GAME_MODE_LABELS,
+  GAME_MODE_DESCRIPTIONS,
+  VERSUS_MODE,
+  DIFFICULTY_LABELS,
+} from '../utils/constants';
+
+// Versus is only picked here - it is not part of the in-game mode cycle
+const MODES = [...Object.values(GAME_MODES), VERSUS_MODE];
+
+// Who plays the second seat in versus ({ value: label })
+const OPPONENTS = {
+  human: 'Pass & Play',
+  ...Object.fromEntries(Object.values(COMPUTER_PERSONALITIES).map(personality => [personality.id, `CPU ${personality.name}`]))
+};
+
+/**
+ * Mode Select Screen
+ * Picks mode, rules, connections and difficulty for a new run
+ */
+export default function ModeSelectScreen({ onStart, onClose }) {
+  const [mode, setMode] = useState(GAME_MODES.CLASSIC);
+  const [ruleSet, setRuleSet] = useState(GAME_CONFIG.RULE_SET);
+  const [connectionSet, setConnectionSet] = useState(GAME_CONFIG.CONNECTION_SET);
+  const [difficulty, setDifficulty] = useState(() => settings.get('difficulty'));
+  const [opponent, setOpponent] = useState('human');
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.LEVEL} New Game</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        <Section title="Mode">
+          {MODES.map(id => (
+            <ModeCard
+              key={id}
+              label={GAME_MODE_LABELS[id]}
+              description={GAME_MODE_DESCRIPTIONS[id]}
+              active={id === mode}
+              onPress={() => setMode(id)}
+            />
+          ))}
+        </Section>
+
+        {mode === VERSUS_MODE && (
+          <Section title="Opponent">
+            <Chips options={OPPONENTS} value={opponent} onChange={setOpponent} />
+            <Text style={styles.note}>
+              {COMPUTER_PERSONALITIES[opponent]
+                ? `${COMPUTER_PERSONALITIES[opponent].description}. Every match hands the turn over.`
+                : 'Two players share the device - a miss hands the turn over.'}
+            </Text>
+          </Section>
+        )}
+
+        <Section title="Rules">
+          <Chips
+            options={Object.fromEntries(Object.values(RULE_SETS).map(rules => [rules.id, rules.name]))}
+            value={ruleSet}
+            onChange={setRuleSet}
+          />
+          <Text style={styles.note}>{RULE_SETS[ruleSet].description}</Text>
+        </Section>
+
+        <Section title="Connections">
+          <Chips
+            options={Object.fromEntries(Object.values(CONNECTION_SETS).map(set => [set.id, set.name]))}
+            value={connectionSet}
+            onChange={setConnectionSet}
+          />
+        </Section>
+
+        <Section title="Difficulty">
+          <Chips options={DIFFICULTY_LABELS} value={difficulty} onChange={setDifficulty} />
+        </Section>
+      </ScrollView>
+
+      <TouchableOpacity
+        style={styles.startButton}
+        onPress={() => onStart({
+          mode,
+          ruleSet,
+          connectionSet,
+          difficulty,
+          opponent: mode === VERSUS_MODE ? opponent : undefined
+        })}
+      >
+        <Text style={styles.startButtonText}>{ICONS.PLAY} Start</Text>
+      </TouchableOpacity>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Back</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const ModeCard = ({ label, description, active, onPress }) => (
+  <TouchableOpacity style={[styles.mode, active && styles.modeActive]} onPress={onPress}>
+    <Text style={[styles.modeLabel, active && styles.modeLabelActive]}>{label}</Text>
+    <Text style={styles.modeDescription}>{description}</Text>
+  </TouchableOpacity>
+);
+
+// One chip per option ({ value: label })
+const Chips = ({ options, value, onChange }) => (
+  <View style={styles.chips}>
+    {Object.entries(options).map(([option, label]) => (
+      <TouchableOpacity
+        key={option}
+        style={[styles.chip, option === value && styles.chipActive]}
+        onPress={() => onChange(option)}
+      >
+        <Text style={[styles.chipText, option === value && styles.chipTextActive]}>{label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  mode: {
+    borderRadius: RADIUS.SMALL,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_LIGHT,
+    padding: SPACING.MEDIUM,
+    marginBottom: SPACING.SMALL,
+  },
+  modeActive: {
+    borderColor: COLORS.PRIMARY,
+    backgroundColor: 'rgba(157, 78, 221, 0.15)',
+  },
+  modeLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  modeLabelActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  modeDescription: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '600',
+    marginTop: SPACING.TINY,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: SPACING.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.ROUND,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    marginRight: SPACING.SMALL,
+    marginBottom: SPACING.SMALL,
+  },
+  chipActive: {
+    backgroundColor: COLORS.PRIMARY,
+    borderColor: COLORS.PRIMARY,
+  },
+  chipText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  chipTextActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  note: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.TINY,
+  },
+  startButton: {
+    backgroundColor: COLORS.SUCCESS,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  startButtonText: {
+    color: COLORS.BACKGROUND,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+  },
+  closeButton: {
+    backgroundColor: COLORS.SECONDARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.SMALL,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
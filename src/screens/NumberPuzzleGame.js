@@ -3,46 +3,99 @@
 // ============================================================================
 
 import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, Alert, Animated, Text } from 'react-native';
+import { View, StyleSheet, Alert, Animated, Text, Modal, Vibration } from 'react-native';
 
 // Import custom hook
 import { useGameController } from '../hooks/useGameController';
+import { useSettings } from '../hooks/useSettings';
 
 // Import components
 import { GameHeader } from '../components/GameHeader';
-import { GameControls } from '../components/GameControls';
+import { GameControls, ControlButton, TimerProgressBar } from '../components/GameControls';
 import { GameGrid } from '../components/GameGrid';
-import { ActionButton, ActionButtonsRow } from '../components/ActionButtons';
-import { GameOverModal, LevelUpOverlay, NumberPickerModal } from '../components/GameModals';
+import { ActionButton, ActionButtonsRow, BudgetMeter } from '../components/ActionButtons';
+import { GameOverModal, LevelResultModal, LevelUpOverlay, NumberPickerModal, HelpModal } from '../components/GameModals';
+import { AchievementToast } from '../components/AchievementToast';
+import AchievementsScreen from './AchievementsScreen';
+import StatisticsScreen from './StatisticsScreen';
+import LeaderboardScreen from './LeaderboardScreen';
+import SettingsScreen from './SettingsScreen';
+import LevelSelectScreen from './LevelSelectScreen';
+import LevelEditorScreen from './LevelEditorScreen';
+import BoardCodeScreen from './BoardCodeScreen';
 
 // Import constants and helpers
-import { GAME_CONFIG, COLORS, ICONS } from '../utils/constants';
-import { getCellColor, getCellKey } from '../utils/helpers';
+import { GAME_CONFIG, GAME_MODES, GAME_MODE_LABELS, PACK_MODE, VERSUS_MODE, HINT_LEVELS, HINT_LEVEL_LABELS, COLORS, ICONS } from '../utils/constants';
+import { getCellColor, getCellKey, formatScore, formatTime } from '../utils/helpers';
+import { RULE_SETS } from '../systems/RuleSet';
+import { CONNECTION_SETS } from '../systems/ConnectionValidator';
+import { levelPacks } from '../systems/LevelPackLoader';
+import { settings as settingsSystem } from '../core/SettingsSystem';
 
 /**
  * Main Number Puzzle Game Screen
  * Uses the modular GameController system
  */
-export default function NumberPuzzleGame() {
+export default function NumberPuzzleGame({
+  mode = GAME_MODES.CLASSIC,
+  ruleSet = GAME_CONFIG.RULE_SET,
+  connectionSet = GAME_CONFIG.CONNECTION_SET,
+  difficulty,
+  seed,
+  packLevel,
+  boardCode,
+  opponent,
+  onSwitchMode,
+  onSwitchRuleSet,
+  onSwitchConnectionSet,
+  onReplay,
+  onPlayLevel,
+  onPlayCode,
+  navigation,
+}) {
   // Initialize game controller with config
-  const { gameState, actions, controller } = useGameController({
-    initialTime: GAME_CONFIG.INITIAL_TIME,
-    initialRows: GAME_CONFIG.INITIAL_ROWS,
+  const { gameState, actions, savedGame, isDemoRunning, controller } = useGameController({
+    mode,
+    ruleSet,
+    connectionSet,
+    difficulty,
+    seed,
+    packLevel,
+    boardCode,
+    opponent,
     gridCols: GAME_CONFIG.GRID_COLS,
+    undosPerLevel: GAME_CONFIG.UNDOS_PER_LEVEL,
+    minStartPairs: GAME_CONFIG.MIN_START_PAIRS,
+    requireClearable: GAME_CONFIG.REQUIRE_CLEARABLE,
   });
+  const { settings } = useSettings();
 
   // Local UI state
   const [showGameOver, setShowGameOver] = useState(false);
+  const [gameOverInfo, setGameOverInfo] = useState(null);
   const [showLevelUp, setShowLevelUp] = useState(false);
   const [showNumberPicker, setShowNumberPicker] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [showStatistics, setShowStatistics] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showLevelSelect, setShowLevelSelect] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  const [showBoardCode, setShowBoardCode] = useState(false);
+  const [levelResult, setLevelResult] = useState(null);
+  const [achievementQueue, setAchievementQueue] = useState([]);
   const [selectedCellForChange, setSelectedCellForChange] = useState(null);
   const [invalidCell, setInvalidCell] = useState(null);
+  const [matchPath, setMatchPath] = useState(null);
+  const [timeChange, setTimeChange] = useState(null);
 
   // Animations
   const [scoreAnim] = useState(new Animated.Value(1));
   const [levelAnim] = useState(new Animated.Value(0));
   const [hintAnim] = useState(new Animated.Value(1));
   const [shakeAnim] = useState(new Animated.Value(0));
+  const [pathAnim] = useState(new Animated.Value(0));
 
   // Subscribe to game events
   useEffect(() => {
@@ -55,12 +108,54 @@ export default function NumberPuzzleGame() {
     return () => unsubscribe();
   }, [controller]);
 
+  // Offer to continue an autosaved run
+  useEffect(() => {
+    if (!savedGame) return;
+
+    const { level, score, timer } = savedGame.data;
+    Alert.alert(
+      'Continue Game?',
+      `Level ${level.level} • Score ${formatScore(score.score)} • ${formatTime(timer.currentTime)} ${timer.mode === 'countup' ? 'played' : 'left'}`,
+      [
+        { text: 'New Game', style: 'destructive', onPress: actions.discardSavedGame },
+        { text: 'Continue', onPress: actions.continueGame }
+      ],
+      { cancelable: false }
+    );
+  }, [savedGame]);
+
+  // Leaving the screen (back button, Menu) pauses a running game first -
+  // the pause autosaves - and asks before the run is left behind
+  useEffect(() => {
+    if (!navigation || !gameState.isPlaying) return;
+
+    return navigation.addListener('beforeRemove', (event) => {
+      event.preventDefault();
+      actions.pauseGame();
+      Alert.alert(
+        'Leave Game?',
+        settingsSystem.get('autoSave') && !gameState.packLevel && !boardCode && gameState.mode !== VERSUS_MODE
+          ? 'The game is paused and saved - you can continue it next time.'
+          : 'The game is paused - leaving ends this run.',
+        [
+          { text: 'Keep Playing', style: 'cancel', onPress: actions.startGame },
+          { text: 'Leave', style: 'destructive', onPress: () => navigation.dispatch(event.data.action) }
+        ]
+      );
+    });
+  }, [navigation, gameState.isPlaying]);
+
   /**
    * Handle game events
    */
   const handleGameEvent = (event, data) => {
     switch (event) {
       case 'gameOver':
+        if (data.packResult) {
+          setLevelResult(data.packResult);
+          break;
+        }
+        setGameOverInfo(data);
         setShowGameOver(true);
         break;
 
@@ -72,9 +167,16 @@ export default function NumberPuzzleGame() {
 
       case 'matchSuccess':
         animateScore();
+        if (data.path) {
+          setMatchPath(data.path);
+          animatePath();
+        }
         break;
 
       case 'matchFailed':
+        if (settingsSystem.get('vibrationEnabled')) {
+          Vibration.vibrate(50);
+        }
         if (data.reason === 'noValidPath') {
           setInvalidCell(data);
           animateShake();
@@ -86,6 +188,15 @@ export default function NumberPuzzleGame() {
         animateHintPulse();
         break;
 
+      case 'timeChanged':
+        setTimeChange(data);
+        setTimeout(() => setTimeChange(current => (current === data ? null : current)), 1000);
+        break;
+
+      case 'achievementUnlocked':
+        setAchievementQueue(queue => [...queue, data]);
+        break;
+
       case 'changeModeSelect':
         setSelectedCellForChange(data);
         setShowNumberPicker(true);
@@ -165,6 +276,18 @@ export default function NumberPuzzleGame() {
     ).start();
   };
 
+  const animatePath = () => {
+    pathAnim.setValue(1);
+    Animated.sequence([
+      Animated.delay(400),
+      Animated.timing(pathAnim, {
+        toValue: 0,
+        duration: 300,
+        useNativeDriver: true,
+      }),
+    ]).start(() => setMatchPath(null));
+  };
+
   const animateShake = () => {
     Animated.sequence([
       Animated.timing(shakeAnim, { toValue: 10, duration: 50, useNativeDriver: true }),
@@ -185,6 +308,14 @@ export default function NumberPuzzleGame() {
     }
   };
 
+  /**
+   * Open board codes - a running game pauses so the clock stops meanwhile
+   */
+  const handleOpenBoardCode = () => {
+    if (gameState.isPlaying) actions.pauseGame();
+    setShowBoardCode(true);
+  };
+
   /**
    * Handle reset with confirmation
    */
@@ -218,6 +349,67 @@ export default function NumberPuzzleGame() {
     setSelectedCellForChange(null);
   };
 
+  /**
+   * Mode the menu button switches to next
+   */
+  const getNextMode = () => {
+    const modes = Object.values(GAME_MODES);
+    return modes[(modes.indexOf(gameState.mode) + 1) % modes.length];
+  };
+
+  /**
+   * Pack level after the current one (null at the end of its pack)
+   */
+  const getNextPackLevel = () => {
+    return gameState.packLevel ? levelPacks.getNextLevel(gameState.packLevel) : null;
+  };
+
+  /**
+   * Rule set the menu button switches to next
+   */
+  const getNextRuleSet = () => {
+    const ids = Object.keys(RULE_SETS);
+    return ids[(ids.indexOf(gameState.ruleSet.id) + 1) % ids.length];
+  };
+
+  /**
+   * Connection set the menu button switches to next
+   */
+  const getNextConnectionSet = () => {
+    const ids = Object.keys(CONNECTION_SETS);
+    return ids[(ids.indexOf(gameState.connectionRules?.id) + 1) % ids.length];
+  };
+
+  /**
+   * Connection paths drawn over the grid: the match that just happened
+   * and, at the 'path' hint level, the route of the hinted pair
+   */
+  const getConnectionPaths = () => {
+    const paths = [];
+
+    if (gameState.hintInfo?.path && gameState.hintCells.length > 0) {
+      paths.push({ cells: gameState.hintInfo.path, color: COLORS.SUCCESS, opacity: 0.7 });
+    }
+    if (matchPath) {
+      paths.push({ cells: matchPath, color: COLORS.TEXT_GOLD, opacity: pathAnim });
+    }
+    if (gameState.computerMove?.path) {
+      paths.push({ cells: gameState.computerMove.path, color: COLORS.INFO, opacity: 0.8 });
+    }
+
+    return paths;
+  };
+
+  /**
+   * Cells of the move the computer is about to play
+   */
+  const getComputerMoveCells = () => {
+    const move = gameState.computerMove;
+    if (move?.type === 'match') return [move.from, move.to];
+    if (move?.type === 'change') return [{ row: move.row, col: move.col }];
+    return [];
+  };
+
   /**
    * Get cell style based on state
    */
@@ -234,6 +426,9 @@ export default function NumberPuzzleGame() {
     const isInvalid = invalidCell?.row2 === row && invalidCell?.col2 === col;
     const isSelectedForChange = selectedCellForChange?.row === row && 
                                 selectedCellForChange?.col === col;
+    const isComputerMove = getComputerMoveCells().some(
+      cell => cell.row === row && cell.col === col
+    );
 
     if (isMatched) {
       return { opacity: 0.2 };
@@ -248,6 +443,15 @@ export default function NumberPuzzleGame() {
       };
     }
 
+    if (isComputerMove) {
+      return {
+        opacity: 1,
+        backgroundColor: 'rgba(59, 233, 221, 0.3)',
+        shadowColor: COLORS.INFO,
+        shadowOpacity: 0.8,
+      };
+    }
+
     if (isHint) {
       return {
         opacity: 1,
@@ -288,6 +492,9 @@ export default function NumberPuzzleGame() {
     return gameState.resources[resourceName] > 0;
   };
 
+  // The player's controls rest while the computer takes its turn
+  const canAct = gameState.isPlaying && !gameState.isComputerTurn;
+
   return (
     <Animated.View 
       style={[
@@ -300,6 +507,18 @@ export default function NumberPuzzleGame() {
         level={gameState.level}
         score={gameState.score}
         scoreAnim={scoreAnim}
+        subtitle={[
+          gameState.mode === GAME_MODES.DAILY && String(gameState.seed).replace('daily-', 'DAILY '),
+          gameState.packLevel && `${gameState.packLevel.index + 1}. ${gameState.packLevel.name}`.toUpperCase(),
+          ![GAME_MODES.CLASSIC, GAME_MODES.DAILY, PACK_MODE].includes(gameState.mode) && GAME_MODE_LABELS[gameState.mode].toUpperCase(),
+          gameState.opponent && `VS ${gameState.opponent.name.toUpperCase()} CPU`,
+          gameState.ruleSet.id !== GAME_CONFIG.RULE_SET && gameState.ruleSet.name.toUpperCase(),
+          gameState.boardInfo?.difficulty.label.toUpperCase()
+        ].filter(Boolean).join(' · ') || null}
+        moves={gameState.hasMoveLimit ? gameState.resources.moves : null}
+        maxMoves={gameState.hasMoveLimit ? gameState.resourceLimits.moves : null}
+        players={gameState.mode === VERSUS_MODE ? gameState.players : null}
+        activePlayer={gameState.activePlayer}
       />
 
       {/* Level Up Overlay */}
@@ -313,7 +532,11 @@ export default function NumberPuzzleGame() {
         visible={showGameOver}
         score={gameState.score}
         level={gameState.level}
-        highScore={gameState.score}
+        highScore={gameOverInfo?.highScore ?? gameState.highScore}
+        rank={gameOverInfo?.rank ?? null}
+        isNewHighScore={gameOverInfo?.isNewHighScore}
+        timePlayed={gameOverInfo?.untimed ? gameOverInfo.duration : null}
+        standings={gameOverInfo?.standings ?? null}
         onRestart={() => {
           setShowGameOver(false);
           actions.resetGame();
@@ -321,6 +544,26 @@ export default function NumberPuzzleGame() {
         onClose={() => setShowGameOver(false)}
       />
 
+      {/* Pack level result */}
+      <LevelResultModal
+        visible={!!levelResult}
+        levelName={gameState.packLevel?.name}
+        result={levelResult}
+        onNext={onPlayLevel && getNextPackLevel() && (() => {
+          setLevelResult(null);
+          onPlayLevel(getNextPackLevel());
+        })}
+        onRetry={() => {
+          setLevelResult(null);
+          actions.resetGame();
+        }}
+        onLevels={onPlayLevel && (() => {
+          setLevelResult(null);
+          setShowLevelSelect(true);
+        })}
+        onClose={() => setLevelResult(null)}
+      />
+
       {/* Number Picker Modal */}
       <NumberPickerModal
         visible={showNumberPicker}
@@ -330,6 +573,15 @@ export default function NumberPuzzleGame() {
           actions.cancelChangeMode();
         }}
         onSelectNumber={handleNumberChange}
+        numbers={gameState.ruleSet.getValueRange()}
+      />
+
+      {/* Help */}
+      <HelpModal
+        visible={showHelp}
+        onClose={() => setShowHelp(false)}
+        ruleSet={gameState.ruleSet}
+        connectionRules={gameState.connectionRules}
       />
 
       {/* Main Content */}
@@ -341,8 +593,147 @@ export default function NumberPuzzleGame() {
           onPlayPause={handlePlayPause}
           onReset={handleReset}
           timeLeft={gameState.timeLeft}
+          countUp={!gameState.isTimed}
+          showTimer={!gameState.hasMoveLimit}
+          additionalControls={
+            <>
+              {navigation && (
+                <ControlButton
+                  onPress={() => navigation.goBack()}
+                  icon={ICONS.MENU}
+                  label="Menu"
+                  backgroundColor={COLORS.SECONDARY}
+                />
+              )}
+              <ControlButton
+                onPress={actions.undo}
+                icon={ICONS.UNDO}
+                label={`Undo (${gameState.resources.undos ?? '∞'})`}
+                backgroundColor={COLORS.SECONDARY}
+                disabled={!canAct || !gameState.canUndo || gameState.resources.undos === 0}
+              />
+              <ControlButton
+                onPress={actions.redo}
+                icon={ICONS.REDO}
+                label="Redo"
+                backgroundColor={COLORS.SECONDARY}
+                disabled={!canAct || !gameState.canRedo}
+              />
+              <ControlButton
+                onPress={actions.toggleDemo}
+                icon={ICONS.DEMO}
+                label={isDemoRunning ? 'Stop' : 'Demo'}
+                backgroundColor={COLORS.INFO}
+                disabled={gameState.isGameOver}
+              />
+              {onSwitchMode && !gameState.isPlaying && !gameState.isPaused && (
+                <ControlButton
+                  onPress={() => onSwitchMode(getNextMode())}
+                  icon={ICONS.LEVEL}
+                  label={GAME_MODE_LABELS[gameState.mode]}
+                  backgroundColor={COLORS.PRIMARY}
+                />
+              )}
+              {onPlayLevel && !gameState.isPlaying && !gameState.isPaused && (
+                <ControlButton
+                  onPress={() => setShowLevelSelect(true)}
+                  icon={ICONS.STAR}
+                  label="Levels"
+                  backgroundColor={COLORS.PRIMARY}
+                  disabled={!controller}
+                />
+              )}
+              {onPlayLevel && !gameState.isPlaying && !gameState.isPaused && (
+                <ControlButton
+                  onPress={() => setShowEditor(true)}
+                  icon={ICONS.EDIT}
+                  label="Editor"
+                  backgroundColor={COLORS.PRIMARY}
+                />
+              )}
+              {!gameState.packLevel && (
+                <ControlButton
+                  onPress={handleOpenBoardCode}
+                  icon={ICONS.LINK}
+                  label="Code"
+                  backgroundColor={COLORS.PRIMARY}
+                  disabled={!controller}
+                />
+              )}
+              {onSwitchRuleSet && !gameState.packLevel && !gameState.isPlaying && !gameState.isPaused && (
+                <ControlButton
+                  onPress={() => onSwitchRuleSet(getNextRuleSet())}
+                  icon={ICONS.RULES}
+                  label={gameState.ruleSet.name}
+                  backgroundColor={COLORS.PRIMARY}
+                />
+              )}
+              {onSwitchConnectionSet && !gameState.packLevel && !gameState.isPlaying && !gameState.isPaused && (
+                <ControlButton
+                  onPress={() => onSwitchConnectionSet(getNextConnectionSet())}
+                  icon={ICONS.LINK}
+                  label={gameState.connectionRules?.name || 'Connections'}
+                  backgroundColor={COLORS.PRIMARY}
+                />
+              )}
+              <ControlButton
+                onPress={() => setShowAchievements(true)}
+                icon={ICONS.TROPHY}
+                label="Awards"
+                backgroundColor={COLORS.SECONDARY}
+              />
+              <ControlButton
+                onPress={() => setShowLeaderboard(true)}
+                icon={ICONS.STAR}
+                label="Top"
+                backgroundColor={COLORS.SECONDARY}
+                disabled={!controller}
+              />
+              <ControlButton
+                onPress={() => setShowStatistics(true)}
+                icon={ICONS.STATS}
+                label="Stats"
+                backgroundColor={COLORS.SECONDARY}
+                disabled={!controller}
+              />
+              <ControlButton
+                onPress={() => setShowSettings(true)}
+                icon={ICONS.SETTINGS}
+                label="Settings"
+                backgroundColor={COLORS.SECONDARY}
+              />
+              <ControlButton
+                onPress={() => setShowHelp(true)}
+                icon={ICONS.INFO}
+                label="Help"
+                backgroundColor={COLORS.SECONDARY}
+              />
+            </>
+          }
         />
 
+        {/* Time attack clock */}
+        {gameState.mode === GAME_MODES.TIME_ATTACK && (
+          <View style={styles.timeAttackBar}>
+            <TimerProgressBar
+              timeLeft={gameState.timeLeft}
+              maxTime={gameState.timeLimit}
+              warningThreshold={20}
+              dangerThreshold={10}
+            />
+            {timeChange && (
+              <Text
+                style={[
+                  styles.timeChangeText,
+                  { color: timeChange.seconds > 0 ? COLORS.SUCCESS : COLORS.DANGER }
+                ]}
+              >
+                {timeChange.seconds > 0 ? '+' : ''}{timeChange.seconds}s
+              </Text>
+            )}
+          </View>
+        )}
+
         {/* Game Grid */}
         <GameGrid
           grid={gameState.grid}
@@ -353,41 +744,87 @@ export default function NumberPuzzleGame() {
           hintCells={gameState.hintCells}
           invalidCell={invalidCell}
           cellAnim={hintAnim}
+          paths={getConnectionPaths()}
         />
 
+        {/* Move budget */}
+        {gameState.hasMoveLimit && (
+          <BudgetMeter
+            label="Moves left"
+            icon={ICONS.MOVES}
+            remaining={gameState.resources.moves}
+            total={gameState.resourceLimits.moves}
+          />
+        )}
+
         {/* Action Buttons */}
         <ActionButtonsRow>
           <ActionButton
             onPress={actions.useAddMoves}
             label="Add"
             icon={ICONS.ADD}
-            count={GAME_CONFIG.MAX_ACTIONS - (gameState.resources.addMoves || 0)}
-            maxCount={GAME_CONFIG.MAX_ACTIONS}
-            disabled={!gameState.isPlaying || !canUseResource('addMoves')}
+            count={gameState.resourceLimits.addMoves - (gameState.resources.addMoves || 0)}
+            maxCount={gameState.resourceLimits.addMoves}
+            disabled={!canAct || !canUseResource('addMoves')}
             backgroundColor={COLORS.PRIMARY}
           />
 
-          <ActionButton
-            onPress={actions.useHint}
-            label="Hint"
-            icon={ICONS.HINT}
-            count={GAME_CONFIG.MAX_ACTIONS - (gameState.resources.hints || 0)}
-            maxCount={GAME_CONFIG.MAX_ACTIONS}
-            disabled={!gameState.isPlaying || !canUseResource('hints')}
-            backgroundColor={COLORS.SUCCESS}
-          />
+          {settings.showHints && (
+            <ActionButton
+              onPress={actions.useHint}
+              onLongPress={actions.cycleHintLevel}
+              label={`Hint: ${HINT_LEVEL_LABELS[gameState.hintLevel]}`}
+              icon={ICONS.HINT}
+              count={gameState.resourceLimits.hints - (gameState.resources.hints || 0)}
+              maxCount={gameState.resourceLimits.hints}
+              disabled={!canAct || !canUseResource('hints')}
+              backgroundColor={COLORS.SUCCESS}
+            />
+          )}
 
           <ActionButton
             onPress={actions.startChangeMode}
             label="Change"
             icon={ICONS.CHANGE}
-            count={GAME_CONFIG.MAX_ACTIONS - (gameState.resources.changes || 0)}
-            maxCount={GAME_CONFIG.MAX_ACTIONS}
-            disabled={!gameState.isPlaying || !canUseResource('changes')}
+            count={gameState.resourceLimits.changes - (gameState.resources.changes || 0)}
+            maxCount={gameState.resourceLimits.changes}
+            disabled={!canAct || !canUseResource('changes')}
             backgroundColor={COLORS.WARNING}
           />
         </ActionButtonsRow>
 
+        {/* Path hint explanation */}
+        {gameState.hintInfo?.level === HINT_LEVELS.PATH && gameState.hintCells.length > 0 && (
+          <View style={styles.hintInfo}>
+            <Text style={styles.hintInfoText}>
+              {ICONS.HINT} Connect via {gameState.hintInfo.type}
+              {gameState.hintInfo.completesRow ? ' • clears a row' : ''}
+              {` • opens ${gameState.hintInfo.followUps} moves`}
+            </Text>
+          </View>
+        )}
+
+        {/* Pack level brief */}
+        {gameState.packLevel && (gameState.packLevel.description || gameState.packLevel.goals.length > 0) && (
+          <View style={styles.hintInfo}>
+            {!!gameState.packLevel.description && (
+              <Text style={styles.levelBriefText}>{gameState.packLevel.description}</Text>
+            )}
+            {gameState.packLevel.goals.map(goal => (
+              <Text key={goal.type} style={styles.levelGoalText}>{ICONS.LEVEL} {goal.description}</Text>
+            ))}
+          </View>
+        )}
+
+        {/* Computer turn */}
+        {gameState.isPlaying && gameState.isComputerTurn && (
+          <View style={styles.changeModeIndicator}>
+            <Text style={[styles.changeModeText, styles.computerTurnText]}>
+              {ICONS.COMPUTER} {gameState.computerMove?.type === 'add' ? 'Computer adds numbers' : 'Computer is thinking...'}
+            </Text>
+          </View>
+        )}
+
         {/* Change Mode Indicator */}
         {gameState.isChangeMode && (
           <View style={styles.changeModeIndicator}>
@@ -397,6 +834,118 @@ export default function NumberPuzzleGame() {
           </View>
         )}
       </View>
+
+      {/* Achievements */}
+      <Modal
+        visible={showAchievements}
+        animationType="slide"
+        onRequestClose={() => setShowAchievements(false)}
+      >
+        <AchievementsScreen
+          achievements={controller?.getAchievements() || []}
+          statistics={controller?.getAchievementStats()}
+          onClose={() => setShowAchievements(false)}
+        />
+      </Modal>
+
+      {/* Statistics */}
+      <Modal
+        visible={showStatistics}
+        animationType="slide"
+        onRequestClose={() => setShowStatistics(false)}
+      >
+        {controller && (
+          <StatisticsScreen
+            statistics={controller.getStatistics()}
+            onClose={() => setShowStatistics(false)}
+          />
+        )}
+      </Modal>
+
+      {/* Leaderboard */}
+      <Modal
+        visible={showLeaderboard}
+        animationType="slide"
+        onRequestClose={() => setShowLeaderboard(false)}
+      >
+        {controller && (
+          <LeaderboardScreen
+            leaderboard={controller.getLeaderboard()}
+            initialBoard={gameState.packLevel ? GAME_MODES.CLASSIC : gameState.mode}
+            onReplay={onReplay && ((entry) => {
+              setShowLeaderboard(false);
+              onReplay(entry);
+            })}
+            onClose={() => setShowLeaderboard(false)}
+          />
+        )}
+      </Modal>
+
+      {/* Level select */}
+      <Modal
+        visible={showLevelSelect}
+        animationType="slide"
+        onRequestClose={() => setShowLevelSelect(false)}
+      >
+        {controller && (
+          <LevelSelectScreen
+            progress={controller.getLevelProgress()}
+            currentLevelId={gameState.packLevel?.id}
+            onSelectLevel={(level) => {
+              setShowLevelSelect(false);
+              onPlayLevel(level);
+            }}
+            onClose={() => setShowLevelSelect(false)}
+          />
+        )}
+      </Modal>
+
+      {/* Level editor */}
+      <Modal
+        visible={showEditor}
+        animationType="slide"
+        onRequestClose={() => setShowEditor(false)}
+      >
+        <LevelEditorScreen
+          onPlayLevel={(level) => {
+            setShowEditor(false);
+            onPlayLevel(level);
+          }}
+          onClose={() => setShowEditor(false)}
+        />
+      </Modal>
+
+      {/* Board codes */}
+      <Modal
+        visible={showBoardCode}
+        animationType="slide"
+        onRequestClose={() => setShowBoardCode(false)}
+      >
+        {controller && showBoardCode && (
+          <BoardCodeScreen
+            currentCode={controller.getBoardCode()}
+            onPlayCode={onPlayCode && ((code) => {
+              setShowBoardCode(false);
+              onPlayCode(code);
+            })}
+            onClose={() => setShowBoardCode(false)}
+          />
+        )}
+      </Modal>
+
+      {/* Settings */}
+      <Modal
+        visible={showSettings}
+        animationType="slide"
+        onRequestClose={() => setShowSettings(false)}
+      >
+        <SettingsScreen onClose={() => setShowSettings(false)} />
+      </Modal>
+
+      <AchievementToast
+        achievement={achievementQueue[0] || null}
+        onHide={() => setAchievementQueue(queue => queue.slice(1))}
+      />
     </Animated.View>
   );
 }
@@ -410,6 +959,35 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 16,
   },
+  timeAttackBar: {
+    marginBottom: 8,
+  },
+  timeChangeText: {
+    position: 'absolute',
+    right: 12,
+    top: 10,
+    fontSize: 14,
+    fontWeight: '900',
+  },
+  hintInfo: {
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  hintInfoText: {
+    color: COLORS.SUCCESS,
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  levelBriefText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  levelGoalText: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: 13,
+    fontWeight: '700',
+  },
   changeModeIndicator: {
     position: 'absolute',
     bottom: 100,
@@ -429,4 +1007,7 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: COLORS.WARNING,
   },
+  computerTurnText: {
+    borderColor: COLORS.INFO,
+  },
 });
\ No newline at end of file
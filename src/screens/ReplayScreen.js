@@ -0,0 +1,303 @@
+// ============================================================================
+// FILE: src/screens/ReplayScreen.js
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { GameGrid } from '../components/GameGrid';
+import { ReplayController, REPLAY_SPEEDS } from '../controllers/ReplayController';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, DIMENSIONS } from '../utils/constants';
+import { getCellColor, formatScore, formatTime } from '../utils/helpers';
+
+const SKIP_MS = 10000;
+
+const ACTION_LABELS = {
+  select: 'Select',
+  match: 'Match',
+  add: 'Add',
+  hint: 'Hint',
+  changeMode: 'Change',
+  change: 'Change',
+  cancelChange: 'Cancel change',
+  undo: 'Undo',
+  redo: 'Redo',
+  pause: 'Pause',
+  resume: 'Resume',
+  timeUp: "Time's up",
+};
+
+/**
+ * Replay Screen
+ * Watches a recorded run on a read-only controller - play/pause,
+ * 1x/2x/4x and scrubbing along the run's clock
+ */
+export default function ReplayScreen({ replay, title = 'Replay', onClose }) {
+  const [player] = useState(() => new ReplayController(replay));
+  const [, setVersion] = useState(0);
+  const [scrubWidth, setScrubWidth] = useState(0);
+
+  // Re-render on every playback step; stop playback when leaving
+  useEffect(() => {
+    const unsubscribe = player.subscribe(() => setVersion(version => version + 1));
+    return () => {
+      unsubscribe();
+      player.destroy();
+    };
+  }, [player]);
+
+  const game = player.getGame();
+  const grid = game.getGrid();
+  const cols = grid[0]?.length || 9;
+  const cellSize = Math.min(35, Math.floor((DIMENSIONS.SCREEN_WIDTH - 80) / cols) - 3);
+  const progress = player.getDuration() > 0 ? player.getPosition() / player.getDuration() : 0;
+
+  const handleScrub = (event) => {
+    if (scrubWidth <= 0) return;
+    const ratio = Math.max(0, Math.min(1, event.nativeEvent.locationX / scrubWidth));
+    player.seek(ratio * player.getDuration());
+  };
+
+  const getCellStyle = (row, col) => {
+    const selected = game.getSelectedCell();
+    if (game.getMatchedCells().some(cell => cell.row === row && cell.col === col)) {
+      return { opacity: 0.2 };
+    }
+    if (selected?.row === row && selected?.col === col) {
+      return { opacity: 1, backgroundColor: COLORS.SELECTED };
+    }
+    if (game.getHintCells().some(cell => cell.row === row && cell.col === col)) {
+      return { opacity: 1, backgroundColor: COLORS.HINT };
+    }
+    return { opacity: 1 };
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.WATCH} {title}</Text>
+
+      <View style={styles.stats}>
+        <Stat label="Score" value={formatScore(game.getScore())} />
+        <Stat label="Level" value={game.getLevel()} />
+        <Stat label="Clock" value={formatTime(game.getTimeLeft())} />
+        <Stat label="Actions" value={`${player.getActionIndex()}/${player.getActionCount()}`} />
+      </View>
+
+      <GameGrid
+        grid={grid}
+        onCellPress={() => {}}
+        getCellStyle={getCellStyle}
+        getCellColor={getCellColor}
+        cellSize={cellSize}
+        hintCells={game.getHintCells()}
+        gridHeight={DIMENSIONS.SCREEN_HEIGHT * 0.45}
+      />
+
+      <Text style={styles.lastAction}>{describeAction(player.getLastAction())}</Text>
+
+      {/* Scrub bar - children ignore touches so locationX is always along the bar */}
+      <View
+        style={styles.scrubber}
+        onLayout={(event) => setScrubWidth(event.nativeEvent.layout.width)}
+        onStartShouldSetResponder={() => true}
+        onMoveShouldSetResponder={() => true}
+        onResponderGrant={handleScrub}
+        onResponderMove={handleScrub}
+      >
+        <View pointerEvents="none" style={[styles.scrubberFill, { width: `${progress * 100}%` }]} />
+      </View>
+      <View style={styles.timeRow}>
+        <Text style={styles.timeText}>{formatTime(Math.floor(player.getPosition() / 1000))}</Text>
+        <Text style={styles.timeText}>{formatTime(Math.floor(player.getDuration() / 1000))}</Text>
+      </View>
+
+      <View style={styles.transport}>
+        <TransportButton label="⏮" onPress={() => player.seek(0)} />
+        <TransportButton label="-10s" onPress={() => player.seek(player.getPosition() - SKIP_MS)} />
+        <TransportButton
+          label={player.isPlaying ? ICONS.PAUSE : ICONS.PLAY}
+          onPress={() => (player.isPlaying ? player.pause() : player.play())}
+          primary
+        />
+        <TransportButton label="+10s" onPress={() => player.seek(player.getPosition() + SKIP_MS)} />
+      </View>
+
+      <View style={styles.speeds}>
+        {REPLAY_SPEEDS.map(speed => (
+          <TouchableOpacity
+            key={speed}
+            style={[styles.speed, player.getSpeed() === speed && styles.speedActive]}
+            onPress={() => player.setSpeed(speed)}
+          >
+            <Text style={[styles.speedText, player.getSpeed() === speed && styles.speedTextActive]}>{speed}x</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+// "Match (1, 2) ↔ (1, 5)" - rows and columns counted from 1
+const describeAction = (action) => {
+  if (!action) return 'Start';
+
+  const [, type, ...args] = action;
+  const label = ACTION_LABELS[type] || type;
+  switch (type) {
+    case 'select':
+      return `${label} (${args[0] + 1}, ${args[1] + 1})`;
+    case 'match':
+      return `${label} (${args[0] + 1}, ${args[1] + 1}) ↔ (${args[2] + 1}, ${args[3] + 1})`;
+    case 'change':
+      return `${label} (${args[0] + 1}, ${args[1] + 1}) → ${args[2]}`;
+    case 'hint':
+      return `${label} (${args[0]})`;
+    default:
+      return label;
+  }
+};
+
+/**
+ * Helper Components
+ */
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <Text style={styles.statValue}>{value}</Text>
+    <Text style={styles.statLabel}>{label.toUpperCase()}</Text>
+  </View>
+);
+
+const TransportButton = ({ label, onPress, primary = false }) => (
+  <TouchableOpacity style={[styles.transportButton, primary && styles.transportButtonPrimary]} onPress={onPress}>
+    <Text style={styles.transportText}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.MEDIUM,
+  },
+  stats: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: SPACING.MEDIUM,
+  },
+  stat: {
+    alignItems: 'center',
+  },
+  statValue: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+  },
+  statLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+    letterSpacing: 1,
+  },
+  lastAction: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    textAlign: 'center',
+    marginVertical: SPACING.SMALL,
+  },
+  scrubber: {
+    height: 24,
+    justifyContent: 'center',
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.ROUND,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    overflow: 'hidden',
+  },
+  scrubberFill: {
+    height: '100%',
+    backgroundColor: COLORS.PRIMARY,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: SPACING.TINY,
+  },
+  timeText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '700',
+  },
+  transport: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: SPACING.MEDIUM,
+  },
+  transportButton: {
+    minWidth: 56,
+    alignItems: 'center',
+    backgroundColor: COLORS.SECONDARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.SMALL,
+    paddingHorizontal: SPACING.MEDIUM,
+    marginHorizontal: SPACING.TINY,
+  },
+  transportButtonPrimary: {
+    backgroundColor: COLORS.PRIMARY,
+  },
+  transportText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  speeds: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: SPACING.MEDIUM,
+  },
+  speed: {
+    paddingHorizontal: SPACING.LARGE,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.ROUND,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    marginHorizontal: SPACING.TINY,
+  },
+  speedActive: {
+    backgroundColor: COLORS.PRIMARY,
+    borderColor: COLORS.PRIMARY,
+  },
+  speedText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+  },
+  speedTextActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,312 @@
+// ============================================================================
+// FILE: src/screens/SettingsScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Switch, StyleSheet } from 'react-native';
+import { useSettings } from '../hooks/useSettings';
+import {
+  COLORS,
+  FONT_SIZES,
+  SPACING,
+  RADIUS,
+  ICONS,
+  HINT_LEVEL_LABELS,
+  DIFFICULTY_LABELS,
+  COMPUTER_SPEED_LABELS,
+} from '../utils/constants';
+
+const VOLUME_STEP = 0.1;
+
+/**
+ * Settings Screen
+ * Edits the shared SettingsSystem; every change is applied and saved immediately
+ */
+export default function SettingsScreen({ onClose }) {
+  const { settings, actions } = useSettings();
+
+  const stepVolume = (key, direction) => {
+    const next = Math.round((settings[key] + direction * VOLUME_STEP) * 10) / 10;
+    actions.setSetting(key, next);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.SETTINGS} Settings</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        <Section title="Sound">
+          <ToggleRow
+            label="Sound effects"
+            value={settings.soundEnabled}
+            onChange={value => actions.setSetting('soundEnabled', value)}
+          />
+          <VolumeRow
+            label="Effects volume"
+            value={settings.sfxVolume}
+            disabled={!settings.soundEnabled}
+            onStep={direction => stepVolume('sfxVolume', direction)}
+          />
+          <ToggleRow
+            label="Music"
+            value={settings.musicEnabled}
+            onChange={value => actions.setSetting('musicEnabled', value)}
+          />
+          <VolumeRow
+            label="Music volume"
+            value={settings.musicVolume}
+            disabled={!settings.musicEnabled}
+            onStep={direction => stepVolume('musicVolume', direction)}
+          />
+          <ToggleRow
+            label="Vibration"
+            value={settings.vibrationEnabled}
+            onChange={value => actions.setSetting('vibrationEnabled', value)}
+          />
+        </Section>
+
+        <Section title="Gameplay">
+          <Text style={styles.rowLabel}>Difficulty</Text>
+          <Segments
+            options={DIFFICULTY_LABELS}
+            value={settings.difficulty}
+            onChange={value => actions.setSetting('difficulty', value)}
+          />
+          <Text style={styles.note}>Takes effect from the next game</Text>
+
+          <ToggleRow
+            label="Hints"
+            value={settings.showHints}
+            onChange={value => actions.setSetting('showHints', value)}
+          />
+          {settings.showHints && (
+            <>
+              <Text style={styles.rowLabel}>Hint detail</Text>
+              <Segments
+                options={HINT_LEVEL_LABELS}
+                value={settings.hintLevel}
+                onChange={value => actions.setSetting('hintLevel', value)}
+              />
+            </>
+          )}
+
+          <Text style={styles.rowLabel}>Computer speed</Text>
+          <Segments
+            options={COMPUTER_SPEED_LABELS}
+            value={settings.computerSpeed}
+            onChange={value => actions.setSetting('computerSpeed', value)}
+          />
+          <Text style={styles.note}>How long the versus computer thinks before each move</Text>
+
+          <ToggleRow
+            label="Autosave"
+            value={settings.autoSave}
+            onChange={value => actions.setSetting('autoSave', value)}
+          />
+        </Section>
+
+        <TouchableOpacity style={styles.resetButton} onPress={actions.resetSettings}>
+          <Text style={styles.resetButtonText}>{ICONS.RESET} Restore defaults</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const ToggleRow = ({ label, value, onChange }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowLabel}>{label}</Text>
+    <Switch
+      value={value}
+      onValueChange={onChange}
+      trackColor={{ false: COLORS.DISABLED, true: COLORS.PRIMARY }}
+      thumbColor={COLORS.TEXT_PRIMARY}
+    />
+  </View>
+);
+
+const VolumeRow = ({ label, value, disabled, onStep }) => (
+  <View style={[styles.row, disabled && styles.rowDisabled]}>
+    <Text style={styles.rowLabel}>{label}</Text>
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={styles.stepButton}
+        onPress={() => onStep(-1)}
+        disabled={disabled || value <= 0}
+      >
+        <Text style={styles.stepButtonText}>−</Text>
+      </TouchableOpacity>
+      <Text style={styles.stepValue}>{Math.round(value * 100)}%</Text>
+      <TouchableOpacity
+        style={styles.stepButton}
+        onPress={() => onStep(1)}
+        disabled={disabled || value >= 1}
+      >
+        <Text style={styles.stepButtonText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  </View>
+);
+
+// One button per option ({ value: label })
+const Segments = ({ options, value, onChange }) => (
+  <View style={styles.segments}>
+    {Object.entries(options).map(([option, label]) => (
+      <TouchableOpacity
+        key={option}
+        style={[styles.segment, option === value && styles.segmentActive]}
+        onPress={() => onChange(option)}
+      >
+        <Text style={[styles.segmentText, option === value && styles.segmentTextActive]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: SPACING.TINY,
+  },
+  rowDisabled: {
+    opacity: 0.4,
+  },
+  rowLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+    paddingVertical: SPACING.TINY,
+  },
+  note: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.TINY,
+    marginBottom: SPACING.SMALL,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepButton: {
+    width: 32,
+    height: 32,
+    borderRadius: RADIUS.ROUND,
+    backgroundColor: COLORS.SECONDARY,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  stepValue: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '900',
+    width: 56,
+    textAlign: 'center',
+  },
+  segments: {
+    flexDirection: 'row',
+    marginBottom: SPACING.SMALL,
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: SPACING.SMALL,
+    borderRadius: RADIUS.SMALL,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    marginHorizontal: 2,
+  },
+  segmentActive: {
+    backgroundColor: COLORS.PRIMARY,
+    borderColor: COLORS.PRIMARY,
+  },
+  segmentText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+  segmentTextActive: {
+    color: COLORS.TEXT_PRIMARY,
+  },
+  resetButton: {
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.DANGER,
+    paddingVertical: SPACING.MEDIUM,
+    marginBottom: SPACING.LARGE,
+  },
+  resetButtonText: {
+    color: COLORS.DANGER,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,281 @@
+// ============================================================================
+// FILE: src/screens/StatisticsScreen.js
+// ============================================================================
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, CONNECTION_TYPES } from '../utils/constants';
+import { formatScore, formatTime } from '../utils/helpers';
+
+/**
+ * Statistics Screen
+ * Lifetime numbers from StatisticsSystem plus per-level / per-hour charts
+ */
+export default function StatisticsScreen({ statistics, onClose }) {
+  const averageScore = statistics.getAverage('finalScore');
+  const levelTimes = statistics.getAveragesByPrefix('levelTime.');
+  const matchesByType = statistics.getHistogram('matchesByType');
+  const activityByHour = statistics.getHistogram('activityByHour');
+
+  const levelBars = Object.keys(levelTimes)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(level => ({
+      label: `${level}`,
+      value: Math.round(levelTimes[level]),
+      caption: formatTime(Math.round(levelTimes[level]))
+    }));
+
+  const typeBars = Object.values(CONNECTION_TYPES).map(type => ({
+    label: type,
+    value: matchesByType[type] || 0,
+    caption: `${matchesByType[type] || 0}`
+  }));
+
+  const hourBars = Array.from({ length: 24 }, (_, hour) => ({
+    label: hour % 6 === 0 ? `${hour}` : '',
+    value: activityByHour[hour] || 0
+  }));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.STATS} Statistics</Text>
+
+      <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+        <Section title="Overview">
+          <StatRow label="Games played" value={statistics.getCounter('gamesPlayed')} />
+          <StatRow label="Games finished" value={statistics.getCounter('gamesFinished')} />
+          <StatRow label="Best score" value={formatScore(statistics.getMax('bestScore') || 0)} />
+          <StatRow
+            label="Average score"
+            value={averageScore === null ? '-' : formatScore(Math.round(averageScore))}
+          />
+          <StatRow label="Highest level" value={statistics.getMax('highestLevel') || 1} />
+          <StatRow label="Best combo" value={statistics.getMax('bestCombo') || 0} />
+          <StatRow label="Matches" value={statistics.getCounter('matches')} />
+          <StatRow label="Rows cleared" value={statistics.getCounter('rowsCleared')} />
+        </Section>
+
+        <Section title="Actions used">
+          <StatRow label={`${ICONS.HINT} Hints`} value={statistics.getCounter('hintsUsed')} />
+          <StatRow label={`${ICONS.ADD} Adds`} value={statistics.getCounter('addsUsed')} />
+          <StatRow label={`${ICONS.CHANGE} Changes`} value={statistics.getCounter('changesUsed')} />
+          <StatRow label={`${ICONS.UNDO} Undos`} value={statistics.getCounter('undosUsed')} />
+        </Section>
+
+        <Section title="Average clear time per level">
+          {levelBars.length > 0
+            ? <ColumnChart bars={levelBars} color={COLORS.INFO} />
+            : <Text style={styles.empty}>Clear a level to see your times</Text>}
+        </Section>
+
+        <Section title="Matches by connection">
+          <RowChart bars={typeBars} color={COLORS.SUCCESS} />
+        </Section>
+
+        <Section title="Games by time of day">
+          <ColumnChart bars={hourBars} color={COLORS.PRIMARY} compact />
+        </Section>
+      </ScrollView>
+
+      {onClose && (
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.closeButtonText}>{ICONS.CLOSE} Close</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const Section = ({ title, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title.toUpperCase()}</Text>
+    <View style={styles.card}>{children}</View>
+  </View>
+);
+
+const StatRow = ({ label, value }) => (
+  <View style={styles.statRow}>
+    <Text style={styles.statLabel}>{label}</Text>
+    <Text style={styles.statValue}>{value}</Text>
+  </View>
+);
+
+// Vertical bars, tallest = full height
+const ColumnChart = ({ bars, color, compact = false }) => {
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+
+  return (
+    <View style={styles.columnChart}>
+      {bars.map((bar, index) => (
+        <View key={index} style={[styles.column, compact && styles.columnCompact]}>
+          {!compact && <Text style={styles.barCaption}>{bar.caption}</Text>}
+          <View style={styles.columnTrack}>
+            <View
+              style={[
+                styles.columnFill,
+                { height: `${(bar.value / max) * 100}%`, backgroundColor: color }
+              ]}
+            />
+          </View>
+          <Text style={styles.barLabel}>{bar.label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// Horizontal bars, longest = full width
+const RowChart = ({ bars, color }) => {
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+
+  return (
+    <View>
+      {bars.map(bar => (
+        <View key={bar.label} style={styles.rowBar}>
+          <Text style={styles.rowBarLabel}>{bar.label}</Text>
+          <View style={styles.rowBarTrack}>
+            <View
+              style={[
+                styles.rowBarFill,
+                { width: `${(bar.value / max) * 100}%`, backgroundColor: color }
+              ]}
+            />
+          </View>
+          <Text style={styles.rowBarCaption}>{bar.caption}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.LARGE,
+  },
+  list: {
+    flex: 1,
+  },
+  section: {
+    marginBottom: SPACING.LARGE,
+  },
+  sectionTitle: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    letterSpacing: 1,
+    marginBottom: SPACING.SMALL,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: SPACING.TINY,
+  },
+  statLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+  },
+  statValue: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '900',
+  },
+  empty: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.SMALL,
+    textAlign: 'center',
+  },
+  columnChart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 140,
+  },
+  column: {
+    flex: 1,
+    alignItems: 'center',
+    marginHorizontal: 2,
+    height: '100%',
+  },
+  columnCompact: {
+    marginHorizontal: 1,
+  },
+  columnTrack: {
+    flex: 1,
+    width: '100%',
+    justifyContent: 'flex-end',
+  },
+  columnFill: {
+    width: '100%',
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  barCaption: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.TINY * 0.8,
+  },
+  barLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    marginTop: 2,
+  },
+  rowBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: SPACING.TINY,
+  },
+  rowBarLabel: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.TINY,
+    width: '30%',
+  },
+  rowBarTrack: {
+    flex: 1,
+    height: 10,
+    backgroundColor: COLORS.BORDER_LIGHT,
+    borderRadius: RADIUS.ROUND,
+    overflow: 'hidden',
+  },
+  rowBarFill: {
+    height: '100%',
+  },
+  rowBarCaption: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.TINY,
+    fontWeight: '800',
+    width: 40,
+    textAlign: 'right',
+  },
+  closeButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  closeButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,260 @@
+// ============================================================================
+// FILE: src/screens/TutorialScreen.js
+// ============================================================================
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { GameGrid } from '../components/GameGrid';
+import { GameController } from '../controllers/GameController';
+import { useTutorialProgress } from '../hooks/useTutorialProgress';
+import { settings } from '../core/SettingsSystem';
+import { COLORS, FONT_SIZES, SPACING, RADIUS, ICONS, DIMENSIONS } from '../utils/constants';
+import { getCellColor } from '../utils/helpers';
+
+/**
+ * Tutorial Screen
+ * Walks through the connection types on the tutorial's fixed boards -
+ * only the highlighted pair can be tapped, Next moves on once it is matched
+ */
+export default function TutorialScreen({ onFinish, onSkip }) {
+  const [game] = useState(() => {
+    const controller = new GameController({ tutorial: true, settings: settings.getAll() });
+    controller.startGame();
+    return controller;
+  });
+  const [, setVersion] = useState(0);
+  const [matchPath, setMatchPath] = useState(null);
+  const [showTapHint, setShowTapHint] = useState(false);
+  const { actions } = useTutorialProgress();
+
+  // Re-render on every game event; stop the clock when leaving
+  useEffect(() => {
+    const unsubscribe = game.subscribe((event, data) => {
+      switch (event) {
+        case 'matchSuccess':
+          setMatchPath(data.path);
+          break;
+        case 'tutorialStepStarted':
+          setMatchPath(null);
+          break;
+        case 'tutorialTapBlocked':
+          setShowTapHint(true);
+          break;
+        case 'cellSelected':
+          setShowTapHint(false);
+          break;
+        case 'tutorialCompleted':
+          actions.markCompleted();
+          break;
+        default:
+          break;
+      }
+      setVersion(version => version + 1);
+    });
+
+    return () => {
+      unsubscribe();
+      game.pauseGame();
+    };
+  }, [game]);
+
+  const tutorial = game.getTutorial();
+  const step = tutorial.getStep();
+  const grid = game.getGrid();
+  const cellSize = Math.min(35, Math.floor((DIMENSIONS.SCREEN_WIDTH - 80) / (grid[0]?.length || 9)) - 3);
+  const points = game.getConnectionRules().strategies[0]?.points;
+
+  const getCellStyle = (row, col) => {
+    const selected = game.getSelectedCell();
+    if (game.getMatchedCells().some(cell => cell.row === row && cell.col === col)) {
+      return { opacity: 0.2 };
+    }
+    if (selected?.row === row && selected?.col === col) {
+      return { opacity: 1, backgroundColor: COLORS.SELECTED, shadowColor: COLORS.TEXT_GOLD, shadowOpacity: 0.8 };
+    }
+    if (!tutorial.isStepDone() && tutorial.isTarget(row, col)) {
+      return { opacity: 1, backgroundColor: COLORS.HINT, shadowColor: COLORS.SUCCESS, shadowOpacity: 0.6 };
+    }
+    return { opacity: 0.5 };
+  };
+
+  const handleSkip = () => {
+    actions.markSkipped();
+    onSkip();
+  };
+
+  if (tutorial.isFinished()) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>{ICONS.TUTORIAL} Tutorial</Text>
+        <View style={styles.card}>
+          <Text style={styles.stepTitle}>{ICONS.PARTY} You're ready!</Text>
+          <Text style={styles.stepText}>
+            That's every connection. Match pairs to clear rows and whole boards - the Help button in
+            game has the rules whenever you need them.
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.primaryButton} onPress={onFinish}>
+          <Text style={styles.primaryButtonText}>{ICONS.PLAY} Let's play</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{ICONS.TUTORIAL} Tutorial</Text>
+      <StepDots count={tutorial.getStepCount()} current={tutorial.getStepIndex()} />
+
+      <View style={styles.card}>
+        <View style={styles.stepHeader}>
+          <Text style={styles.stepTitle}>{step.title}</Text>
+          {points !== undefined && <Text style={styles.points}>+{points}</Text>}
+        </View>
+        <Text style={styles.stepText}>{step.text}</Text>
+      </View>
+
+      <GameGrid
+        grid={grid}
+        onCellPress={(row, col) => game.handleCellPress(row, col)}
+        getCellStyle={getCellStyle}
+        getCellColor={getCellColor}
+        cellSize={cellSize}
+        gridHeight={DIMENSIONS.SCREEN_HEIGHT * 0.35}
+        paths={matchPath ? [{ cells: matchPath, color: COLORS.TEXT_GOLD, opacity: 0.8 }] : []}
+      />
+
+      {tutorial.isStepDone() ? (
+        <>
+          <Text style={styles.successText}>{ICONS.SUCCESS} Matched! +{points} points</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => game.nextTutorialStep()}>
+            <Text style={styles.primaryButtonText}>{tutorial.isLastStep() ? 'Finish' : 'Next'}</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <Text style={styles.tapHint}>
+          {showTapHint ? `${ICONS.HINT} Tap the highlighted numbers` : ' '}
+        </Text>
+      )}
+
+      {onSkip && (
+        <TouchableOpacity style={styles.skipButton} onPress={handleSkip}>
+          <Text style={styles.skipButtonText}>Skip tutorial</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Helper Components
+ */
+const StepDots = ({ count, current }) => (
+  <View style={styles.dots}>
+    {Array.from({ length: count }, (_, index) => (
+      <View
+        key={index}
+        style={[styles.dot, index < current && styles.dotDone, index === current && styles.dotCurrent]}
+      />
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.BACKGROUND,
+    padding: SPACING.LARGE,
+    paddingTop: SPACING.HUGE,
+  },
+  title: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.XXLARGE,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginBottom: SPACING.MEDIUM,
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: SPACING.MEDIUM,
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: RADIUS.ROUND,
+    backgroundColor: COLORS.DISABLED,
+    marginHorizontal: SPACING.TINY,
+  },
+  dotDone: {
+    backgroundColor: COLORS.SUCCESS,
+  },
+  dotCurrent: {
+    backgroundColor: COLORS.PRIMARY,
+  },
+  card: {
+    backgroundColor: COLORS.CARD_BG,
+    borderRadius: RADIUS.MEDIUM,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER_MEDIUM,
+    padding: SPACING.MEDIUM,
+    marginBottom: SPACING.MEDIUM,
+  },
+  stepHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  stepTitle: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.LARGE,
+    fontWeight: '900',
+  },
+  points: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+  },
+  stepText: {
+    color: COLORS.TEXT_SECONDARY,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '600',
+    marginTop: SPACING.SMALL,
+  },
+  successText: {
+    color: COLORS.SUCCESS,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+    textAlign: 'center',
+    marginTop: SPACING.MEDIUM,
+  },
+  tapHint: {
+    color: COLORS.TEXT_GOLD,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '800',
+    textAlign: 'center',
+    marginTop: SPACING.MEDIUM,
+  },
+  primaryButton: {
+    backgroundColor: COLORS.PRIMARY,
+    borderRadius: RADIUS.MEDIUM,
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: SPACING.MEDIUM,
+  },
+  primaryButtonText: {
+    color: COLORS.TEXT_PRIMARY,
+    fontSize: FONT_SIZES.MEDIUM,
+    fontWeight: '900',
+    textAlign: 'center',
+  },
+  skipButton: {
+    paddingVertical: SPACING.MEDIUM,
+    marginTop: 'auto',
+  },
+  skipButtonText: {
+    color: COLORS.TEXT_MUTED,
+    fontSize: FONT_SIZES.SMALL,
+    fontWeight: '700',
+    textAlign: 'center',
+  },
+});
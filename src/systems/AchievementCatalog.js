@@ -0,0 +1,167 @@
+// ============================================================================
+// FILE: src/systems/AchievementCatalog.js
+// ============================================================================
+
+import { ACHIEVEMENT_CATEGORIES } from '../utils/constants';
+
+/**
+ * Achievement Catalog - Built-in Number Puzzle achievements
+ *
+ * Two kinds of entries:
+ * - counters: metadata.event names the controller event that advances them
+ *   (metadata.filter picks which ones count, metadata.amount how much)
+ * - conditions: condition(snapshot) is checked against the controller's
+ *   achievement snapshot after every tracked event
+ */
+export const ACHIEVEMENT_CATALOG = [
+  {
+    id: 'firstMatch',
+    title: 'First Match',
+    description: 'Make your first match',
+    icon: '🎯',
+    points: 5,
+    category: ACHIEVEMENT_CATEGORIES.MATCHES,
+    progressMax: 1,
+    metadata: { event: 'matchSuccess' }
+  },
+  {
+    id: 'matches100',
+    title: 'Matchmaker',
+    description: 'Make 100 matches',
+    icon: '🔢',
+    points: 20,
+    category: ACHIEVEMENT_CATEGORIES.MATCHES,
+    progressMax: 100,
+    reward: { resource: 'hints', amount: 1 },
+    metadata: { event: 'matchSuccess' }
+  },
+  {
+    id: 'headToTail50',
+    title: 'Full Circle',
+    description: 'Make 50 head-to-tail matches',
+    icon: '🐍',
+    points: 30,
+    category: ACHIEVEMENT_CATEGORIES.MATCHES,
+    progressMax: 50,
+    reward: { resource: 'changes', amount: 1 },
+    metadata: {
+      event: 'matchSuccess',
+      filter: data => data.type === 'headToTail'
+    }
+  },
+  {
+    id: 'rows25',
+    title: 'Row Sweeper',
+    description: 'Clear 25 rows',
+    icon: '🧹',
+    points: 20,
+    category: ACHIEVEMENT_CATEGORIES.SKILL,
+    progressMax: 25,
+    reward: { resource: 'addMoves', amount: 1 },
+    metadata: {
+      event: 'rowsCompleted',
+      amount: data => data.rows.length
+    }
+  },
+  {
+    id: 'combo10',
+    title: 'On Fire',
+    description: 'Reach a 10-match combo',
+    icon: '🔥',
+    points: 25,
+    category: ACHIEVEMENT_CATEGORIES.SKILL,
+    reward: { resource: 'hints', amount: 1 },
+    condition: snapshot => snapshot.combo >= 10
+  },
+  {
+    id: 'noHintLevel',
+    title: 'No Help Needed',
+    description: 'Clear a level without using a hint',
+    icon: '🧠',
+    points: 15,
+    category: ACHIEVEMENT_CATEGORIES.SKILL,
+    condition: snapshot => snapshot.event === 'levelUp' && snapshot.levelStats.hintsUsed === 0
+  },
+  {
+    id: 'noAddLevel',
+    title: 'Nothing Added',
+    description: 'Clear a level without using Add',
+    icon: '✂️',
+    points: 15,
+    category: ACHIEVEMENT_CATEGORIES.SKILL,
+    condition: snapshot => snapshot.event === 'levelUp' && snapshot.levelStats.addsUsed === 0
+  },
+  {
+    id: 'quickLevel',
+    title: 'Speed Run',
+    description: 'Clear a level in under 60 seconds',
+    icon: '⚡',
+    points: 25,
+    category: ACHIEVEMENT_CATEGORIES.SPEED,
+    reward: { resource: 'addMoves', amount: 1 },
+    condition: snapshot => snapshot.event === 'levelUp' && snapshot.levelStats.seconds < 60
+  },
+  {
+    id: 'level5',
+    title: 'Getting Serious',
+    description: 'Reach level 5',
+    icon: '📈',
+    points: 15,
+    category: ACHIEVEMENT_CATEGORIES.LEVEL,
+    condition: snapshot => snapshot.level >= 5
+  },
+  {
+    id: 'level10',
+    title: 'Double Digits',
+    description: 'Reach level 10',
+    icon: '🏔️',
+    points: 40,
+    category: ACHIEVEMENT_CATEGORIES.LEVEL,
+    reward: { resource: 'hints', amount: 2 },
+    condition: snapshot => snapshot.level >= 10
+  },
+  {
+    id: 'score1000',
+    title: 'Four Figures',
+    description: 'Score 1,000 points in one game',
+    icon: '💯',
+    points: 15,
+    category: ACHIEVEMENT_CATEGORIES.SCORE,
+    condition: snapshot => snapshot.score >= 1000
+  },
+  {
+    id: 'score5000',
+    title: 'High Roller',
+    description: 'Score 5,000 points in one game',
+    icon: '💰',
+    points: 40,
+    category: ACHIEVEMENT_CATEGORIES.SCORE,
+    condition: snapshot => snapshot.score >= 5000
+  },
+  {
+    id: 'dailyFinish',
+    title: 'Daily Dose',
+    description: 'Finish a daily puzzle',
+    icon: '📅',
+    points: 10,
+    category: ACHIEVEMENT_CATEGORIES.SPECIAL,
+    condition: snapshot => snapshot.event === 'gameOver' && snapshot.mode === 'daily'
+  },
+  {
+    id: 'noUndoLevel5',
+    title: 'No Regrets',
+    description: 'Reach level 5 without using undo',
+    icon: '🪨',
+    points: 30,
+    category: ACHIEVEMENT_CATEGORIES.SPECIAL,
+    secret: true,
+    condition: snapshot => snapshot.level >= 5 && snapshot.runStats.undosUsed === 0
+  }
+];
+
+/**
+ * Register catalog entries with an AchievementSystem
+ */
+export const registerAchievements = (achievementSystem, catalog = ACHIEVEMENT_CATALOG) => {
+  catalog.forEach(({ id, ...config }) => achievementSystem.addAchievement(id, config));
+};
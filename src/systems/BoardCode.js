@@ -0,0 +1,159 @@
+// ============================================================================
+// FILE: src/systems/BoardCode.js
+// ============================================================================
+
+import { RULE_SETS, getRuleSet } from './RuleSet';
+import { RandomSystem } from '../core/RandomSystem';
+
+const CODE_VERSION = 'B1';
+const SEPARATOR = '.';
+const CHECKSUM_LENGTH = 3;
+const MAX_SAFE_BITS = 53;
+
+/**
+ * Board codes - a board, its rule set, seed and width as a short URL-safe string
+ *
+ *   B1.sum10.9x4.n1k2f9a.<cells>.<checksum>
+ *
+ * - cells hold one digit per cell in base (values + 1), 0 = empty, packed
+ *   into base-36 chunks that stay within safe integer range
+ * - numeric seeds are base 36 ('n'), string seeds keep [A-Za-z0-9-] and
+ *   escape anything else as '_' + four base-36 digits ('s')
+ * - the checksum catches typos before a wrong board gets dealt
+ */
+
+/**
+ * Encode a board ({ grid, ruleSet, seed, cols? }) - ruleSet is an id or a RuleSet
+ */
+export const encodeBoardCode = ({ grid, ruleSet, seed, cols = grid[0]?.length || 0 }) => {
+  const rules = typeof ruleSet === 'string' ? getRuleSet(ruleSet) : ruleSet;
+  const digits = [];
+  grid.forEach(row => {
+    for (let c = 0; c < cols; c++) {
+      const value = row[c] ?? null;
+      digits.push(value === null ? 0 : value - rules.minValue + 1);
+    }
+  });
+
+  const payload = [
+    CODE_VERSION,
+    rules.id,
+    `${cols}x${grid.length}`,
+    encodeSeed(seed),
+    packDigits(digits, getBase(rules))
+  ].join(SEPARATOR);
+
+  return `${payload}${SEPARATOR}${checksum(payload)}`;
+};
+
+/**
+ * Decode a board code - returns { grid, ruleSet, seed, cols } or null if it is not valid
+ */
+export const decodeBoardCode = (code) => {
+  const fields = String(code || '').trim().split(SEPARATOR);
+  if (fields.length !== 6 || fields[0] !== CODE_VERSION) return null;
+
+  const [, ruleSetId, size, seedText, cells, check] = fields;
+  if (checksum(fields.slice(0, 5).join(SEPARATOR)) !== check) return null;
+  if (!RULE_SETS[ruleSetId]) return null;
+
+  const match = /^(\d+)x(\d+)$/.exec(size);
+  if (!match) return null;
+  const cols = parseInt(match[1], 10);
+  const rows = parseInt(match[2], 10);
+  if (cols < 1 || rows < 1) return null;
+
+  const seed = decodeSeed(seedText);
+  if (seed === null) return null;
+
+  const rules = getRuleSet(ruleSetId);
+  const digits = unpackDigits(cells, getBase(rules), rows * cols);
+  if (!digits) return null;
+
+  return {
+    ruleSet: ruleSetId,
+    seed,
+    cols,
+    grid: Array.from({ length: rows }, (_, r) =>
+      digits.slice(r * cols, (r + 1) * cols).map(digit => (digit === 0 ? null : digit + rules.minValue - 1))
+    )
+  };
+};
+
+/**
+ * Check a code without decoding it fully
+ */
+export const isBoardCode = (code) => decodeBoardCode(code) !== null;
+
+// Every value plus "empty"
+const getBase = (ruleSet) => ruleSet.maxValue - ruleSet.minValue + 2;
+
+// Cells per chunk so base^n stays an exact integer
+const getChunkSize = (base) => Math.floor(MAX_SAFE_BITS * Math.LN2 / Math.log(base));
+
+// Base-36 characters needed for a chunk of n digits
+const getChunkWidth = (base, n) => {
+  let width = 1;
+  while (36 ** width < base ** n) width++;
+  return width;
+};
+
+const packDigits = (digits, base) => {
+  const chunkSize = getChunkSize(base);
+  let packed = '';
+
+  for (let i = 0; i < digits.length; i += chunkSize) {
+    const chunk = digits.slice(i, i + chunkSize);
+    const number = chunk.reduce((total, digit) => total * base + digit, 0);
+    packed += number.toString(36).padStart(getChunkWidth(base, chunk.length), '0');
+  }
+  return packed;
+};
+
+const unpackDigits = (packed, base, count) => {
+  const chunkSize = getChunkSize(base);
+  const digits = [];
+  let position = 0;
+
+  for (let i = 0; i < count; i += chunkSize) {
+    const size = Math.min(chunkSize, count - i);
+    const width = getChunkWidth(base, size);
+    const text = packed.slice(position, position + width);
+    if (text.length !== width || !/^[0-9a-z]+$/.test(text)) return null;
+    position += width;
+
+    let number = parseInt(text, 36);
+    if (number >= base ** size) return null;
+    const chunk = [];
+    for (let d = 0; d < size; d++) {
+      chunk.unshift(number % base);
+      number = Math.floor(number / base);
+    }
+    digits.push(...chunk);
+  }
+
+  return position === packed.length ? digits : null;
+};
+
+const encodeSeed = (seed) => {
+  if (typeof seed === 'number') return `n${seed.toString(36)}`;
+  return `s${String(seed).replace(/[^A-Za-z0-9-]/g, char => `_${char.charCodeAt(0).toString(36).padStart(4, '0')}`)}`;
+};
+
+const decodeSeed = (text) => {
+  const kind = text[0];
+  const body = text.slice(1);
+
+  if (kind === 'n') {
+    return /^[0-9a-z]+$/.test(body) ? parseInt(body, 36) : null;
+  }
+  if (kind === 's') {
+    if (!/^([A-Za-z0-9-]|_[0-9a-z]{4})*$/.test(body)) return null;
+    return body.replace(/_([0-9a-z]{4})/g, (_, code) => String.fromCharCode(parseInt(code, 36)));
+  }
+  return null;
+};
+
+const checksum = (payload) => {
+  return (RandomSystem.hashSeed(payload) % 36 ** CHECKSUM_LENGTH).toString(36).padStart(CHECKSUM_LENGTH, '0');
+};
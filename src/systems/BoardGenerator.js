@@ -0,0 +1,156 @@
+// ============================================================================
+// FILE: src/systems/BoardGenerator.js
+// ============================================================================
+
+import { BoardState } from './BoardState';
+import { Solver } from './Solver';
+
+/**
+ * Board Generator - Deals boards that are guaranteed to be playable
+ * Verifies each board with ConnectionValidator + MatchSystem (minimum open
+ * pairs and, optionally, a full clear found by the Solver), repairs weak boards
+ * and retries a bounded number of times
+ */
+export class BoardGenerator {
+  constructor(config = {}) {
+    this.gridSystem = config.gridSystem;
+    this.matchSystem = config.matchSystem;
+    this.connectionValidator = config.connectionValidator;
+    this.random = config.random || this.gridSystem.random;
+
+    this.minPairs = config.minPairs !== undefined ? config.minPairs : 3;
+    this.requireClearable = config.requireClearable || false;
+    this.maxAttempts = config.maxAttempts || 10;
+    this.maxRepairs = config.maxRepairs || 5;
+    this.searchBudget = config.searchBudget || 300; // max positions per search
+
+    this.solver = config.solver || new Solver({
+      matchSystem: this.matchSystem,
+      connectionValidator: this.connectionValidator
+    });
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Generate a verified board into the GridSystem
+   */
+  generate(rows = this.gridSystem.rows, cols = this.gridSystem.cols) {
+    let best = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const grid = this.gridSystem.generateGrid(rows, cols).map(row => [...row]);
+      let state = new BoardState(grid, [], cols);
+      let pairs = state.findPairs(this.connectionValidator, this.matchSystem).length;
+
+      // Repair: add pairs until the minimum is met
+      let repairs = 0;
+      while (pairs < this.minPairs && repairs < this.maxRepairs) {
+        if (!this.repair(grid, cols)) break;
+        repairs++;
+        state = new BoardState(grid, [], cols);
+        pairs = state.findPairs(this.connectionValidator, this.matchSystem).length;
+      }
+
+      const search = this.requireClearable
+        ? this.solver.isClearable(state, this.searchBudget)
+        : { clearable: null, nodes: 0 };
+
+      const candidate = {
+        grid,
+        pairs,
+        clearable: search.clearable,
+        attempts: attempt,
+        repairs,
+        difficulty: this.estimateDifficulty(state, pairs, search)
+      };
+
+      if (!best || this.isBetter(candidate, best)) {
+        best = candidate;
+      }
+
+      const meetsPairs = pairs >= this.minPairs;
+      const meetsClear = !this.requireClearable || search.clearable === true;
+      if (meetsPairs && meetsClear) break;
+    }
+
+    this.gridSystem.setGrid(best.grid);
+    this.notifyListeners('boardGenerated', best);
+    return best;
+  }
+
+  /**
+   * Create one extra pair: give a random cell's right-hand neighbour a
+   * value that matches it (horizontal neighbours always connect)
+   */
+  repair(grid, cols) {
+    const candidates = [];
+    for (let r = 0; r < grid.length; r++) {
+      for (let c = 0; c < cols - 1; c++) {
+        if (grid[r][c] !== null && grid[r][c + 1] !== null) {
+          candidates.push({ row: r, col: c });
+        }
+      }
+    }
+    if (candidates.length === 0) return false;
+
+    const cell = this.random.pick(candidates);
+    const matchingValues = [];
+    for (let value = this.gridSystem.minValue; value <= this.gridSystem.maxValue; value++) {
+      if (this.matchSystem.valuesMatch(grid[cell.row][cell.col], value)) {
+        matchingValues.push(value);
+      }
+    }
+    if (matchingValues.length === 0) return false;
+
+    grid[cell.row][cell.col + 1] = this.random.pick(matchingValues);
+    return true;
+  }
+
+  /**
+   * Rough 0-100 difficulty of a board
+   * Fewer open pairs per playable cell = harder; boards that are proven
+   * unclearable (or needed a deep search) score higher
+   */
+  estimateDifficulty(state, pairs, search) {
+    const activeCells = state.getActiveCells().length;
+    const pairDensity = activeCells > 0 ? pairs / activeCells : 0;
+
+    // ~0.8 pairs per cell is as open as random boards get
+    let score = 100 - Math.round(Math.min(1, pairDensity / 0.8) * 70);
+    if (search.clearable === true) {
+      score += Math.round((search.nodes / this.searchBudget) * 20);
+    } else if (search.clearable === false) {
+      score += 20;
+    }
+    score = Math.max(0, Math.min(100, score));
+
+    let label = 'expert';
+    if (score < 40) label = 'easy';
+    else if (score < 60) label = 'normal';
+    else if (score < 80) label = 'hard';
+
+    return { score, label };
+  }
+
+  /**
+   * Prefer clearable boards, then boards with more open pairs
+   */
+  isBetter(candidate, best) {
+    if (candidate.clearable === true && best.clearable !== true) return true;
+    if (best.clearable === true && candidate.clearable !== true) return false;
+    return candidate.pairs > best.pairs;
+  }
+
+  /**
+   * Subscribe to generator events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
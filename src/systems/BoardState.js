@@ -0,0 +1,187 @@
+// ============================================================================
+// FILE: src/systems/BoardState.js
+// ============================================================================
+
+import { MatchSystem } from './MatchSystem';
+
+/**
+ * Board State - Lightweight snapshot of grid + matched cells for search
+ * Applying a match returns a NEW state (complete rows removed exactly like
+ * GameController.handleCompleteRows), so the live systems are never touched
+ */
+export class BoardState {
+  constructor(grid, matchedCells = [], cols = grid[0]?.length || 9) {
+    // Rows are shared between states - never mutate them
+    this.grid = grid;
+    this.matchedCells = new Set(matchedCells);
+    this.cols = cols;
+  }
+
+  /**
+   * Snapshot the live grid/match systems
+   */
+  static fromSystems(gridSystem, matchSystem) {
+    return new BoardState(
+      gridSystem.getGrid().map(row => [...row]),
+      matchSystem.getMatchedCellsSet(),
+      gridSystem.cols
+    );
+  }
+
+  /**
+   * Check if cell is matched
+   */
+  isMatched(row, col) {
+    return this.matchedCells.has(`${row},${col}`);
+  }
+
+  /**
+   * Get all non-null, non-matched cells
+   */
+  getActiveCells() {
+    const cells = [];
+
+    for (let r = 0; r < this.grid.length; r++) {
+      for (let c = 0; c < this.grid[r].length; c++) {
+        if (this.grid[r][c] !== null && !this.isMatched(r, c)) {
+          cells.push({ row: r, col: c, value: this.grid[r][c] });
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Board is cleared when nothing playable is left
+   */
+  isCleared() {
+    return this.getActiveCells().length === 0;
+  }
+
+  /**
+   * Match rules of a match system, checked against this state's matches -
+   * what ConnectionValidator expects as its match system
+   */
+  getMatchAdapter(matchSystem) {
+    return {
+      isMatched: (row, col) => this.isMatched(row, col),
+      valuesMatch: (value1, value2) => matchSystem.valuesMatch(value1, value2)
+    };
+  }
+
+  /**
+   * Find every distinct valid pair on the board
+   */
+  findPairs(connectionValidator, matchSystem) {
+    const pairs = [];
+    const matchAdapter = this.getMatchAdapter(matchSystem);
+
+    this.getActiveCells().forEach(cell => {
+      const connections = connectionValidator.findValidConnections(
+        cell.row, cell.col,
+        this.grid,
+        this.matchedCells,
+        matchAdapter
+      );
+
+      connections.forEach(connection => {
+        // Each pair is found from both ends - keep the head-to-tail one
+        const isForward = connection.row > cell.row ||
+          (connection.row === cell.row && connection.col > cell.col);
+        if (!isForward) return;
+
+        pairs.push({
+          from: { row: cell.row, col: cell.col },
+          to: { row: connection.row, col: connection.col },
+          type: connection.type,
+          points: connection.points,
+          path: connection.path
+        });
+      });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Connection statistics of the board (see ConnectionValidator.getConnectionStats)
+   * Every pair is counted from both of its ends
+   */
+  getConnectionStats(connectionValidator, matchSystem) {
+    return connectionValidator.getConnectionStats(this.grid, this.matchedCells, this.getMatchAdapter(matchSystem));
+  }
+
+  /**
+   * Match two cells, removing any rows that become complete
+   */
+  applyMatch(cell1, cell2) {
+    const matchSystem = new MatchSystem();
+    matchSystem.deserialize({ matchedCells: Array.from(this.matchedCells) });
+    matchSystem.addMatches([cell1, cell2]);
+
+    const removedRows = matchSystem.getCompleteRows(this.grid.length, this.cols);
+    let grid = this.grid;
+
+    if (removedRows.length > 0) {
+      grid = this.grid.filter((_, rowIndex) => !removedRows.includes(rowIndex));
+      matchSystem.updateAfterRowRemoval(removedRows);
+    }
+
+    return {
+      state: new BoardState(grid, matchSystem.matchedCells, this.cols),
+      removedRows
+    };
+  }
+
+  /**
+   * Place new values the way GameController.useAddMoves does: into the
+   * empty cells from the last active row onwards, appending rows as needed
+   */
+  applyAdd(values) {
+    const grid = this.grid.map(row => [...row]);
+
+    let lastActiveRow = 0;
+    for (let r = grid.length - 1; r >= 0; r--) {
+      if (grid[r].some((value, c) => value !== null && !this.isMatched(r, c))) {
+        lastActiveRow = r;
+        break;
+      }
+    }
+
+    const availableCells = [];
+    for (let r = lastActiveRow; r < grid.length; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (grid[r][c] === null) {
+          availableCells.push({ row: r, col: c });
+        }
+      }
+    }
+
+    while (availableCells.length < values.length) {
+      grid.push(Array(this.cols).fill(null));
+      for (let c = 0; c < this.cols; c++) {
+        availableCells.push({ row: grid.length - 1, col: c });
+      }
+    }
+
+    values.forEach((value, i) => {
+      const cell = availableCells[i];
+      grid[cell.row][cell.col] = value;
+    });
+
+    return new BoardState(grid, this.matchedCells, this.cols);
+  }
+
+  /**
+   * Unique key for memoizing searched positions
+   */
+  key() {
+    return this.grid.map((row, r) =>
+      row.map((value, c) => {
+        if (value === null) return '.';
+        return this.isMatched(r, c) ? 'x' : value;
+      }).join(',')
+    ).join('|');
+  }
+}
@@ -0,0 +1,187 @@
+// ============================================================================
+// FILE: src/systems/ComputerPlayer.js
+// ============================================================================
+
+import { RandomSystem } from '../core/RandomSystem';
+
+/**
+ * Built-in personalities of the computer opponent
+ */
+export const COMPUTER_PERSONALITIES = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    description: 'Plays any pair it can find'
+  },
+  medium: {
+    id: 'medium',
+    name: 'Medium',
+    description: 'Always goes for the pair worth the most points'
+  },
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    description: 'Looks ahead - scores big and leaves you as little as it can'
+  }
+};
+
+export const DEFAULT_PERSONALITY = 'medium';
+
+/**
+ * Get a personality by id (falls back to the default)
+ */
+export const getComputerPersonality = (id) => {
+  return COMPUTER_PERSONALITIES[id] || COMPUTER_PERSONALITIES[DEFAULT_PERSONALITY];
+};
+
+/**
+ * Computer Player - Picks the computer opponent's moves in versus
+ * Pairs come from ConnectionValidator.findValidConnections (via BoardState);
+ * the hard personality weighs the replies a move leaves the other player
+ * with ConnectionValidator.getConnectionStats
+ */
+export class ComputerPlayer {
+  constructor(config = {}) {
+    this.connectionValidator = config.connectionValidator;
+    this.matchSystem = config.matchSystem;
+    this.personality = getComputerPersonality(config.personality);
+    this.random = config.random || new RandomSystem();
+    this.candidates = config.candidates || 8; // hard: best pairs looked ahead from
+
+    this.weights = {
+      points: 1,
+      rowClear: 10, // same as the row bonus the controller awards
+      reply: 1,
+      replyOptions: 0.5,
+      ...config.weights
+    };
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Pair to match on a board, as its personality sees it (null if none)
+   */
+  chooseMatch(state) {
+    const pairs = state.findPairs(this.connectionValidator, this.matchSystem);
+    if (pairs.length === 0) return null;
+
+    let pair;
+    switch (this.personality.id) {
+      case 'easy':
+        pair = this.random.pick(pairs);
+        break;
+      case 'hard':
+        pair = this.findLookaheadMatch(state, pairs);
+        break;
+      default:
+        pair = this.findGreedyMatch(state, pairs);
+        break;
+    }
+
+    this.notifyListeners('matchChosen', { pair, personality: this.personality.id, options: pairs.length });
+    return pair;
+  }
+
+  /**
+   * Points a match scores right away: connection points plus row bonus
+   */
+  rateMatch(state, pair) {
+    const { state: next, removedRows } = state.applyMatch(pair.from, pair.to);
+
+    return {
+      next,
+      gain: pair.points * this.weights.points + removedRows.length * this.weights.rowClear
+    };
+  }
+
+  /**
+   * Medium: the pair worth the most points now
+   */
+  findGreedyMatch(state, pairs) {
+    let best = null;
+    let bestGain = -Infinity;
+
+    pairs.forEach(pair => {
+      const { gain } = this.rateMatch(state, pair);
+      if (gain > bestGain) {
+        best = pair;
+        bestGain = gain;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Hard: the strongest pairs are weighed against the other player's answer -
+   * their best reply and how many pairs they get to pick from
+   */
+  findLookaheadMatch(state, pairs) {
+    const rated = pairs
+      .map(pair => ({ pair, ...this.rateMatch(state, pair) }))
+      .sort((a, b) => b.gain - a.gain)
+      .slice(0, this.candidates);
+
+    let best = null;
+    let bestValue = -Infinity;
+
+    rated.forEach(({ pair, next, gain }) => {
+      const stats = next.getConnectionStats(this.connectionValidator, this.matchSystem);
+      const reply = stats.bestConnection ? stats.bestConnection.points : 0;
+      const replyOptions = stats.totalPossibleConnections / 2;
+      const value = gain - reply * this.weights.reply - replyOptions * this.weights.replyOptions;
+
+      if (value > bestValue) {
+        best = pair;
+        bestValue = value;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * A cell and new value that open up a pair when none is left (null if
+   * no change helps) - the first cell that connects to a match once changed
+   */
+  chooseChange(state, values) {
+    const matchAdapter = state.getMatchAdapter(this.matchSystem);
+
+    for (const cell of state.getActiveCells()) {
+      for (const value of values) {
+        if (value === cell.value) continue;
+
+        const grid = state.grid.map(row => [...row]);
+        grid[cell.row][cell.col] = value;
+
+        const connections = this.connectionValidator.findValidConnections(
+          cell.row, cell.col,
+          grid,
+          state.matchedCells,
+          matchAdapter
+        );
+        if (connections.length > 0) {
+          return { row: cell.row, col: cell.col, value };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Getters
+  getPersonality() { return this.personality; }
+
+  /**
+   * Subscribe to computer player events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
@@ -11,32 +11,45 @@
 // STRATEGY PATTERN: Connection Type Strategies
 // ============================================================================
 
-class ConnectionStrategy {
-  constructor(name, points) {
+export class ConnectionStrategy {
+  constructor(name, points, description = '') {
     this.name = name;
     this.points = points;
+    this.description = description;
   }
 
   isValid(r1, c1, r2, c2, grid, blockedCells) {
     throw new Error('Must be implemented by subclass');
   }
+
+  /**
+   * Cells traversed from (r1, c1) to (r2, c2), both ends included
+   * Only meaningful after isValid() returned true
+   */
+  getPath(r1, c1, r2, c2, grid, blockedCells) {
+    return [{ row: r1, col: c1 }, { row: r2, col: c2 }];
+  }
 }
 
 class AdjacentStrategy extends ConnectionStrategy {
-  constructor() {
-    super('adjacent', 1);
+  constructor(allowDiagonal = true) {
+    super('adjacent', 1, allowDiagonal
+      ? 'Neighbouring cells, diagonals included'
+      : 'Neighbouring cells in the same row or column');
+    this.allowDiagonal = allowDiagonal;
   }
 
   isValid(r1, c1, r2, c2) {
     const rowDiff = Math.abs(r1 - r2);
     const colDiff = Math.abs(c1 - c2);
+    if (!this.allowDiagonal && rowDiff !== 0 && colDiff !== 0) return false;
     return rowDiff <= 1 && colDiff <= 1 && (rowDiff !== 0 || colDiff !== 0);
   }
 }
 
 class StraightLineStrategy extends ConnectionStrategy {
   constructor() {
-    super('straightLine', 4);
+    super('straightLine', 4, 'Same row or column with only cleared cells between');
   }
 
   isValid(r1, c1, r2, c2, grid, blockedCells) {
@@ -77,11 +90,23 @@ class StraightLineStrategy extends ConnectionStrategy {
     }
     return true;
   }
+
+  getPath(r1, c1, r2, c2) {
+    const path = [];
+    const rowDir = Math.sign(r2 - r1);
+    const colDir = Math.sign(c2 - c1);
+    const steps = Math.max(Math.abs(r2 - r1), Math.abs(c2 - c1));
+
+    for (let i = 0; i <= steps; i++) {
+      path.push({ row: r1 + rowDir * i, col: c1 + colDir * i });
+    }
+    return path;
+  }
 }
 
 class DiagonalStrategy extends ConnectionStrategy {
   constructor() {
-    super('diagonal', 4);
+    super('diagonal', 4, 'Same diagonal with only cleared cells between');
   }
 
   isValid(r1, c1, r2, c2, grid, blockedCells) {
@@ -107,11 +132,22 @@ class DiagonalStrategy extends ConnectionStrategy {
 
     return true;
   }
+
+  getPath(r1, c1, r2, c2) {
+    const path = [];
+    const rowDir = Math.sign(r2 - r1);
+    const colDir = Math.sign(c2 - c1);
+
+    for (let i = 0; i <= Math.abs(r2 - r1); i++) {
+      path.push({ row: r1 + rowDir * i, col: c1 + colDir * i });
+    }
+    return path;
+  }
 }
 
 class HeadToTailStrategy extends ConnectionStrategy {
   constructor(gridCols) {
-    super('headToTail', 4);
+    super('headToTail', 4, 'First and last numbers left on the board');
     this.gridCols = gridCols;
   }
 
@@ -201,11 +237,33 @@ class HeadToTailStrategy extends ConnectionStrategy {
 
     return true;
   }
+
+  getPath(r1, c1, r2, c2, grid, blockedCells) {
+    const startPos = this.coordToPos(r1, c1);
+    const endPos = this.coordToPos(r2, c2);
+    const headPos = Math.min(startPos, endPos);
+    const tailPos = Math.max(startPos, endPos);
+    const positions = [];
+
+    if (this.isClockwiseClear(headPos, tailPos, grid, blockedCells)) {
+      // Straight through the board in reading order
+      for (let pos = headPos; pos <= tailPos; pos++) positions.push(pos);
+    } else {
+      // Tail to the end of the board, then wrap round to the head
+      const totalCells = grid.length * this.gridCols;
+      for (let pos = tailPos; pos < totalCells; pos++) positions.push(pos);
+      for (let pos = 0; pos <= headPos; pos++) positions.push(pos);
+      positions.reverse();
+    }
+
+    const path = positions.map(pos => this.posToCoord(pos));
+    return startPos === headPos ? path : path.reverse();
+  }
 }
 
 class SnakeWrapStrategy extends ConnectionStrategy {
   constructor(gridCols) {
-    super('snakeWrap', 4);
+    super('snakeWrap', 4, 'End of one row to the start of the next, reading order');
     this.gridCols = gridCols;
   }
 
@@ -279,8 +337,70 @@ class SnakeWrapStrategy extends ConnectionStrategy {
 
     return true;
   }
+
+  getPath(r1, c1, r2, c2, grid, blockedCells) {
+    const path = [];
+    // Rows in between, in the order the path passes them (from r1 towards r2)
+    const step = r2 > r1 ? 1 : -1;
+    const rowsBetween = [];
+    for (let row = r1 + step; row !== r2; row += step) rowsBetween.push(row);
+
+    if (this.isRightWrapClear(r1, c1, r2, c2, grid, blockedCells)) {
+      for (let col = c1; col < this.gridCols; col++) path.push({ row: r1, col });
+      rowsBetween.forEach(row => {
+        for (let col = 0; col < this.gridCols; col++) path.push({ row, col });
+      });
+      for (let col = 0; col <= c2; col++) path.push({ row: r2, col });
+    } else {
+      for (let col = c1; col >= 0; col--) path.push({ row: r1, col });
+      rowsBetween.forEach(row => {
+        for (let col = this.gridCols - 1; col >= 0; col--) path.push({ row, col });
+      });
+      for (let col = this.gridCols - 1; col >= c2; col--) path.push({ row: r2, col });
+    }
+
+    return path;
+  }
 }
 
+// ============================================================================
+// STRATEGY REGISTRY
+// ============================================================================
+
+// type -> factory(options) returning a ConnectionStrategy
+// options always carries gridCols plus whatever the strategy set entry adds
+const strategyRegistry = new Map([
+  ['adjacent', options => new AdjacentStrategy(options.diagonal !== false)],
+  ['straightLine', () => new StraightLineStrategy()],
+  ['diagonal', () => new DiagonalStrategy()],
+  ['headToTail', options => new HeadToTailStrategy(options.gridCols)],
+  ['snakeWrap', options => new SnakeWrapStrategy(options.gridCols)]
+]);
+
+/**
+ * Named strategy sets - entries are a type or { type, points, ...options }
+ * Strategies are tried in order; the first valid one scores the match
+ */
+export const CONNECTION_SETS = {
+  all: {
+    id: 'all',
+    name: 'All Connections',
+    strategies: ['adjacent', 'straightLine', 'diagonal', 'headToTail', 'snakeWrap']
+  },
+  classic: {
+    id: 'classic',
+    name: 'Straight + Wrap',
+    strategies: ['straightLine', 'snakeWrap']
+  },
+  noDiagonals: {
+    id: 'noDiagonals',
+    name: 'No Diagonals',
+    strategies: [{ type: 'adjacent', diagonal: false }, 'straightLine', 'headToTail', 'snakeWrap']
+  }
+};
+
+export const DEFAULT_CONNECTION_SET = 'all';
+
 // ============================================================================
 // CONNECTION VALIDATOR CLASS
 // ============================================================================
@@ -288,14 +408,113 @@ class SnakeWrapStrategy extends ConnectionStrategy {
 export class ConnectionValidator {
   constructor(config = {}) {
     this.gridCols = config.gridCols || 9;
-    this.strategies = [
-      new AdjacentStrategy(),
-      new StraightLineStrategy(),
-      new DiagonalStrategy(),
-      new HeadToTailStrategy(this.gridCols),
-      new SnakeWrapStrategy(this.gridCols)
-    ];
     this.listeners = new Set();
+    this.setStrategies(config.strategies || DEFAULT_CONNECTION_SET);
+  }
+
+  /**
+   * Register a custom ConnectionStrategy subclass under a type name
+   */
+  static registerStrategy(type, factory) {
+    strategyRegistry.set(type, factory);
+  }
+
+  /**
+   * Every registered strategy type
+   */
+  static getRegisteredTypes() {
+    return Array.from(strategyRegistry.keys());
+  }
+
+  /**
+   * Activate a strategy set: a set id, a list of entries,
+   * or a full { id, name, strategies } definition
+   */
+  setStrategies(strategies) {
+    let set = strategies;
+    if (typeof strategies === 'string') {
+      set = CONNECTION_SETS[strategies] || CONNECTION_SETS[DEFAULT_CONNECTION_SET];
+    } else if (Array.isArray(strategies)) {
+      set = { id: 'custom', name: 'Custom', strategies };
+    }
+
+    this.setId = set.id;
+    this.setName = set.name;
+    this.entries = [];
+    this.strategies = [];
+
+    set.strategies.forEach(entry => this.enableStrategy(entry));
+
+    this.notifyListeners('strategiesChanged', this.getStrategyInfo());
+  }
+
+  /**
+   * Add a strategy to the end of the active list
+   */
+  enableStrategy(entry) {
+    const options = typeof entry === 'string' ? { type: entry } : { ...entry };
+    const factory = strategyRegistry.get(options.type);
+
+    if (!factory) {
+      console.warn(`Unknown connection strategy: ${options.type}`);
+      return false;
+    }
+
+    const strategy = factory({ ...options, gridCols: this.gridCols });
+    if (options.points !== undefined) {
+      strategy.points = options.points;
+    }
+
+    this.disableStrategy(options.type);
+    this.entries.push(options);
+    this.strategies.push(strategy);
+    return true;
+  }
+
+  /**
+   * Remove a strategy from the active list
+   */
+  disableStrategy(type) {
+    const index = this.entries.findIndex(entry => entry.type === type);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    this.strategies.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Override the points a strategy awards
+   */
+  setStrategyPoints(type, points) {
+    const index = this.entries.findIndex(entry => entry.type === type);
+    if (index === -1) return false;
+
+    this.entries[index].points = points;
+    this.strategies[index].points = points;
+    return true;
+  }
+
+  /**
+   * Check if a strategy is active
+   */
+  isStrategyEnabled(type) {
+    return this.entries.some(entry => entry.type === type);
+  }
+
+  /**
+   * Active set, for display
+   */
+  getStrategyInfo() {
+    return {
+      id: this.setId,
+      name: this.setName,
+      strategies: this.strategies.map(strategy => ({
+        type: strategy.name,
+        points: strategy.points,
+        description: strategy.description
+      }))
+    };
   }
 
   /**
@@ -327,7 +546,8 @@ export class ConnectionValidator {
         return {
           valid: true,
           type: strategy.name,
-          points: strategy.points
+          points: strategy.points,
+          path: strategy.getPath(r1, c1, r2, c2, grid, blockedCells)
         };
       }
     }
@@ -372,6 +592,7 @@ export class ConnectionValidator {
             col: c,
             type: result.type,
             points: result.points,
+            path: result.path,
             value: targetValue
           });
         }
@@ -457,4 +678,26 @@ export class ConnectionValidator {
   notifyListeners(event, data) {
     this.listeners.forEach(listener => listener(event, data));
   }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      setId: this.setId,
+      setName: this.setName,
+      entries: this.entries.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.setStrategies({
+      id: data.setId || 'custom',
+      name: data.setName || 'Custom',
+      strategies: data.entries || []
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// ============================================================================
+// FILE: src/systems/Difficulty.js
+// ============================================================================
+
+import { GAME_CONFIG } from '../utils/constants';
+
+/**
+ * Difficulty - Board size, time pressure, action budget, how generous
+ * Add moves are and which connections count for one run
+ */
+export class Difficulty {
+  constructor(definition = {}) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.initialRows = definition.initialRows || GAME_CONFIG.INITIAL_ROWS;
+    this.rowsPerLevel = definition.rowsPerLevel !== undefined ? definition.rowsPerLevel : 1;
+    this.initialTime = definition.initialTime || GAME_CONFIG.INITIAL_TIME;
+    this.timeDecay = definition.timeDecay !== undefined
+      ? definition.timeDecay
+      : GAME_CONFIG.TIME_DECREASE_PER_LEVEL;
+    this.minTime = definition.minTime || GAME_CONFIG.MIN_TIME;
+    this.resources = { addMoves: 5, hints: 5, changes: 5, ...definition.resources };
+    this.matchProbability = definition.matchProbability !== undefined
+      ? definition.matchProbability
+      : GAME_CONFIG.MATCH_PROBABILITY;
+    this.complementProbability = definition.complementProbability !== undefined
+      ? definition.complementProbability
+      : GAME_CONFIG.COMPLEMENT_PROBABILITY;
+    this.allowedStrategies = definition.allowedStrategies || null; // null = any
+  }
+
+  /**
+   * Rows dealt for a level
+   */
+  getRowsForLevel(level) {
+    return this.initialRows + (level - 1) * this.rowsPerLevel;
+  }
+
+  /**
+   * Timer duration for a level
+   */
+  getTimeForLevel(level) {
+    return Math.max(this.minTime, this.initialTime - (level - 1) * this.timeDecay);
+  }
+
+  /**
+   * Check if a connection strategy may be used
+   */
+  allowsStrategy(type) {
+    return this.allowedStrategies === null || this.allowedStrategies.includes(type);
+  }
+}
+
+/**
+ * Built-in presets
+ */
+export const DIFFICULTIES = {
+  easy: new Difficulty({
+    id: 'easy',
+    name: 'Easy',
+    initialRows: 3,
+    initialTime: 540,
+    timeDecay: 20,
+    minTime: 180,
+    resources: { addMoves: 7, hints: 7, changes: 7 },
+    matchProbability: 0.45,
+    complementProbability: 0.35
+  }),
+  normal: new Difficulty({
+    id: 'normal',
+    name: 'Normal'
+  }),
+  hard: new Difficulty({
+    id: 'hard',
+    name: 'Hard',
+    initialRows: 5,
+    initialTime: 360,
+    timeDecay: 40,
+    minTime: 90,
+    resources: { addMoves: 4, hints: 3, changes: 3 },
+    matchProbability: 0.3,
+    complementProbability: 0.25,
+    allowedStrategies: ['adjacent', 'straightLine', 'diagonal', 'snakeWrap']
+  }),
+  expert: new Difficulty({
+    id: 'expert',
+    name: 'Expert',
+    initialRows: 6,
+    initialTime: 300,
+    timeDecay: 45,
+    minTime: 60,
+    resources: { addMoves: 3, hints: 1, changes: 1 },
+    matchProbability: 0.2,
+    complementProbability: 0.2,
+    allowedStrategies: ['adjacent', 'straightLine', 'snakeWrap']
+  })
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Look up a difficulty by id (falls back to Normal)
+ */
+export const getDifficulty = (id) => {
+  return DIFFICULTIES[id] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+};
@@ -2,6 +2,8 @@
 // FILE: src/systems/GridSystem.js
 // ============================================================================
 
+import { RandomSystem } from '../core/RandomSystem';
+
 /**
  * Grid System - Manages grid generation and manipulation
  * Specific to Number Puzzle Game but can be adapted
@@ -12,6 +14,11 @@ export class GridSystem {
     this.cols = config.cols || 9;
     this.minValue = config.minValue || 1;
     this.maxValue = config.maxValue || 9;
+    this.random = config.random || new RandomSystem();
+    this.matchProbability = config.matchProbability !== undefined ? config.matchProbability : 0.4;
+    this.complementProbability = config.complementProbability !== undefined ? config.complementProbability : 0.3;
+    this.ruleSet = null;
+    if (config.ruleSet) this.setRuleSet(config.ruleSet);
     this.grid = [];
     this.listeners = new Set();
   }
@@ -41,31 +48,11 @@ export class GridSystem {
    */
   generateSmartGrid(rows, cols, existingValues = []) {
     const grid = [];
-    const matchProbability = 0.4;
-    const complementProbability = 0.3;
-    const complementTarget = 10;
 
     for (let r = 0; r < rows; r++) {
       const row = [];
       for (let c = 0; c < cols; c++) {
-        const random = Math.random();
-        let value;
-
-        if (existingValues.length === 0 || random > matchProbability + complementProbability) {
-          value = this.generateRandomValue();
-        } else if (random < matchProbability) {
-          // Generate matching value
-          value = existingValues[Math.floor(Math.random() * existingValues.length)];
-        } else {
-          // Generate complement value
-          const baseValue = existingValues[Math.floor(Math.random() * existingValues.length)];
-          value = complementTarget - baseValue;
-          if (value < this.minValue || value > this.maxValue) {
-            value = this.generateRandomValue();
-          }
-        }
-
-        row.push(value);
+        row.push(this.generateSmartValue(existingValues));
       }
       grid.push(row);
     }
@@ -75,11 +62,65 @@ export class GridSystem {
     return grid;
   }
 
+  /**
+   * Generate one value that likely pairs with an existing value:
+   * a copy (matchProbability), a partner (complementProbability) or random
+   */
+  generateSmartValue(existingValues = []) {
+    const random = this.random.next();
+
+    if (existingValues.length === 0 || random >= this.matchProbability + this.complementProbability) {
+      return this.generateRandomValue();
+    }
+    if (random < this.matchProbability) {
+      return this.random.pick(existingValues);
+    }
+
+    const baseValue = this.random.pick(existingValues);
+    const partners = this.getPartners(baseValue);
+    return partners.length > 0 ? this.random.pick(partners) : this.generateRandomValue();
+  }
+
+  /**
+   * Set how often smart values copy / complement existing values
+   */
+  setProbabilities(matchProbability, complementProbability) {
+    this.matchProbability = matchProbability;
+    this.complementProbability = complementProbability;
+  }
+
   /**
    * Generate random value in range
    */
   generateRandomValue() {
-    return Math.floor(Math.random() * (this.maxValue - this.minValue + 1)) + this.minValue;
+    return this.random.nextInt(this.minValue, this.maxValue);
+  }
+
+  /**
+   * Values that pair with a value (other than itself)
+   * Defaults to the classic sum-to-10 complement
+   */
+  getPartners(value) {
+    if (this.ruleSet) return this.ruleSet.getPartners(value);
+
+    const complement = 10 - value;
+    return complement >= this.minValue && complement <= this.maxValue ? [complement] : [];
+  }
+
+  /**
+   * Use a rule set's value range and complements
+   */
+  setRuleSet(ruleSet) {
+    this.ruleSet = ruleSet;
+    this.minValue = ruleSet.minValue;
+    this.maxValue = ruleSet.maxValue;
+  }
+
+  /**
+   * Swap the random source (e.g. to reseed for a daily puzzle)
+   */
+  setRandom(random) {
+    this.random = random;
   }
 
   /**
@@ -0,0 +1,113 @@
+// ============================================================================
+// FILE: src/systems/HintSystem.js
+// ============================================================================
+
+/**
+ * Hint System - Ranks every available move instead of taking the first one
+ * Score = connection points + row-clear bonus + how many moves it opens up
+ * compared to now (1-ply), optionally refined by the best reply (2-ply)
+ */
+export class HintSystem {
+  constructor(config = {}) {
+    this.connectionValidator = config.connectionValidator;
+    this.matchSystem = config.matchSystem;
+    this.lookahead = config.lookahead || 1; // 1 or 2 plies
+    this.secondPlyCandidates = config.secondPlyCandidates || 5;
+
+    this.weights = {
+      points: 1,
+      rowClear: 10,
+      followUp: 2,
+      secondPly: 1,
+      ...config.weights
+    };
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * All moves on the board, best first
+   */
+  rankMoves(state) {
+    const pairs = state.findPairs(this.connectionValidator, this.matchSystem);
+
+    const ranked = pairs.map(pair => {
+      const { state: next, removedRows } = state.applyMatch(pair.from, pair.to);
+      const followUps = next.findPairs(this.connectionValidator, this.matchSystem);
+
+      return {
+        ...pair,
+        completesRow: removedRows.length > 0,
+        followUps: followUps.length,
+        nextState: next,
+        score: pair.points * this.weights.points +
+          removedRows.length * this.weights.rowClear +
+          (followUps.length - pairs.length) * this.weights.followUp
+      };
+    });
+
+    ranked.sort((a, b) => b.score - a.score);
+
+    // Second ply only re-orders the strongest candidates - it is expensive
+    if (this.lookahead >= 2) {
+      const top = ranked.slice(0, this.secondPlyCandidates);
+      top.forEach(move => {
+        move.score += this.bestReplyValue(move.nextState) * this.weights.secondPly;
+      });
+      top.sort((a, b) => b.score - a.score);
+      ranked.splice(0, top.length, ...top);
+    }
+
+    return ranked.map(({ nextState, ...move }) => move);
+  }
+
+  /**
+   * Value of the best single move available from a position
+   */
+  bestReplyValue(state) {
+    const pairs = state.findPairs(this.connectionValidator, this.matchSystem);
+    let best = null;
+
+    pairs.forEach(pair => {
+      const { state: next, removedRows } = state.applyMatch(pair.from, pair.to);
+      const followUps = next.findPairs(this.connectionValidator, this.matchSystem).length;
+      const value = pair.points * this.weights.points +
+        removedRows.length * this.weights.rowClear +
+        (followUps - pairs.length) * this.weights.followUp;
+      best = best === null ? value : Math.max(best, value);
+    });
+
+    // Dead end - nothing left to play
+    return best === null ? -this.weights.rowClear : best;
+  }
+
+  /**
+   * Best move to hint (null if none)
+   */
+  getBestHint(state) {
+    const [best] = this.rankMoves(state);
+    if (!best) return null;
+
+    this.notifyListeners('hintRanked', best);
+    return best;
+  }
+
+  /**
+   * Set lookahead depth (1 or 2)
+   */
+  setLookahead(plies) {
+    this.lookahead = Math.max(1, Math.min(2, plies));
+  }
+
+  /**
+   * Subscribe to hint events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
@@ -0,0 +1,383 @@
+// ============================================================================
+// FILE: src/systems/LevelEditor.js
+// ============================================================================
+
+import { BoardState } from './BoardState';
+import { MatchSystem } from './MatchSystem';
+import { ConnectionValidator, CONNECTION_SETS, DEFAULT_CONNECTION_SET } from './ConnectionValidator';
+import { Solver } from './Solver';
+import { RULE_SETS, DEFAULT_RULE_SET, getRuleSet } from './RuleSet';
+import { LevelPackLoader } from './LevelPackLoader';
+import { VALIDATION } from '../utils/constants';
+
+const CODE_VERSION = 'L1';
+const CODE_SEPARATOR = '~';
+const EMPTY_CELL = '_';
+
+export const EDITOR_PACK_ID = 'editor';
+export const MAX_RESOURCE = 9;
+
+/**
+ * Level Editor - A draft level in the LevelPackLoader format
+ * Edits the board and its parameters, checks it with the Solver and
+ * converts it to/from a compact level code or pack JSON
+ */
+export class LevelEditor {
+  constructor(config = {}) {
+    this.loader = config.loader || new LevelPackLoader();
+    this.nodeBudget = config.nodeBudget || 20000;
+    this.listeners = new Set();
+    this.clear(config.rows || 3, config.cols || 9);
+  }
+
+  /**
+   * Start a fresh, empty draft
+   */
+  clear(rows = this.grid?.length || 3, cols = this.cols || 9) {
+    this.name = 'My Level';
+    this.description = '';
+    this.cols = cols;
+    this.grid = Array.from({ length: rows }, () => Array(cols).fill(null));
+    this.ruleSet = DEFAULT_RULE_SET;
+    this.strategies = [...CONNECTION_SETS[DEFAULT_CONNECTION_SET].strategies];
+    this.timeLimit = null;
+    this.resources = { addMoves: 3, hints: 3, changes: 3 };
+    this.stars = [50, 100, 150];
+    this.goals = [];
+    this.changed('draftCleared');
+  }
+
+  /**
+   * Set one cell (null empties it)
+   */
+  setCell(row, col, value) {
+    if (!this.isInside(row, col)) return false;
+    if (value !== null && !getRuleSet(this.ruleSet).isValidValue(value)) return false;
+
+    this.grid[row][col] = value;
+    this.changed('cellChanged', { row, col, value });
+    return true;
+  }
+
+  /**
+   * Resize the board within VALIDATION limits, keeping what still fits
+   */
+  resize(rows, cols) {
+    const newRows = Math.max(VALIDATION.MIN_GRID_ROWS, Math.min(VALIDATION.MAX_GRID_ROWS, rows));
+    const newCols = Math.max(VALIDATION.MIN_GRID_COLS, Math.min(VALIDATION.MAX_GRID_COLS, cols));
+
+    this.grid = Array.from({ length: newRows }, (_, r) =>
+      Array.from({ length: newCols }, (_, c) => this.grid[r]?.[c] ?? null)
+    );
+    this.cols = newCols;
+    this.changed('resized', { rows: newRows, cols: newCols });
+  }
+
+  /**
+   * Switch rule set - values it does not allow are emptied
+   */
+  setRuleSet(id) {
+    if (!RULE_SETS[id]) return;
+
+    const ruleSet = getRuleSet(id);
+    this.ruleSet = id;
+    this.grid = this.grid.map(row => row.map(value => (
+      value !== null && ruleSet.isValidValue(value) ? value : null
+    )));
+    this.changed('ruleSetChanged', { ruleSet: id });
+  }
+
+  /**
+   * Turn a connection type on or off (at least one stays on)
+   */
+  toggleStrategy(type) {
+    if (this.strategies.includes(type)) {
+      if (this.strategies.length === 1) return;
+      this.strategies = this.strategies.filter(strategy => strategy !== type);
+    } else if (ConnectionValidator.getRegisteredTypes().includes(type)) {
+      this.strategies = [...this.strategies, type];
+    }
+    this.changed('strategiesChanged', { strategies: this.strategies });
+  }
+
+  /**
+   * Time limit in seconds within VALIDATION limits (null = untimed)
+   */
+  setTimeLimit(seconds) {
+    this.timeLimit = seconds === null
+      ? null
+      : Math.max(VALIDATION.MIN_TIME, Math.min(VALIDATION.MAX_TIME, Math.round(seconds)));
+    this.changed('timeLimitChanged', { timeLimit: this.timeLimit });
+  }
+
+  setResource(name, amount) {
+    if (!(name in this.resources)) return;
+    this.resources = { ...this.resources, [name]: Math.max(0, Math.min(MAX_RESOURCE, amount)) };
+    this.changed('resourcesChanged', { resources: this.resources });
+  }
+
+  /**
+   * Score for one of the three stars - the others move to stay ascending
+   */
+  setStar(index, score) {
+    const stars = [...this.stars];
+    stars[index] = Math.max(0, Math.round(score));
+    for (let i = index + 1; i < stars.length; i++) stars[i] = Math.max(stars[i], stars[i - 1]);
+    for (let i = index - 1; i >= 0; i--) stars[i] = Math.min(stars[i], stars[i + 1]);
+    this.stars = stars;
+    this.changed('starsChanged', { stars });
+  }
+
+  setName(name) {
+    this.name = name;
+    this.changed('nameChanged', { name });
+  }
+
+  /**
+   * Run the solver on the draft
+   * clearable: true/false, or null if the search budget ran out
+   */
+  verify() {
+    const matchSystem = new MatchSystem({ matchRules: getRuleSet(this.ruleSet).getMatchRules() });
+    const connectionValidator = new ConnectionValidator({
+      gridCols: this.cols,
+      strategies: this.strategies
+    });
+    const solver = new Solver({ matchSystem, connectionValidator, nodeBudget: this.nodeBudget });
+    const state = new BoardState(this.grid.map(row => [...row]), [], this.cols);
+
+    const proof = solver.isClearable(state, this.nodeBudget);
+    const plan = solver.solve(state);
+
+    const report = {
+      clearable: proof.clearable,
+      cells: state.getActiveCells().length,
+      openPairs: state.findPairs(connectionValidator, matchSystem).length,
+      moves: proof.clearable ? proof.moves.length : null,
+      solverScore: plan.clearable ? plan.score : null
+    };
+    this.notifyListeners('verified', report);
+    return report;
+  }
+
+  /**
+   * The draft as a pack-format level
+   */
+  toLevel() {
+    const level = {
+      name: this.name,
+      ruleSet: this.ruleSet,
+      strategies: [...this.strategies],
+      timeLimit: this.timeLimit,
+      resources: { ...this.resources },
+      stars: [...this.stars],
+      grid: this.grid.map(row => [...row])
+    };
+    if (this.description) level.description = this.description;
+    if (this.goals.length > 0) level.goals = this.goals.map(goal => ({ ...goal }));
+    return level;
+  }
+
+  /**
+   * The draft as a one-level pack (what gets exported as JSON)
+   */
+  toPack() {
+    return {
+      id: EDITOR_PACK_ID,
+      name: this.name,
+      cols: this.cols,
+      levels: [this.toLevel()]
+    };
+  }
+
+  /**
+   * Problems that keep the draft from being played or shared (empty = ok)
+   */
+  validate() {
+    const errors = this.loader.validate(this.toPack());
+    if (this.grid.every(row => row.every(value => value === null))) {
+      errors.push('The board is empty');
+    }
+    return errors;
+  }
+
+  /**
+   * The draft normalized like a loaded pack level (for test play)
+   */
+  toPlayableLevel() {
+    return this.loader.normalize(this.toPack()).levels[0];
+  }
+
+  /**
+   * Replace the draft with a pack-format level
+   */
+  loadLevel(level, cols = level.grid?.[0]?.length || 9) {
+    const errors = this.loader.validate({ id: EDITOR_PACK_ID, cols, levels: [level] });
+    if (errors.length > 0) return { success: false, errors };
+
+    const normalized = this.loader.normalize({ id: EDITOR_PACK_ID, cols, levels: [level] }).levels[0];
+    this.name = normalized.name;
+    this.description = normalized.description;
+    this.cols = cols;
+    this.grid = normalized.grid;
+    this.ruleSet = normalized.ruleSet;
+    this.strategies = normalized.strategies.map(entry => (typeof entry === 'string' ? entry : entry.type));
+    this.timeLimit = normalized.timeLimit;
+    this.resources = { ...normalized.resources };
+    this.stars = normalized.stars;
+    this.goals = normalized.goals.map(({ type, target }) => ({ type, target }));
+    this.changed('draftLoaded');
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Compact, URL-safe level code
+   */
+  exportCode() {
+    return encodeLevelCode(this.toLevel(), this.cols);
+  }
+
+  /**
+   * Pack JSON (pretty-printed for sharing as a file)
+   */
+  exportJSON() {
+    return JSON.stringify(this.toPack(), null, 2);
+  }
+
+  /**
+   * Load a level code or pack/level JSON (the first level of a pack)
+   */
+  importText(text) {
+    const trimmed = (text || '').trim();
+
+    if (trimmed.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch (error) {
+        return { success: false, errors: ['Not valid JSON'] };
+      }
+      if (Array.isArray(data.levels)) {
+        if (data.levels.length === 0) return { success: false, errors: ['Pack has no levels'] };
+        return this.loadLevel(data.levels[0], data.cols || 9);
+      }
+      return this.loadLevel(data);
+    }
+
+    const decoded = decodeLevelCode(trimmed);
+    if (!decoded) return { success: false, errors: ['Not a level code'] };
+    return this.loadLevel(decoded.level, decoded.cols);
+  }
+
+  isInside(row, col) {
+    return row >= 0 && row < this.grid.length && col >= 0 && col < this.cols;
+  }
+
+  // Getters
+  getGrid() { return this.grid; }
+  getRows() { return this.grid.length; }
+  getCols() { return this.cols; }
+
+  /**
+   * Subscribe to editor events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  changed(event, data = null) {
+    this.notifyListeners(event, data);
+    this.notifyListeners('draftChanged', null);
+  }
+
+  /**
+   * Serialize the draft
+   */
+  serialize() {
+    return {
+      cols: this.cols,
+      level: this.toLevel()
+    };
+  }
+
+  /**
+   * Deserialize a saved draft
+   */
+  deserialize(data) {
+    this.loadLevel(data.level, data.cols);
+  }
+}
+
+/**
+ * Level code: "L1~name~ruleSet~strategies~time~resources~stars~goals~cols~cells"
+ * - lists are '.'-joined, the name is URI-encoded (with '~' escaped), time is '' when untimed
+ * - cells are one base-36 digit each, row by row, '_' for empty
+ */
+export const encodeLevelCode = (level, cols = level.grid[0].length) => {
+  const resources = level.resources || {};
+  const fields = [
+    CODE_VERSION,
+    encodeURIComponent(level.name || '').replace(/~/g, '%7E'),
+    level.ruleSet || DEFAULT_RULE_SET,
+    (level.strategies || []).map(entry => (typeof entry === 'string' ? entry : entry.type)).join('.'),
+    level.timeLimit ? String(level.timeLimit) : '',
+    [resources.addMoves, resources.hints, resources.changes].map(n => n ?? '').join('.'),
+    level.stars.join('.'),
+    (level.goals || []).map(goal => `${goal.type}.${goal.target}`).join('.'),
+    String(cols),
+    level.grid.map(row => row.map(value => (value === null ? EMPTY_CELL : value.toString(36))).join('')).join('')
+  ];
+  return fields.join(CODE_SEPARATOR);
+};
+
+/**
+ * Decode a level code - returns { level, cols } or null if it is malformed
+ */
+export const decodeLevelCode = (code) => {
+  const fields = code.split(CODE_SEPARATOR);
+  if (fields.length !== 10 || fields[0] !== CODE_VERSION) return null;
+
+  const [, name, ruleSet, strategies, time, resources, stars, goals, colsText, cells] = fields;
+  const cols = parseInt(colsText, 10);
+  if (!(cols > 0) || cells.length === 0 || cells.length % cols !== 0) return null;
+
+  const values = cells.split('').map(char => (char === EMPTY_CELL ? null : parseInt(char, 36)));
+  if (values.some(value => Number.isNaN(value))) return null;
+
+  const [addMoves, hints, changes] = resources.split('.').map(n => (n === '' ? undefined : Number(n)));
+  const goalParts = goals ? goals.split('.') : [];
+
+  let decodedName;
+  try {
+    decodedName = decodeURIComponent(name);
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    cols,
+    level: {
+      name: decodedName,
+      ruleSet,
+      strategies: strategies ? strategies.split('.') : undefined,
+      timeLimit: time ? Number(time) : null,
+      resources: Object.fromEntries(
+        Object.entries({ addMoves, hints, changes }).filter(([, n]) => n !== undefined)
+      ),
+      stars: stars.split('.').map(Number),
+      goals: Array.from({ length: Math.floor(goalParts.length / 2) }, (_, i) => ({
+        type: goalParts[i * 2],
+        target: Number(goalParts[i * 2 + 1])
+      })),
+      grid: Array.from({ length: values.length / cols }, (_, r) => values.slice(r * cols, (r + 1) * cols))
+    }
+  };
+};
+
+// Shared draft - survives closing the editor and test-playing the level
+export const levelEditor = new LevelEditor();
@@ -0,0 +1,237 @@
+// ============================================================================
+// FILE: src/systems/LevelPackLoader.js
+// ============================================================================
+
+import { RULE_SETS, DEFAULT_RULE_SET, getRuleSet } from './RuleSet';
+import { ConnectionValidator, CONNECTION_SETS, DEFAULT_CONNECTION_SET } from './ConnectionValidator';
+import { Difficulty } from './Difficulty';
+import { BUILT_IN_PACKS } from '../levels';
+
+/**
+ * Goal types a level can require on top of clearing the board
+ * Each check reads the finished run's summary
+ */
+export const GOAL_TYPES = {
+  score: {
+    describe: target => `Score at least ${target}`,
+    check: (summary, target) => summary.score >= target
+  },
+  combo: {
+    describe: target => `Reach a ${target}x combo`,
+    check: (summary, target) => summary.maxCombo >= target
+  },
+  rowsCleared: {
+    describe: target => `Clear ${target} rows`,
+    check: (summary, target) => summary.rowsCleared >= target
+  },
+  maxHints: {
+    describe: target => (target === 0 ? 'Use no hints' : `Use at most ${target} hints`),
+    check: (summary, target) => summary.hintsUsed <= target
+  },
+  maxAdds: {
+    describe: target => (target === 0 ? 'Use no Add moves' : `Use at most ${target} Add moves`),
+    check: (summary, target) => summary.addsUsed <= target
+  }
+};
+
+const DEFAULT_RESOURCES = { addMoves: 3, hints: 3, changes: 3 };
+
+/**
+ * Level Pack Loader - Validates JSON level packs and serves their levels
+ *
+ * Pack format:
+ * {
+ *   id, name, description?, cols? (9),
+ *   levels: [{
+ *     id?, name?, description?,
+ *     grid: [[1, 9, null, ...], ...],     rows of `cols` values, null = empty
+ *     ruleSet?: 'sum10',                  RULE_SETS id
+ *     strategies?: ['adjacent', ...],     connection types (default: all)
+ *     timeLimit?: 180,                    seconds, null = untimed
+ *     resources?: { addMoves, hints, changes },
+ *     stars: [100, 200, 300],             score for 1/2/3 stars
+ *     goals?: [{ type: 'combo', target: 3 }, ...]
+ *   }]
+ * }
+ */
+export class LevelPackLoader {
+  constructor() {
+    this.packs = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Validate and register a pack
+   * Returns the normalized pack, or null if it has errors
+   */
+  load(data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      console.warn(`Invalid level pack ${data?.id || '(no id)'}:`, errors);
+      this.notifyListeners('packRejected', { id: data?.id, errors });
+      return null;
+    }
+
+    const pack = this.normalize(data);
+    this.packs.set(pack.id, pack);
+    this.notifyListeners('packLoaded', pack);
+    return pack;
+  }
+
+  /**
+   * List every problem with a pack (empty = valid)
+   */
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Pack is not an object'];
+    if (!data.id) errors.push('Pack needs an id');
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+      errors.push('Pack needs at least one level');
+      return errors;
+    }
+
+    const cols = data.cols || 9;
+    const strategyTypes = ConnectionValidator.getRegisteredTypes();
+
+    data.levels.forEach((level, index) => {
+      const where = `Level ${index + 1}`;
+
+      if (level.ruleSet !== undefined && !RULE_SETS[level.ruleSet]) {
+        errors.push(`${where}: unknown rule set ${level.ruleSet}`);
+      }
+      const ruleSet = getRuleSet(level.ruleSet);
+
+      if (!Array.isArray(level.grid) || level.grid.length === 0) {
+        errors.push(`${where}: grid must be a non-empty list of rows`);
+      } else {
+        level.grid.forEach((row, r) => {
+          if (!Array.isArray(row) || row.length !== cols) {
+            errors.push(`${where}: row ${r + 1} must have ${cols} cells`);
+            return;
+          }
+          row.forEach((value, c) => {
+            if (value !== null && !(Number.isInteger(value) && ruleSet.isValidValue(value))) {
+              errors.push(`${where}: invalid value ${value} at row ${r + 1}, column ${c + 1}`);
+            }
+          });
+        });
+      }
+
+      (level.strategies || []).forEach(entry => {
+        const type = typeof entry === 'string' ? entry : entry?.type;
+        if (!strategyTypes.includes(type)) {
+          errors.push(`${where}: unknown connection strategy ${type}`);
+        }
+      });
+
+      if (level.timeLimit !== undefined && level.timeLimit !== null &&
+          !(Number.isInteger(level.timeLimit) && level.timeLimit > 0)) {
+        errors.push(`${where}: timeLimit must be a positive number of seconds or null`);
+      }
+
+      const stars = level.stars;
+      if (!Array.isArray(stars) || stars.length !== 3 || !(stars[0] <= stars[1] && stars[1] <= stars[2])) {
+        errors.push(`${where}: stars must be three ascending score thresholds`);
+      }
+
+      (level.goals || []).forEach(goal => {
+        if (!GOAL_TYPES[goal?.type]) {
+          errors.push(`${where}: unknown goal ${goal?.type}`);
+        } else if (typeof goal.target !== 'number') {
+          errors.push(`${where}: goal ${goal.type} needs a numeric target`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults so the game never has to
+   */
+  normalize(data) {
+    const cols = data.cols || 9;
+
+    return {
+      id: data.id,
+      name: data.name || data.id,
+      description: data.description || '',
+      cols,
+      levels: data.levels.map((level, index) => ({
+        id: level.id || `${data.id}-${index + 1}`,
+        packId: data.id,
+        index,
+        name: level.name || `Level ${index + 1}`,
+        description: level.description || '',
+        grid: level.grid.map(row => [...row]),
+        cols,
+        ruleSet: level.ruleSet || DEFAULT_RULE_SET,
+        strategies: level.strategies || CONNECTION_SETS[DEFAULT_CONNECTION_SET].strategies,
+        timeLimit: level.timeLimit !== undefined ? level.timeLimit : null,
+        resources: { ...DEFAULT_RESOURCES, ...level.resources },
+        stars: [...level.stars],
+        goals: (level.goals || []).map(goal => ({
+          ...goal,
+          description: goal.description || GOAL_TYPES[goal.type].describe(goal.target)
+        }))
+      }))
+    };
+  }
+
+  // Getters
+  getPack(id) { return this.packs.get(id) || null; }
+  getPacks() { return Array.from(this.packs.values()); }
+  getLevel(packId, index) { return this.packs.get(packId)?.levels[index] || null; }
+
+  /**
+   * The level after this one in its pack (null at the end)
+   */
+  getNextLevel(level) {
+    return this.getLevel(level.packId, level.index + 1);
+  }
+
+  /**
+   * Subscribe to loader events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
+
+/**
+ * Difficulty for a pack level: its board size, clock and allotments, nothing added on level up
+ */
+export const createLevelDifficulty = (level) => new Difficulty({
+  id: 'pack',
+  name: level.name,
+  initialRows: level.grid.length,
+  rowsPerLevel: 0,
+  initialTime: level.timeLimit || undefined,
+  timeDecay: 0,
+  resources: level.resources
+});
+
+/**
+ * Score a finished pack level: stars by score, and whether every goal was met
+ */
+export const rateLevel = (level, summary) => {
+  const goals = level.goals.map(goal => ({
+    ...goal,
+    met: GOAL_TYPES[goal.type].check(summary, goal.target)
+  }));
+  const passed = summary.cleared && goals.every(goal => goal.met);
+  const stars = passed
+    ? Math.max(1, level.stars.filter(threshold => summary.score >= threshold).length)
+    : 0;
+
+  return { levelId: level.id, passed, stars, score: summary.score, goals };
+};
+
+// Shared loader with the built-in packs
+export const levelPacks = new LevelPackLoader();
+BUILT_IN_PACKS.forEach(pack => levelPacks.load(pack));
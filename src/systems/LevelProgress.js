@@ -0,0 +1,85 @@
+// ============================================================================
+// FILE: src/systems/LevelProgress.js
+// ============================================================================
+
+/**
+ * Level Progress - Best stars and score per pack level, and which levels are open
+ * A level unlocks once the level before it in its pack has at least one star
+ */
+export class LevelProgress {
+  constructor() {
+    this.levels = {}; // level id -> { stars, score, date }
+    this.listeners = new Set();
+  }
+
+  /**
+   * Keep a finished level's result if it beats the saved one
+   * Returns true if anything improved
+   */
+  recordResult(result) {
+    if (!result.passed) return false;
+
+    const previous = this.levels[result.levelId];
+    if (previous && result.stars <= previous.stars && result.score <= previous.score) return false;
+
+    this.levels[result.levelId] = {
+      stars: Math.max(result.stars, previous?.stars || 0),
+      score: Math.max(result.score, previous?.score || 0),
+      date: Date.now()
+    };
+    this.notifyListeners('progressUpdated', { levelId: result.levelId, ...this.levels[result.levelId] });
+    return true;
+  }
+
+  // Getters
+  getStars(levelId) { return this.levels[levelId]?.stars || 0; }
+  getBestScore(levelId) { return this.levels[levelId]?.score || 0; }
+
+  /**
+   * Check if a pack level can be played
+   */
+  isUnlocked(pack, index) {
+    if (index === 0) return true;
+    const previous = pack.levels[index - 1];
+    return !!previous && this.getStars(previous.id) > 0;
+  }
+
+  /**
+   * Stars earned across a pack, out of 3 per level
+   */
+  getPackStars(pack) {
+    return {
+      earned: pack.levels.reduce((sum, level) => sum + this.getStars(level.id), 0),
+      total: pack.levels.length * 3
+    };
+  }
+
+  /**
+   * Subscribe to progress events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for saving
+   */
+  serialize() {
+    return {
+      levels: this.levels
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.levels = data.levels || {};
+    this.notifyListeners('loaded', null);
+  }
+}
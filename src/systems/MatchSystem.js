@@ -45,6 +45,14 @@ export class MatchSystem {
     return false;
   }
 
+  /**
+   * Replace the match rules (e.g. when switching rule set)
+   */
+  setMatchRules(rules) {
+    this.matchRules = { ...this.matchRules, ...rules };
+    this.notifyListeners('matchRulesChanged', this.matchRules);
+  }
+
   /**
    * Add matched cells
    */
@@ -0,0 +1,145 @@
+// ============================================================================
+// FILE: src/systems/ReplayRecorder.js
+// ============================================================================
+
+export const REPLAY_VERSION = 1;
+
+// Last millisecond of a clock second - an action never claims the next tick
+const MAX_OFFSET = 999;
+
+/**
+ * Replay Recorder - logs every player action of a run
+ *
+ * A replay is { version, config, actions, duration } where config rebuilds
+ * the run's GameController (seed, rules, difficulty...) and each action is
+ * a compact [time, type, ...args] array. Times are milliseconds of game
+ * clock since the start: clock second n covers n * 1000 to n * 1000 + 999,
+ * so a replay knows which timer ticks came before each action. Pauses stop
+ * the clock, so they take no replay time.
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+    this.seconds = 0;      // timer ticks since the start
+    this.tickAt = 0;       // wall time of the last tick / clock start
+    this.frozenOffset = 0; // ms into the current second while the clock is stopped (null = running)
+    this.lastTime = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Start a new replay (config must be enough to rebuild the run)
+   */
+  start(config) {
+    this.replay = { version: REPLAY_VERSION, config, actions: [], duration: 0 };
+    this.seconds = 0;
+    this.tickAt = Date.now();
+    this.frozenOffset = 0;
+    this.lastTime = 0;
+    this.notifyListeners('replayStarted', config);
+  }
+
+  /**
+   * Append an action at the current clock time
+   */
+  record(type, ...args) {
+    if (!this.isRecording()) return;
+    this.replay.actions.push([this.getTime(), type, ...args]);
+  }
+
+  /**
+   * Close the replay - returns it (null if nothing was recorded)
+   */
+  finish() {
+    if (!this.isRecording()) return null;
+
+    this.replay.duration = this.getTime();
+    this.replay.finished = true;
+    this.notifyListeners('replayFinished', this.replay);
+    return this.replay;
+  }
+
+  /**
+   * Drop the current replay (e.g. on reset)
+   */
+  clear() {
+    this.replay = null;
+  }
+
+  // Game clock - fed from the run's timer
+  tick() {
+    this.seconds++;
+    this.tickAt = Date.now();
+  }
+
+  stopClock() {
+    if (this.frozenOffset === null) {
+      this.frozenOffset = this.getOffset();
+    }
+  }
+
+  startClock() {
+    if (this.frozenOffset !== null) {
+      this.tickAt = Date.now() - this.frozenOffset;
+      this.frozenOffset = null;
+    }
+  }
+
+  getOffset() {
+    if (this.frozenOffset !== null) return this.frozenOffset;
+    return Math.min(MAX_OFFSET, Math.max(0, Date.now() - this.tickAt));
+  }
+
+  /**
+   * Current replay time - never runs backwards
+   */
+  getTime() {
+    this.lastTime = Math.max(this.lastTime, this.seconds * 1000 + this.getOffset());
+    return this.lastTime;
+  }
+
+  // Getters
+  isRecording() { return this.replay !== null && !this.replay.finished; }
+  getReplay() { return this.replay; }
+
+  /**
+   * Subscribe to recorder events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for save/load (a restored run keeps recording)
+   */
+  serialize() {
+    return {
+      replay: this.replay,
+      seconds: this.seconds,
+      offset: this.getOffset(),
+      lastTime: this.lastTime
+    };
+  }
+
+  /**
+   * Deserialize from saved data - the clock comes back stopped
+   */
+  deserialize(data) {
+    this.replay = data.replay || null;
+    this.seconds = data.seconds || 0;
+    this.frozenOffset = data.offset || 0;
+    this.lastTime = data.lastTime || 0;
+  }
+}
+
+/**
+ * Whether a leaderboard entry carries a watchable replay
+ */
+export const hasReplay = (entry) => {
+  return !!entry?.replay && entry.replay.version === REPLAY_VERSION && entry.replay.actions.length > 0;
+};
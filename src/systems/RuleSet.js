@@ -0,0 +1,118 @@
+// ============================================================================
+// FILE: src/systems/RuleSet.js
+// ============================================================================
+
+/**
+ * Rule Set - Which values pair up and which values the board deals
+ * Drives MatchSystem rules, GridSystem value range and the complement
+ * values generated by Add moves
+ */
+export class RuleSet {
+  constructor(definition = {}) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.description = definition.description || '';
+    this.minValue = definition.minValue || 1;
+    this.maxValue = definition.maxValue || 9;
+    this.sameValue = definition.sameValue !== false;
+    this.sumTarget = definition.sumTarget !== undefined ? definition.sumTarget : null;
+    this.matchFn = definition.matchFn || null;
+  }
+
+  /**
+   * Check if two values match under this rule set
+   */
+  valuesMatch(value1, value2) {
+    if (value1 === null || value2 === null) return false;
+
+    if (this.sameValue && value1 === value2) return true;
+    if (this.sumTarget !== null && value1 + value2 === this.sumTarget) return true;
+    if (this.matchFn) return this.matchFn(value1, value2);
+
+    return false;
+  }
+
+  /**
+   * Every value the board can deal
+   */
+  getValueRange() {
+    const values = [];
+    for (let value = this.minValue; value <= this.maxValue; value++) {
+      values.push(value);
+    }
+    return values;
+  }
+
+  /**
+   * Values (other than itself) that pair with a value
+   */
+  getPartners(value) {
+    return this.getValueRange().filter(other => other !== value && this.valuesMatch(value, other));
+  }
+
+  /**
+   * Check if value can appear on the board
+   */
+  isValidValue(value) {
+    return value >= this.minValue && value <= this.maxValue;
+  }
+
+  /**
+   * Rules in the shape MatchSystem expects
+   */
+  getMatchRules() {
+    return {
+      sameValue: this.sameValue,
+      sumTarget: this.sumTarget,
+      allowSumMatches: this.sumTarget !== null,
+      customMatchFn: this.matchFn ? (value1, value2) => this.valuesMatch(value1, value2) : null
+    };
+  }
+}
+
+/**
+ * Built-in rule sets
+ */
+export const RULE_SETS = {
+  sum10: new RuleSet({
+    id: 'sum10',
+    name: 'Sum 10',
+    description: 'Match equal numbers or numbers that add up to 10',
+    minValue: 1,
+    maxValue: 9,
+    sumTarget: 10
+  }),
+  sum12: new RuleSet({
+    id: 'sum12',
+    name: 'Sum 12',
+    description: 'Numbers 1-11: match equal numbers or numbers that add up to 12',
+    minValue: 1,
+    maxValue: 11,
+    sumTarget: 12
+  }),
+  difference5: new RuleSet({
+    id: 'difference5',
+    name: 'Difference 5',
+    description: 'Numbers 1-10: match equal numbers or numbers 5 apart',
+    minValue: 1,
+    maxValue: 10,
+    matchFn: (value1, value2) => Math.abs(value1 - value2) === 5
+  }),
+  evenProduct: new RuleSet({
+    id: 'evenProduct',
+    name: 'Even Product',
+    description: 'Match equal numbers or numbers whose product is even',
+    minValue: 1,
+    maxValue: 9,
+    matchFn: (value1, value2) => (value1 * value2) % 2 === 0
+  })
+};
+
+export const DEFAULT_RULE_SET = 'sum10';
+
+/**
+ * Look up a rule set by id (falls back to the classic Sum 10)
+ */
+export const getRuleSet = (id) => {
+  return RULE_SETS[id] || RULE_SETS[DEFAULT_RULE_SET];
+};
@@ -0,0 +1,202 @@
+// ============================================================================
+// FILE: src/systems/Solver.js
+// ============================================================================
+
+import { BoardState } from './BoardState';
+import { MatchSystem } from './MatchSystem';
+import { ConnectionValidator } from './ConnectionValidator';
+
+/**
+ * Solver - Headless search over match sequences (no React, Node-safe)
+ * - isClearable: bounded depth-first search, proves a board can be cleared
+ * - solve: beam search for a near-optimal move list (matches, Add moves,
+ *   row removals), scored like the game (connection points + row bonus)
+ *
+ * Add moves are simulated by appending the remaining values (classic
+ * Numberzilla); the live game deals random values instead, so plans that
+ * rely on Add are a best guess. Pass addValues to model it differently.
+ */
+export class Solver {
+  constructor(config = {}) {
+    this.matchSystem = config.matchSystem || new MatchSystem();
+    this.connectionValidator = config.connectionValidator ||
+      new ConnectionValidator({ gridCols: config.gridCols || 9 });
+
+    this.beamWidth = config.beamWidth || 8;
+    this.maxDepth = config.maxDepth || 200;
+    this.nodeBudget = config.nodeBudget || 2000;
+    this.rowBonus = config.rowBonus !== undefined ? config.rowBonus : 10;
+    this.addPenalty = config.addPenalty !== undefined ? config.addPenalty : 20;
+    this.addValues = config.addValues || (state => state.getActiveCells().map(cell => cell.value));
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * All valid matches from a position
+   */
+  getMoves(state) {
+    return state.findPairs(this.connectionValidator, this.matchSystem);
+  }
+
+  /**
+   * Apply a move (match or add) and return the resulting state
+   */
+  applyMove(state, move) {
+    if (move.type === 'add') {
+      return { state: state.applyAdd(move.values), removedRows: [] };
+    }
+    return state.applyMatch(move.from, move.to);
+  }
+
+  /**
+   * Depth-first search for a full clear using matches only
+   * Returns clearable: true/false, or null if the node budget ran out
+   */
+  isClearable(state, nodeBudget = this.nodeBudget) {
+    const visited = new Set();
+    let nodes = 0;
+    let exhausted = false;
+    let path = null;
+
+    const search = (current, moves) => {
+      if (current.isCleared()) {
+        path = moves;
+        return true;
+      }
+      if (nodes >= nodeBudget) {
+        exhausted = true;
+        return false;
+      }
+      nodes++;
+
+      const key = current.key();
+      if (visited.has(key)) return false;
+      visited.add(key);
+
+      for (const pair of this.getMoves(current)) {
+        const move = { type: 'match', ...pair };
+        if (search(current.applyMatch(pair.from, pair.to).state, [...moves, move])) return true;
+      }
+      return false;
+    };
+
+    const clearable = search(state, []);
+    return {
+      clearable: clearable ? true : (exhausted ? null : false),
+      moves: path || [],
+      nodes
+    };
+  }
+
+  /**
+   * Beam search for the best-scoring move list
+   * options.maxAdds - how many Add moves the plan may use
+   */
+  solve(state, options = {}) {
+    const maxAdds = options.maxAdds || 0;
+    const beamWidth = options.beamWidth || this.beamWidth;
+    const nodeBudget = options.nodeBudget || this.nodeBudget;
+
+    let beam = [{ state, moves: [], score: 0, addsUsed: 0 }];
+    let best = beam[0];
+    let solution = null;
+    let nodes = 0;
+    const seen = new Set([state.key()]);
+
+    for (let depth = 0; depth < this.maxDepth && beam.length > 0 && nodes < nodeBudget; depth++) {
+      const children = [];
+
+      for (const node of beam) {
+        nodes++;
+
+        this.getMoves(node.state).forEach(pair => {
+          const { state: next, removedRows } = node.state.applyMatch(pair.from, pair.to);
+          const points = pair.points + removedRows.length * this.rowBonus;
+          children.push({
+            state: next,
+            moves: [...node.moves, { type: 'match', ...pair, removedRows }],
+            score: node.score + points,
+            addsUsed: node.addsUsed
+          });
+        });
+
+        if (node.addsUsed < maxAdds) {
+          const values = this.addValues(node.state);
+          if (values.length > 0) {
+            children.push({
+              state: node.state.applyAdd(values),
+              moves: [...node.moves, { type: 'add', values }],
+              score: node.score,
+              addsUsed: node.addsUsed + 1
+            });
+          }
+        }
+      }
+
+      const unique = children.filter(child => {
+        const key = child.state.key();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      unique.forEach(child => {
+        if (child.state.isCleared() && (!solution || child.score > solution.score)) {
+          solution = child;
+        }
+        if (this.evaluate(child) > this.evaluate(best)) {
+          best = child;
+        }
+      });
+
+      // A clear found at this depth beats anything deeper
+      if (solution) break;
+
+      beam = unique
+        .filter(child => !child.state.isCleared())
+        .sort((a, b) => this.evaluate(b) - this.evaluate(a))
+        .slice(0, beamWidth);
+    }
+
+    const result = solution || best;
+    const report = {
+      clearable: solution ? true : null,
+      moves: result.moves,
+      score: result.score,
+      addsUsed: result.addsUsed,
+      nodes
+    };
+
+    this.notifyListeners('solved', report);
+    return report;
+  }
+
+  /**
+   * Heuristic value of a search node: points earned, minus what is left
+   * to clear, minus a penalty for every Add used
+   */
+  evaluate(node) {
+    return node.score - node.state.getActiveCells().length - node.addsUsed * this.addPenalty;
+  }
+
+  /**
+   * First move of the best plan (null if there is nothing to do)
+   */
+  findBestMove(state, options = {}) {
+    const result = this.solve(state, options);
+    return result.moves[0] || null;
+  }
+
+  /**
+   * Subscribe to solver events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
@@ -0,0 +1,227 @@
+// ============================================================================
+// FILE: src/systems/Tutorial.js
+// ============================================================================
+
+// Board rows as digit strings
+const toGrid = (rows) => rows.map(row => [...row].map(Number));
+
+/**
+ * The tutorial script - one fixed board per connection type, in the order
+ * they are explained. Each step only runs its own connection type; target
+ * is the pair the player has to match, cleared the cells already matched.
+ */
+export const TUTORIAL = {
+  ruleSet: 'sum10',
+  cols: 9,
+  steps: [
+    {
+      id: 'adjacent',
+      strategy: 'adjacent',
+      title: 'Neighbours',
+      text: 'Two numbers match when they are equal or add up to 10. Neighbours always connect, diagonals included - match the 6 and the 4.',
+      grid: toGrid(['381562947', '729143865', '145978263']),
+      cleared: [],
+      target: [{ row: 0, col: 4 }, { row: 1, col: 4 }]
+    },
+    {
+      id: 'straightLine',
+      strategy: 'straightLine',
+      title: 'Straight Lines',
+      text: 'Faded cells are already cleared. Numbers in the same row or column connect across cleared cells - match the 7 and the 3.',
+      grid: toGrid(['258169473', '672851394', '914632857']),
+      cleared: [{ row: 1, col: 2 }, { row: 1, col: 3 }, { row: 1, col: 4 }, { row: 1, col: 5 }],
+      target: [{ row: 1, col: 1 }, { row: 1, col: 6 }]
+    },
+    {
+      id: 'diagonal',
+      strategy: 'diagonal',
+      title: 'Diagonals',
+      text: 'The same works along a diagonal, as long as only cleared cells lie between - match the 2 and the 8.',
+      grid: toGrid(['527913648', '364185927', '819627435', '471386291']),
+      cleared: [{ row: 1, col: 2 }, { row: 2, col: 3 }],
+      target: [{ row: 0, col: 1 }, { row: 3, col: 4 }]
+    },
+    {
+      id: 'snakeWrap',
+      strategy: 'snakeWrap',
+      title: 'Snake Wrap',
+      text: 'Read the board like a book: the end of one row carries on at the start of the next. Only cleared cells lie between the two 5s.',
+      grid: toGrid(['492718536', '753926184', '286473915']),
+      cleared: [{ row: 0, col: 7 }, { row: 0, col: 8 }, { row: 1, col: 0 }],
+      target: [{ row: 0, col: 6 }, { row: 1, col: 1 }]
+    },
+    {
+      id: 'headToTail',
+      strategy: 'headToTail',
+      title: 'Head to Tail',
+      text: 'The first and the last number left on the board always connect, however far apart - match the 4 and the 6.',
+      grid: toGrid(['734815296', '916274835', '582639176']),
+      cleared: [{ row: 0, col: 0 }, { row: 0, col: 1 }],
+      target: [{ row: 0, col: 2 }, { row: 2, col: 8 }]
+    }
+  ]
+};
+
+const isCell = (cell, row, col) => cell?.row === row && cell?.col === col;
+
+/**
+ * Tutorial - walks a script step by step
+ * A step accepts taps on its target pair only and is done once that pair
+ * is matched with the step's connection type
+ */
+export class Tutorial {
+  constructor(script = TUTORIAL) {
+    this.script = script;
+    this.stepIndex = 0;
+    this.stepDone = false;
+    this.listeners = new Set();
+  }
+
+  // Getters
+  getRuleSet() { return this.script.ruleSet; }
+  getCols() { return this.script.cols; }
+  getStep() { return this.script.steps[this.stepIndex] || null; }
+  getStepIndex() { return this.stepIndex; }
+  getStepCount() { return this.script.steps.length; }
+  getTargetCells() { return this.getStep()?.target || []; }
+  isStepDone() { return this.stepDone; }
+  isFinished() { return this.stepIndex >= this.script.steps.length; }
+  isLastStep() { return this.stepIndex === this.script.steps.length - 1; }
+
+  /**
+   * Check if a cell is part of the pair the current step asks for
+   */
+  isTarget(row, col) {
+    return this.getTargetCells().some(cell => isCell(cell, row, col));
+  }
+
+  /**
+   * Taps the current step lets through - the target cells, except the one
+   * already selected
+   */
+  isAllowedTap(row, col, selectedCell = null) {
+    if (this.stepDone || this.isFinished()) return false;
+    return this.isTarget(row, col) && !isCell(selectedCell, row, col);
+  }
+
+  /**
+   * Check a valid match against the step: its target pair, connected the
+   * way the step explains
+   */
+  isExpectedMove(from, to, type) {
+    const step = this.getStep();
+    if (!step || this.stepDone) return false;
+    return this.isTarget(from.row, from.col) && this.isTarget(to.row, to.col) &&
+      !isCell(from, to.row, to.col) && type === step.strategy;
+  }
+
+  /**
+   * Mark the current step as done
+   */
+  completeStep() {
+    if (this.stepDone || this.isFinished()) return;
+
+    this.stepDone = true;
+    this.notifyListeners('stepCompleted', { step: this.getStep(), index: this.stepIndex });
+  }
+
+  /**
+   * Move on to the next step once the current one is done
+   */
+  advance() {
+    if (!this.stepDone) return false;
+
+    this.stepIndex++;
+    this.stepDone = false;
+
+    if (this.isFinished()) {
+      this.notifyListeners('finished', null);
+    } else {
+      this.notifyListeners('stepStarted', { step: this.getStep(), index: this.stepIndex });
+    }
+    return true;
+  }
+
+  /**
+   * Back to the first step
+   */
+  restart() {
+    this.stepIndex = 0;
+    this.stepDone = false;
+    this.notifyListeners('stepStarted', { step: this.getStep(), index: 0 });
+  }
+
+  /**
+   * Subscribe to tutorial events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+}
+
+/**
+ * Tutorial Progress - whether the tutorial was finished or skipped
+ * Once either is recorded the tutorial is no longer offered on launch
+ */
+export class TutorialProgress {
+  constructor() {
+    this.completedAt = null;
+    this.skippedAt = null;
+    this.listeners = new Set();
+  }
+
+  markCompleted() {
+    this.completedAt = Date.now();
+    this.notifyListeners('tutorialCompleted', { completedAt: this.completedAt });
+  }
+
+  markSkipped() {
+    if (this.isDone()) return;
+
+    this.skippedAt = Date.now();
+    this.notifyListeners('tutorialSkipped', { skippedAt: this.skippedAt });
+  }
+
+  // Getters
+  isCompleted() { return this.completedAt !== null; }
+  isDone() { return this.completedAt !== null || this.skippedAt !== null; }
+
+  /**
+   * Subscribe to progress events
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => listener(event, data));
+  }
+
+  /**
+   * Serialize for save/load
+   */
+  serialize() {
+    return {
+      completedAt: this.completedAt,
+      skippedAt: this.skippedAt
+    };
+  }
+
+  /**
+   * Deserialize from saved data
+   */
+  deserialize(data) {
+    this.completedAt = data.completedAt || null;
+    this.skippedAt = data.skippedAt || null;
+    this.notifyListeners('loaded', null);
+  }
+}
+
+// Shared progress (see loadTutorialProgress)
+export const tutorialProgress = new TutorialProgress();
@@ -0,0 +1,55 @@
+import { encodeBoardCode, decodeBoardCode, isBoardCode } from '../BoardCode';
+import { RULE_SETS } from '../RuleSet';
+
+const board = {
+  grid: [[1, 9, null, 4], [5, 5, 3, 8], [2, null, null, null]],
+  ruleSet: 'sum10',
+  seed: 123456,
+  cols: 4
+};
+
+// Swap one character of the cell data for another valid one
+const tamper = (code) => {
+  const fields = code.split('.');
+  const cells = fields[4];
+  fields[4] = `${cells[0] === '0' ? '1' : '0'}${cells.slice(1)}`;
+  return fields.join('.');
+};
+
+describe('BoardCode', () => {
+  it('round-trips a board with its rule set, seed and width', () => {
+    expect(decodeBoardCode(encodeBoardCode(board))).toEqual(board);
+  });
+
+  it('keeps string seeds, escaping what is not URL-safe', () => {
+    const seeded = { ...board, seed: 'daily-2026-01-01 #2' };
+    const code = encodeBoardCode(seeded);
+
+    expect(code).toMatch(/^[A-Za-z0-9._-]+$/);
+    expect(decodeBoardCode(code).seed).toBe('daily-2026-01-01 #2');
+  });
+
+  it('covers the full value range of other rule sets', () => {
+    const wide = { grid: [[1, 11, 6], [null, 10, 2]], ruleSet: RULE_SETS.sum12, seed: 7, cols: 3 };
+    const decoded = decodeBoardCode(encodeBoardCode(wide));
+
+    expect(decoded.ruleSet).toBe('sum12');
+    expect(decoded.grid).toEqual(wide.grid);
+  });
+
+  it('packs boards into fewer characters than cells', () => {
+    const grid = Array.from({ length: 6 }, (_, r) => Array.from({ length: 9 }, (_, c) => ((r + c) % 9) + 1));
+    const code = encodeBoardCode({ grid, ruleSet: 'sum10', seed: 1 });
+    expect(code.split('.')[4].length).toBeLessThan(54);
+  });
+
+  it('rejects codes that were mistyped or are not board codes', () => {
+    const code = encodeBoardCode(board);
+
+    expect(isBoardCode(code)).toBe(true);
+    expect(decodeBoardCode(tamper(code))).toBeNull();
+    expect(decodeBoardCode(code.replace('B1', 'B2'))).toBeNull();
+    expect(decodeBoardCode('not a code')).toBeNull();
+    expect(decodeBoardCode(null)).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { BoardState } from '../BoardState';
+import { MatchSystem } from '../MatchSystem';
+import { ConnectionValidator } from '../ConnectionValidator';
+
+describe('BoardState', () => {
+  it('lists the cells still in play', () => {
+    const state = new BoardState([[1, 9, 5], [5, null, 3]], ['0,1']);
+    expect(state.getActiveCells()).toEqual([
+      { row: 0, col: 0, value: 1 },
+      { row: 0, col: 2, value: 5 },
+      { row: 1, col: 0, value: 5 },
+      { row: 1, col: 2, value: 3 }
+    ]);
+    expect(state.isCleared()).toBe(false);
+  });
+
+  it('matches into a new state without touching the old one', () => {
+    const state = new BoardState([[1, 9, 5], [5, 2, 3]]);
+    const { state: next, removedRows } = state.applyMatch({ row: 0, col: 0 }, { row: 0, col: 1 });
+
+    expect(removedRows).toEqual([]);
+    expect(next.isMatched(0, 0)).toBe(true);
+    expect(next.isMatched(0, 1)).toBe(true);
+    expect(state.isMatched(0, 0)).toBe(false);
+    expect(state.getActiveCells()).toHaveLength(6);
+  });
+
+  it('removes completed rows and shifts the matches below them', () => {
+    const state = new BoardState([[1, 9], [2, 2], [3, 4]], ['2,0']);
+    const { state: next, removedRows } = state.applyMatch({ row: 1, col: 0 }, { row: 1, col: 1 });
+
+    expect(removedRows).toEqual([1]);
+    expect(next.grid).toEqual([[1, 9], [3, 4]]);
+    expect(next.isMatched(1, 0)).toBe(true);
+    expect(next.getActiveCells().map(cell => cell.value)).toEqual([1, 9, 4]);
+  });
+
+  it('adds values after the last row in play, appending rows as needed', () => {
+    const state = new BoardState([[1, 2, 3], [4, null, null]]);
+    const next = state.applyAdd([7, 8, 9]);
+
+    expect(next.grid).toEqual([[1, 2, 3], [4, 7, 8], [9, null, null]]);
+    expect(state.grid).toEqual([[1, 2, 3], [4, null, null]]);
+  });
+
+  it('tells positions apart by their matches', () => {
+    const open = new BoardState([[1, 9], [4, null]]);
+    const matched = new BoardState([[1, 9], [4, null]], ['0,0']);
+
+    expect(open.key()).toBe('1,9|4,.');
+    expect(matched.key()).toBe('x,9|4,.');
+  });
+
+  it('finds every valid pair once', () => {
+    const state = new BoardState([[1, 9, 4], [7, 2, 6]]);
+    const pairs = state.findPairs(new ConnectionValidator({ gridCols: 3 }), new MatchSystem());
+    const cells = pairs.map(({ from, to }) => `${from.row},${from.col}-${to.row},${to.col}`).sort();
+
+    // 1+9 side by side, 4+6 above each other
+    expect(cells).toEqual(['0,0-0,1', '0,2-1,2']);
+    pairs.forEach(pair => expect(pair.points).toBeGreaterThan(0));
+  });
+
+  it('finds no pairs through cells that do not match', () => {
+    const state = new BoardState([[1, 2], [3, 4]]);
+    expect(state.findPairs(new ConnectionValidator({ gridCols: 2 }), new MatchSystem())).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+import { ConnectionValidator } from '../ConnectionValidator';
+
+const toText = (path) => path.map(({ row, col }) => `${row},${col}`);
+
+describe('ConnectionValidator', () => {
+  describe('snake wrap paths', () => {
+    const validator = new ConnectionValidator({ gridCols: 3, strategies: ['snakeWrap'] });
+    const grid = [[5, null, null], [null, null, null], [null, null, null], [null, null, 5]];
+
+    it('follow the rows downwards', () => {
+      const result = validator.validateConnection(0, 0, 3, 2, grid, new Set());
+
+      expect(result.valid).toBe(true);
+      expect(toText(result.path)).toEqual([
+        '0,0', '0,1', '0,2', '1,0', '1,1', '1,2', '2,0', '2,1', '2,2', '3,0', '3,1', '3,2'
+      ]);
+    });
+
+    it('follow the rows upwards', () => {
+      const result = validator.validateConnection(3, 2, 0, 0, grid, new Set());
+      const rows = result.path.map(cell => cell.row);
+
+      expect(result.valid).toBe(true);
+      expect(rows).toEqual([...rows].sort((a, b) => b - a));
+      expect(result.path[0]).toEqual({ row: 3, col: 2 });
+      expect(result.path[result.path.length - 1]).toEqual({ row: 0, col: 0 });
+    });
+  });
+});
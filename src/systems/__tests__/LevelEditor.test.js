@@ -0,0 +1,93 @@
+import { LevelEditor, encodeLevelCode, decodeLevelCode } from '../LevelEditor';
+
+const level = {
+  name: 'Tilde ~ test',
+  ruleSet: 'sum10',
+  strategies: ['adjacent', 'snakeWrap'],
+  timeLimit: null,
+  resources: { addMoves: 2, hints: 0, changes: 1 },
+  stars: [20, 40, 60],
+  goals: [{ type: 'score', target: 50 }],
+  grid: [[1, 9, null], [5, 5, 3]]
+};
+
+describe('level codes', () => {
+  it('round-trip a level and its width', () => {
+    expect(decodeLevelCode(encodeLevelCode(level))).toEqual({ cols: 3, level });
+  });
+
+  it('keep the time limit of timed levels', () => {
+    const decoded = decodeLevelCode(encodeLevelCode({ ...level, timeLimit: 90 }));
+    expect(decoded.level.timeLimit).toBe(90);
+  });
+
+  it('reject malformed codes', () => {
+    const code = encodeLevelCode(level);
+
+    expect(decodeLevelCode(code.replace('L1', 'L9'))).toBeNull();
+    expect(decodeLevelCode(code.slice(0, -1))).toBeNull();
+    expect(decodeLevelCode('L1~only~a~few~fields')).toBeNull();
+  });
+});
+
+describe('LevelEditor', () => {
+  const createDraft = () => {
+    const editor = new LevelEditor({ rows: 2, cols: 3 });
+    [[1, 9, 4], [5, 5, 6]].forEach((row, r) => row.forEach((value, c) => editor.setCell(r, c, value)));
+    return editor;
+  };
+
+  it('only takes values the rule set allows', () => {
+    const editor = new LevelEditor({ rows: 2, cols: 3 });
+
+    expect(editor.setCell(0, 0, 10)).toBe(false);
+    expect(editor.setCell(5, 0, 1)).toBe(false);
+    expect(editor.setCell(0, 0, 9)).toBe(true);
+    expect(editor.getGrid()[0]).toEqual([9, null, null]);
+  });
+
+  it('imports its own exported code and JSON', () => {
+    const editor = createDraft();
+    editor.setName('Round trip');
+
+    const fromCode = new LevelEditor();
+    expect(fromCode.importText(editor.exportCode()).success).toBe(true);
+    expect(fromCode.toLevel()).toEqual(editor.toLevel());
+    expect(fromCode.getCols()).toBe(3);
+
+    const fromJSON = new LevelEditor();
+    expect(fromJSON.importText(editor.exportJSON()).success).toBe(true);
+    expect(fromJSON.toLevel()).toEqual(editor.toLevel());
+  });
+
+  it('reports text it cannot import', () => {
+    const editor = new LevelEditor();
+
+    expect(editor.importText('{ broken')).toEqual({ success: false, errors: ['Not valid JSON'] });
+    expect(editor.importText('hello')).toEqual({ success: false, errors: ['Not a level code'] });
+  });
+
+  it('checks the draft with the solver', () => {
+    const clearable = createDraft().verify();
+    expect(clearable.clearable).toBe(true);
+    expect(clearable.cells).toBe(6);
+    expect(clearable.solverScore).toBeGreaterThan(0);
+
+    const stuck = new LevelEditor({ rows: 1, cols: 3 });
+    [1, 2, 3].forEach((value, c) => stuck.setCell(0, c, value));
+    expect(stuck.verify()).toMatchObject({ clearable: false, openPairs: 0, moves: null });
+  });
+
+  it('will not share an empty board', () => {
+    expect(new LevelEditor().validate()).toContain('The board is empty');
+    expect(createDraft().validate()).toEqual([]);
+  });
+
+  it('keeps star scores ascending', () => {
+    const editor = new LevelEditor();
+    editor.setStar(1, 200);
+    expect(editor.stars).toEqual([50, 200, 200]);
+    editor.setStar(0, 300);
+    expect(editor.stars).toEqual([300, 300, 300]);
+  });
+});
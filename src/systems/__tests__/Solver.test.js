@@ -0,0 +1,70 @@
+import { Solver } from '../Solver';
+import { BoardState } from '../BoardState';
+import { MatchSystem } from '../MatchSystem';
+import { ConnectionValidator } from '../ConnectionValidator';
+
+const createSolver = (cols, config = {}) => new Solver({
+  matchSystem: new MatchSystem(),
+  connectionValidator: new ConnectionValidator({ gridCols: cols }),
+  ...config
+});
+
+// Play a move list from a state the way the solver does
+const replay = (solver, state, moves) => moves.reduce((current, move) => solver.applyMove(current, move).state, state);
+
+describe('Solver', () => {
+  it('proves a board can be cleared and returns the moves that do it', () => {
+    const solver = createSolver(2);
+    const state = new BoardState([[1, 9], [5, 5]]);
+    const result = solver.isClearable(state);
+
+    expect(result.clearable).toBe(true);
+    expect(result.moves).toHaveLength(2);
+    expect(replay(solver, state, result.moves).isCleared()).toBe(true);
+  });
+
+  it('reports a board without pairs as not clearable', () => {
+    const result = createSolver(2).isClearable(new BoardState([[1, 2], [3, 4]]));
+    expect(result.clearable).toBe(false);
+    expect(result.moves).toEqual([]);
+  });
+
+  it('gives up with null when the search budget runs out', () => {
+    const result = createSolver(2).isClearable(new BoardState([[1, 9], [5, 5]]), 1);
+    expect(result.clearable).toBeNull();
+  });
+
+  it('plans a full clear scored like the game', () => {
+    const solver = createSolver(2);
+    const state = new BoardState([[1, 9], [5, 5]]);
+    const plan = solver.solve(state);
+
+    expect(plan.clearable).toBe(true);
+    expect(replay(solver, state, plan.moves).isCleared()).toBe(true);
+
+    const expected = plan.moves.reduce((total, move) => total + move.points + move.removedRows.length * 10, 0);
+    expect(plan.score).toBe(expected);
+  });
+
+  it('only plans Add moves when it is allowed to', () => {
+    const solver = createSolver(2);
+    const state = new BoardState([[1, 2]]);
+
+    expect(solver.solve(state).moves).toEqual([]);
+    expect(solver.findBestMove(state)).toBeNull();
+
+    const plan = solver.solve(state, { maxAdds: 1 });
+    expect(plan.moves[0]).toEqual({ type: 'add', values: [1, 2] });
+    expect(plan.addsUsed).toBe(1);
+    expect(plan.score).toBeGreaterThan(0);
+  });
+
+  it('reports every solve to its listeners', () => {
+    const solver = createSolver(2);
+    const reports = [];
+    solver.subscribe((event, data) => reports.push([event, data.clearable]));
+
+    solver.solve(new BoardState([[1, 9], [5, 5]]));
+    expect(reports).toEqual([['solved', true]]);
+  });
+});
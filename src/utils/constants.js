@@ -61,6 +61,8 @@ export const COLORS = {
     7: '#c9706bff',
     8: '#427fe8ff',
     9: '#fb4fe4ff',
+    10: '#9b6cf0ff',
+    11: '#a3d34aff',
   }
 };
 
@@ -120,6 +122,11 @@ export const GAME_CONFIG = {
   
   // Resource limits
   MAX_ACTIONS: 5,
+  UNDOS_PER_LEVEL: 3,
+  
+  // Board generation
+  MIN_START_PAIRS: 3,
+  REQUIRE_CLEARABLE: false,
   
   // Value range
   MIN_VALUE: 1,
@@ -139,12 +146,74 @@ export const GAME_CONFIG = {
   
   // Match rules
   SUM_TARGET: 10,
+  RULE_SET: 'sum10',
+  CONNECTION_SET: 'all',
   
   // Smart generation probabilities
   MATCH_PROBABILITY: 0.4,
   COMPLEMENT_PROBABILITY: 0.3,
 };
 
+// ============================================================================
+// TIME ATTACK
+// ============================================================================
+
+export const TIME_ATTACK = {
+  // Clock
+  INITIAL_TIME: 60,
+  MAX_TIME: 180, // time can be banked up to this
+  
+  // Seconds gained per match, by connection type
+  MATCH_BONUS: {
+    adjacent: 2,
+    straightLine: 3,
+    diagonal: 3,
+    headToTail: 4,
+    snakeWrap: 3,
+  },
+  COMBO_BONUS: 0.5, // extra seconds per combo step
+  ROW_CLEAR_BONUS: 10, // seconds per cleared row
+  LEVEL_BONUS: 20,
+  MISS_PENALTY: 5,
+  
+  // Level curve - small boards, one extra row every other level
+  INITIAL_ROWS: 3,
+  LEVELS_PER_ROW: 2,
+  MAX_ROWS: 8,
+};
+
+// ============================================================================
+// MOVE LIMIT
+// ============================================================================
+
+export const MOVE_LIMIT = {
+  MOVES_PER_PAIR: 1.5, // budget = cells dealt / 2 * this
+  POINTS_PER_MOVE: 25, // level bonus per move left over
+};
+
+// ============================================================================
+// VERSUS
+// ============================================================================
+
+export const VERSUS = {
+  PLAYER_NAMES: ['Player 1', 'Player 2'], // in turn order
+  COMPUTER_NAMES: ['Player', 'Computer'], // against the computer - it plays second
+
+  // Computer "thinking" delay in ms, by speed setting - it waits this long
+  // before showing its move and again before playing it
+  THINKING_DELAYS: {
+    fast: 400,
+    normal: 900,
+    slow: 1600,
+  },
+};
+
+export const COMPUTER_SPEED_LABELS = {
+  fast: 'Fast',
+  normal: 'Normal',
+  slow: 'Slow',
+};
+
 // ============================================================================
 // ICONS (Emoji)
 // ============================================================================
@@ -154,6 +223,12 @@ export const ICONS = {
   ADD: '➕',
   HINT: '💡',
   CHANGE: '🔄',
+  UNDO: '↶',
+  REDO: '↷',
+  DEMO: '🤖',
+  RULES: '🧮',
+  LINK: '🔗',
+  MOVES: '👆',
   
   // Controls
   PLAY: '▶',
@@ -164,7 +239,9 @@ export const ICONS = {
   SUCCESS: '✓',
   FAIL: '✗',
   STAR: '⭐',
+  LOCK: '🔒',
   TROPHY: '🏆',
+  STATS: '📊',
   FIRE: '🔥',
   
   // UI
@@ -172,6 +249,11 @@ export const ICONS = {
   MENU: '☰',
   SETTINGS: '⚙',
   INFO: 'ℹ',
+  EDIT: '✏️',
+  WATCH: '👁',
+  TUTORIAL: '🎓',
+  PLAYERS: '👥',
+  COMPUTER: '🤖',
   
   // Game
   LEVEL: '🎯',
@@ -223,6 +305,83 @@ export const GAME_STATES = {
   LEVEL_UP: 'levelUp',
 };
 
+// ============================================================================
+// GAME MODES
+// ============================================================================
+
+export const GAME_MODES = {
+  CLASSIC: 'classic',
+  DAILY: 'daily',
+  ZEN: 'zen',       // untimed - ends only when the board is stuck
+  TIME_ATTACK: 'timeAttack', // short clock refilled by matches
+  MOVES: 'moves',   // no clock - a fixed number of match attempts per level
+};
+
+export const GAME_MODE_LABELS = {
+  classic: 'Classic',
+  daily: 'Daily',
+  zen: 'Zen',
+  timeAttack: 'Time Attack',
+  moves: 'Moves',
+  pack: 'Levels',
+  tutorial: 'Tutorial',
+  versus: 'Versus',
+};
+
+export const GAME_MODE_DESCRIPTIONS = {
+  classic: 'Clear the board before the clock runs out - each level gets less time',
+  daily: 'The same seeded board for everyone, new every day',
+  zen: 'No clock - play until no moves are left',
+  timeAttack: 'A short clock that every match tops up - no undos',
+  moves: 'No clock, but only so many match attempts per level',
+  versus: 'Two players, one board - a miss hands the turn over',
+};
+
+// Hand-designed pack levels (see LevelPackLoader) - picked from the level
+// select screen, so not part of GAME_MODES and the mode cycle
+export const PACK_MODE = 'pack';
+
+// Scripted walkthrough of the connection types (see Tutorial) - never ranked
+export const TUTORIAL_MODE = 'tutorial';
+
+// Two players taking turns on one board (see TurnSystem) - a head-to-head,
+// so never ranked and kept out of the mode cycle
+export const VERSUS_MODE = 'versus';
+
+// ============================================================================
+// HINT LEVELS
+// ============================================================================
+
+export const HINT_LEVELS = {
+  CELL: 'cell',   // reveal one cell of the best pair
+  PAIR: 'pair',   // reveal both cells
+  PATH: 'path',   // reveal both cells and how they connect
+};
+
+export const HINT_LEVEL_LABELS = {
+  cell: 'Cell',
+  pair: 'Pair',
+  path: 'Path',
+};
+
+// ============================================================================
+// DIFFICULTY LEVELS
+// ============================================================================
+
+export const DIFFICULTY_LEVELS = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  EXPERT: 'expert',
+};
+
+export const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  normal: 'Normal',
+  hard: 'Hard',
+  expert: 'Expert',
+};
+
 // ============================================================================
 // CONNECTION TYPES
 // ============================================================================
@@ -235,6 +394,14 @@ export const CONNECTION_TYPES = {
   HEAD_TO_TAIL: 'headToTail',
 };
 
+export const CONNECTION_TYPE_LABELS = {
+  adjacent: 'Adjacent',
+  straightLine: 'Line',
+  diagonal: 'Diagonal',
+  snakeWrap: 'Wrap',
+  headToTail: 'Head-Tail',
+};
+
 // ============================================================================
 // STORAGE KEYS (for AsyncStorage / localStorage)
 // ============================================================================
@@ -245,6 +412,24 @@ export const STORAGE_KEYS = {
   SETTINGS: '@settings',
   ACHIEVEMENTS: '@achievements',
   STATISTICS: '@statistics',
+  LEVEL_PROGRESS: '@level_progress',
+  TUTORIAL: '@tutorial',
+};
+
+// ============================================================================
+// NAVIGATION ROUTES
+// ============================================================================
+
+export const ROUTES = {
+  HOME: 'Home',
+  MODE_SELECT: 'ModeSelect',
+  GAME: 'Game',
+  SETTINGS: 'Settings',
+  STATS: 'Stats',
+  ACHIEVEMENTS: 'Achievements',
+  LEADERBOARD: 'Leaderboard',
+  HOW_TO_PLAY: 'HowToPlay',
+  TUTORIAL: 'Tutorial',
 };
 
 // ============================================================================
@@ -272,7 +457,9 @@ export const DEFAULT_SETTINGS = {
   musicVolume: 0.7,
   difficulty: 'normal',
   showHints: true,
+  hintLevel: 'pair',
   autoSave: true,
+  computerSpeed: 'normal',
 };
 
 // ============================================================================
@@ -50,6 +50,13 @@ export const formatLargeNumber = (num) => {
   return num.toString();
 };
 
+/**
+ * Format a star rating as filled / empty stars
+ */
+export const formatStars = (stars, total = 3) => {
+  return '★'.repeat(stars) + '☆'.repeat(Math.max(0, total - stars));
+};
+
 /**
  * Format percentage
  */
@@ -97,8 +104,10 @@ export const areCellsEqual = (cell1, cell2) => {
 
 /**
  * Check if value is valid cell value
+ * Pass a rule set to use its value range instead of the default 1-9
  */
-export const isValidCellValue = (value) => {
+export const isValidCellValue = (value, ruleSet = null) => {
+  if (ruleSet) return ruleSet.isValidValue(value);
   return value >= GAME_CONFIG.MIN_VALUE && value <= GAME_CONFIG.MAX_VALUE;
 };
 
@@ -112,10 +121,12 @@ export const isValidPosition = (row, col, grid) => {
 
 /**
  * Check if two values can match
+ * Accepts a rule set, or a plain sum target for the classic rules
  */
-export const canValuesMatch = (value1, value2, sumTarget = GAME_CONFIG.SUM_TARGET) => {
+export const canValuesMatch = (value1, value2, rules = GAME_CONFIG.SUM_TARGET) => {
   if (value1 === null || value2 === null) return false;
-  return value1 === value2 || value1 + value2 === sumTarget;
+  if (typeof rules === 'object' && rules !== null) return rules.valuesMatch(value1, value2);
+  return value1 === value2 || value1 + value2 === rules;
 };
 
 // ============================================================================
@@ -170,35 +181,37 @@ export const calculateComboBonus = (combo) => {
 // ============================================================================
 // RANDOM HELPERS
 // ============================================================================
+// All random helpers take an optional rng (() => [0, 1)), e.g. a seeded
+// RandomSystem's next, and fall back to Math.random
 
 /**
  * Generate random integer in range [min, max]
  */
-export const randomInt = (min, max) => {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export const randomInt = (min, max, rng = Math.random) => {
+  return Math.floor(rng() * (max - min + 1)) + min;
 };
 
 /**
  * Generate random float in range [min, max]
  */
-export const randomFloat = (min, max) => {
-  return Math.random() * (max - min) + min;
+export const randomFloat = (min, max, rng = Math.random) => {
+  return rng() * (max - min) + min;
 };
 
 /**
  * Get random element from array
  */
-export const randomElement = (array) => {
-  return array[Math.floor(Math.random() * array.length)];
+export const randomElement = (array, rng = Math.random) => {
+  return array[Math.floor(rng() * array.length)];
 };
 
 /**
  * Shuffle array (Fisher-Yates)
  */
-export const shuffleArray = (array) => {
+export const shuffleArray = (array, rng = Math.random) => {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;